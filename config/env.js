@@ -6,10 +6,12 @@
  *
  * Usage:
  * - Update HOSTS with your API endpoints
- * - Add tokens for different user roles
+ * - Add tokens (or login credentials) for different user roles
  * - Customize load profiles as needed
  */
 
+import { GENERATED_API_PATHS, GENERATED_ENDPOINTS } from './openapi.generated.js';
+
 // =============================================================================
 // HOSTS CONFIGURATION
 // =============================================================================
@@ -45,6 +47,44 @@ export const TOKENS = {
   SUPER_USER: __ENV.TOKEN_SUPER_USER || "your-super-user-token-here"
 };
 
+/**
+ * Authentication mode and token lifetime settings
+ *
+ * Modes:
+ * - static: send the bearer strings from TOKENS as-is (default)
+ * - login:  log each role in via API_PATHS.AUTH.LOGIN and refresh
+ *           tokens via API_PATHS.AUTH.REFRESH before they expire
+ *
+ * Usage: k6 run -e AUTH_MODE=login -e USER_PASSWORD=... script.js
+ */
+export const AUTH_CONFIG = {
+  mode: __ENV.AUTH_MODE || 'static',
+  refreshMarginSeconds: parseInt(__ENV.AUTH_REFRESH_MARGIN || '60', 10), // Refresh this long before expiry
+  defaultTtlSeconds: parseInt(__ENV.AUTH_TOKEN_TTL || '900', 10),        // Used when login response has no expiry
+  retryAfterSeconds: 5                                                    // Cooldown after a failed login
+};
+
+/**
+ * Login credentials for different user roles (used when AUTH_MODE=login)
+ *
+ * Each entry is sent as the JSON body of the login request,
+ * so field names must match what your API expects.
+ */
+export const CREDENTIALS = {
+  USER: {
+    username: __ENV.USER_LOGIN || "user@example.com",
+    password: __ENV.USER_PASSWORD || "your-user-password-here"
+  },
+  ADMIN: {
+    username: __ENV.ADMIN_LOGIN || "admin@example.com",
+    password: __ENV.ADMIN_PASSWORD || "your-admin-password-here"
+  },
+  SUPER_USER: {
+    username: __ENV.SUPER_USER_LOGIN || "super-user@example.com",
+    password: __ENV.SUPER_USER_PASSWORD || "your-super-user-password-here"
+  }
+};
+
 // =============================================================================
 // LOAD PROFILES
 // =============================================================================
@@ -52,11 +92,21 @@ export const TOKENS = {
 /**
  * Standardized load profiles
  *
- * | Profile | VUs | Duration | Use Case                    |
- * |---------|-----|----------|----------------------------|
- * | LIGHT   | 10  | 60s      | Smoke testing, CI/CD       |
- * | MEDIUM  | 30  | 5min     | Standard load, regression  |
- * | HEAVY   | 100 | 10min    | Stress testing, capacity   |
+ * | Profile    | Executor              | Load                      | Use Case                    |
+ * |------------|-----------------------|---------------------------|-----------------------------|
+ * | SMOKE      | constant-vus          | 1 VU, 30s                 | Quick sanity check          |
+ * | LIGHT      | constant-vus          | 10 VUs, 60s               | Smoke testing, CI/CD        |
+ * | MEDIUM     | constant-vus          | 30 VUs, 5min              | Standard load, regression   |
+ * | HEAVY      | constant-vus          | 100 VUs, 10min            | Stress testing, capacity    |
+ * | RAMP       | ramping-vus           | 0 -> 30 VUs, 10min        | Gradual warm-up, steady run |
+ * | SPIKE      | ramping-vus           | 10 -> 100 VUs in 10s      | Sudden traffic bursts       |
+ * | STRESS     | ramping-vus           | 50 -> 200 VUs, 17min      | Behavior beyond normal load |
+ * | SOAK       | constant-vus          | 30 VUs, 2h                | Memory leaks, token expiry  |
+ * | BREAKPOINT | ramping-arrival-rate  | 10 -> 500 it/s, 20min     | Find maximum capacity       |
+ *
+ * Profiles without `executor` run as constant-vus.
+ * Use buildScenario() from helpers/scenarios.js to turn a profile
+ * into a k6 scenario config.
  */
 export const LOAD_PROFILES = {
   SMOKE: {
@@ -78,12 +128,79 @@ export const LOAD_PROFILES = {
     vus: 100,
     duration: "10m",
     description: "Monthly stress testing, capacity planning"
+  },
+  RAMP: {
+    executor: "ramping-vus",
+    startVUs: 0,
+    stages: [
+      { duration: "1m", target: 15 },  // Warm up
+      { duration: "2m", target: 30 },  // Ramp to full load
+      { duration: "6m", target: 30 },  // Steady state
+      { duration: "1m", target: 0 }    // Ramp down
+    ],
+    gracefulRampDown: "30s",
+    description: "Gradual ramp-up with steady state"
+  },
+  SPIKE: {
+    executor: "ramping-vus",
+    startVUs: 0,
+    stages: [
+      { duration: "30s", target: 10 },  // Normal load
+      { duration: "1m", target: 10 },
+      { duration: "10s", target: 100 }, // Spike
+      { duration: "2m", target: 100 },
+      { duration: "10s", target: 10 },  // Recovery
+      { duration: "1m", target: 10 },
+      { duration: "30s", target: 0 }
+    ],
+    gracefulRampDown: "30s",
+    description: "Sudden traffic spike and recovery"
+  },
+  STRESS: {
+    executor: "ramping-vus",
+    startVUs: 0,
+    stages: [
+      { duration: "2m", target: 50 },
+      { duration: "3m", target: 50 },
+      { duration: "2m", target: 100 },
+      { duration: "3m", target: 100 },
+      { duration: "2m", target: 200 },
+      { duration: "3m", target: 200 },
+      { duration: "2m", target: 0 }
+    ],
+    gracefulRampDown: "1m",
+    description: "Step load beyond normal capacity"
+  },
+  SOAK: {
+    vus: 30,
+    duration: "2h",
+    description: "Long-running stability, leaks, token expiry"
+  },
+  BREAKPOINT: {
+    executor: "ramping-arrival-rate",
+    startRate: 10,
+    timeUnit: "1s",
+    preAllocatedVUs: 50,
+    maxVUs: 500,
+    stages: [
+      { duration: "20m", target: 500 }
+    ],
+    description: "Increase arrival rate until the system breaks"
   }
 };
 
 // Default profile - used when PROFILE env var is not set
 export const DEFAULT_PROFILE = LOAD_PROFILES.LIGHT;
 
+/**
+ * Get profile name based on environment variable
+ * @returns {string} Name of the active profile (falls back to LIGHT)
+ */
+export function getProfileName() {
+  const profileName = __ENV.PROFILE || 'LIGHT';
+  return LOAD_PROFILES[profileName] ? profileName : 'LIGHT';
+}
+
 /**
  * Get profile based on environment variable
  * @returns {Object} Load profile configuration
@@ -104,6 +221,8 @@ export function getProfile() {
  * Pattern: Keep all paths in one place for easy maintenance
  */
 export const API_PATHS = {
+  // Generated from OpenAPI (scripts/generate-from-openapi.js) - entries below win
+  ...GENERATED_API_PATHS,
   // Auth endpoints
   AUTH: {
     LOGIN: "/auth/login",
@@ -121,6 +240,307 @@ export const API_PATHS = {
   PRODUCTS: {
     LIST: "/products",
     DETAILS: (id) => `/products/${id}`,
-    SEARCH: "/products/search"
+    SEARCH: "/products/search",
+    CREATE: "/products",
+    BULK: "/products/bulk",
+    UPDATE: (id) => `/products/${id}`,
+    DELETE: (id) => `/products/${id}`
   }
 };
+
+// =============================================================================
+// ENDPOINT CATALOG
+// =============================================================================
+
+/**
+ * Endpoint names for request tagging and SLO thresholds
+ *
+ * Every request made through utils/http-utils.js is matched against this
+ * catalog by method and path template and tagged with `endpoint:<name>`.
+ * Names follow ENDPOINT_SLO keys ('products.list' -> ENDPOINT_SLO.products.list).
+ *
+ * - method:   HTTP method(s) handled by the endpoint
+ * - path:     Path template, `{param}` matches one path segment
+ * - critical: Use DEFAULT_SLO.critical when the endpoint has no own SLO
+ * - cleanup:  Endpoint that deletes resources created here - created IDs
+ *             are tracked for cleanup (see utils/resource-registry.js)
+ *
+ * Operations generated from an OpenAPI spec come from config/openapi.generated.js.
+ */
+export const ENDPOINTS = {
+  ...GENERATED_ENDPOINTS,
+
+  'auth.login': { method: 'POST', path: API_PATHS.AUTH.LOGIN, critical: true },
+  'auth.logout': { method: 'POST', path: API_PATHS.AUTH.LOGOUT, critical: true },
+  'auth.refresh': { method: 'POST', path: API_PATHS.AUTH.REFRESH, critical: true },
+
+  'users.list': { method: 'GET', path: API_PATHS.USERS.LIST },
+  'users.details': { method: 'GET', path: API_PATHS.USERS.DETAILS('{id}') },
+  'users.create': { method: 'POST', path: API_PATHS.USERS.CREATE, cleanup: 'users.delete' },
+  'users.update': { method: ['PUT', 'PATCH'], path: API_PATHS.USERS.UPDATE('{id}') },
+  'users.delete': { method: 'DELETE', path: API_PATHS.USERS.DELETE('{id}') },
+
+  'products.list': { method: 'GET', path: API_PATHS.PRODUCTS.LIST },
+  'products.search': { method: 'GET', path: API_PATHS.PRODUCTS.SEARCH },
+  'products.details': { method: 'GET', path: API_PATHS.PRODUCTS.DETAILS('{id}') },
+  'products.create': { method: 'POST', path: API_PATHS.PRODUCTS.CREATE, cleanup: 'products.delete' },
+  'products.bulk': { method: 'POST', path: API_PATHS.PRODUCTS.BULK, cleanup: 'products.delete' },
+  'products.update': { method: ['PUT', 'PATCH'], path: API_PATHS.PRODUCTS.UPDATE('{id}') },
+  'products.delete': { method: 'DELETE', path: API_PATHS.PRODUCTS.DELETE('{id}') }
+};
+
+// =============================================================================
+// RETRY POLICIES
+// =============================================================================
+
+/**
+ * Retry policies for utils/http-utils.js - retries are opt-in
+ *
+ * Select a policy per call (`{ retry: 'default' }`, `{ retry: { maxRetries: 5 } }`,
+ * `{ retry: false }`) or per scenario (`env: { RETRY_POLICY: 'default' }`).
+ * Named policies are merged over `default`.
+ *
+ * - maxRetries:    Attempts after the first one
+ * - baseDelay:     Delay before the first retry (seconds), multiplied by
+ *                  `factor` for every next retry, capped at `maxDelay`
+ * - jitter:        Random reduction of the delay (0 = none, 1 = up to 100%)
+ * - maxRetryAfter: Cap for Retry-After sent with 429/503 (seconds)
+ * - statuses:      Statuses retried (network errors - status 0 - always are)
+ * - methods:       Methods retried - POST is not idempotent and is left out
+ */
+export const RETRY_POLICIES = {
+  default: {
+    maxRetries: 3,
+    baseDelay: 0.5,
+    factor: 2,
+    maxDelay: 10,
+    jitter: 0.5,
+    maxRetryAfter: 30,
+    statuses: [429, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+  },
+  // setup()/teardown() data and cleanup - not measured, so wait longer
+  setup: {
+    maxRetries: 5,
+    baseDelay: 1,
+    maxDelay: 30,
+    maxRetryAfter: 60
+  }
+};
+
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+
+/**
+ * Handling of 429 responses and rate-limit headers (see utils/rate-limit.js)
+ *
+ * - excludeFromErrors: 429 does not count in http_req_failed, so error-rate
+ *                      thresholds and SLOs only see real failures
+ * - pause:             VU sleeps until the rate-limit window resets after a 429
+ *                      (or when remaining requests drop to `minRemaining`)
+ * - headers:           Names of the rate-limit headers sent by the API
+ *
+ * Usage: k6 run -e RATE_LIMIT_EXCLUDE=true -e RATE_LIMIT_PAUSE=true run-all.js
+ */
+export const RATE_LIMIT_CONFIG = {
+  excludeFromErrors: __ENV.RATE_LIMIT_EXCLUDE === 'true',
+  pause: __ENV.RATE_LIMIT_PAUSE === 'true',
+  maxPauseSeconds: parseInt(__ENV.RATE_LIMIT_MAX_PAUSE || '60', 10),   // Cap for a single pause
+  minRemaining: parseInt(__ENV.RATE_LIMIT_MIN_REMAINING || '0', 10),   // Pause before hitting 429
+  headers: {
+    limit: 'X-RateLimit-Limit',
+    remaining: 'X-RateLimit-Remaining',
+    reset: 'X-RateLimit-Reset',         // Seconds until reset or epoch seconds
+    retryAfter: 'Retry-After'
+  }
+};
+
+// =============================================================================
+// CONTRACT CHECKS
+// =============================================================================
+
+/**
+ * Response validation against an OpenAPI 3 spec (see utils/contract.js)
+ *
+ * - spec:       JSON spec path relative to the project root - when set, every
+ *               response of the http-utils wrappers is checked against it
+ * - sampleRate: Share of responses validated (0-1) - schema validation costs
+ *               load-generator CPU, lower it for very high request rates
+ *
+ * Usage: k6 run -e CONTRACT_SPEC=data/openapi.example.json run-all.js
+ */
+export const CONTRACT_CONFIG = {
+  spec: __ENV.CONTRACT_SPEC || null,
+  sampleRate: parseFloat(__ENV.CONTRACT_SAMPLE || '1')
+};
+
+// =============================================================================
+// RUN IDENTIFICATION & CLEANUP
+// =============================================================================
+
+/**
+ * Identifier of the current run - set by run.sh and the batch runners
+ * (e.g. 'post-endpoint_LIGHT_20240101_120000'). Created resources are
+ * tracked under this ID so they can be deleted after the run.
+ */
+export const RUN_ID = __ENV.RUN_ID || 'adhoc';
+
+/**
+ * Created-resource tracking
+ *
+ * Sinks:
+ * - log:     print a CLEANUP_RESOURCE marker per resource to the k6 log
+ *            (run.sh saves it as <report prefix>.log) - no extra services
+ * - tracker: POST each resource to `node scripts/cleanup.js serve`,
+ *            which lets teardown() delete them within the same run
+ * - off:     no tracking
+ *
+ * Usage: k6 run -e RUN_ID=my-run -e CLEANUP_TRACKER=http://localhost:6566 script.js
+ */
+export const CLEANUP_CONFIG = {
+  tracker: __ENV.CLEANUP_TRACKER || '',
+  sink: __ENV.CLEANUP_TRACKING || (__ENV.CLEANUP_TRACKER ? 'tracker' : 'log'),
+  role: __ENV.CLEANUP_ROLE || 'ADMIN',                 // Role used for DELETE requests
+  onTeardown: __ENV.CLEANUP_ON_TEARDOWN !== 'false'    // Delete tracked resources in teardown()
+};
+
+/**
+ * Tags separating the test's own requests from internal ones
+ *
+ * Requests sent through utils/http-utils.js carry `traffic:test`; cleanup
+ * tracker and teardown cleanup requests carry `traffic:internal`. Global,
+ * scenario and operation thresholds filter on `traffic:test` (see
+ * testTrafficKey() in config/slo.js), so internal requests do not count
+ * in the test's latency and error rate.
+ */
+export const TRAFFIC_TAGS = {
+  test: { traffic: 'test' },
+  internal: { traffic: 'internal' }
+};
+
+// =============================================================================
+// PRODUCTION SAFETY
+// =============================================================================
+
+/**
+ * Guardrails for runs against production
+ *
+ * On a production host:
+ * - Profiles above maxVUs abort at init unless CONFIRM_PROD=yes
+ * - Write requests (POST/PUT/PATCH/DELETE) abort the test unless CONFIRM_PROD=yes
+ *   AND the endpoint is in PROD_WRITE_ALLOWLIST (names or prefixes, '*' = all)
+ * - Auth endpoints (login/refresh/logout) are always allowed
+ *
+ * Read-only runs within the ceiling (e.g. SMOKE/LIGHT GET tests) need no confirmation.
+ *
+ * Usage:
+ *   CONFIRM_PROD=yes k6 run -e HOST=PROD -e PROFILE=MEDIUM tests/example/get-endpoint.js
+ *   k6 run -e HOST=PROD -e CONFIRM_PROD=yes -e PROD_WRITE_ALLOWLIST=products.create script.js
+ */
+export const PROD_SAFETY = {
+  maxVUs: parseInt(__ENV.PROD_MAX_VUS || '10', 10),
+  confirmed: ['yes', 'true'].includes(String(__ENV.CONFIRM_PROD || '').toLowerCase()),
+  writeAllowlist: (__ENV.PROD_WRITE_ALLOWLIST || '').split(',').map(name => name.trim()).filter(Boolean),
+  alwaysAllowed: ['auth']
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const HOST_CLASSES = ['production', 'staging', 'development', 'local'];
+
+/**
+ * Classify host
+ * @param {string} host - Host URL (defaults to CURRENT_HOST)
+ * @returns {string} 'production', 'staging', 'development', 'local' or 'unknown'
+ *
+ * Hosts not listed in HOSTS are 'unknown' (treated as production) unless
+ * they point at localhost or HOST_CLASS declares the class explicitly.
+ * HOST_CLASS never reclassifies a HOSTS entry; unrecognised values are 'unknown'.
+ */
+export function classifyHost(host = CURRENT_HOST) {
+  const classes = { PROD: 'production', STAGING: 'staging', DEV: 'development', LOCAL: 'local' };
+  const name = Object.keys(HOSTS).find(key => HOSTS[key] === host);
+
+  if (name && classes[name]) {
+    return classes[name];
+  }
+  if (host === CURRENT_HOST && __ENV.HOST_CLASS) {
+    return HOST_CLASSES.includes(__ENV.HOST_CLASS) ? __ENV.HOST_CLASS : 'unknown';
+  }
+  if (/^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(host)) {
+    return 'local';
+  }
+  return 'unknown';
+}
+
+/**
+ * Check if host gets production guardrails
+ * @param {string} host - Host URL (defaults to CURRENT_HOST)
+ * @returns {boolean} True for production and unknown hosts
+ */
+export function isProductionHost(host = CURRENT_HOST) {
+  return ['production', 'unknown'].includes(classifyHost(host));
+}
+
+/**
+ * Peak VU count of profile
+ * @param {Object} profile - Load profile
+ * @returns {number} Highest number of VUs the profile can use
+ */
+function profileMaxVUs(profile) {
+  if (profile.maxVUs || profile.preAllocatedVUs) {
+    return profile.maxVUs || profile.preAllocatedVUs;
+  }
+  const targets = (profile.stages || []).map(stage => stage.target);
+  return Math.max(profile.vus || 0, profile.startVUs || 0, ...targets);
+}
+
+/**
+ * Check if write request is allowed on current host
+ * @param {string} method - HTTP method
+ * @param {string|undefined} endpointName - Endpoint name from ENDPOINTS (undefined if not in catalog)
+ * @returns {string|null} Reason the request is blocked, or null if allowed
+ *
+ * Example:
+ * checkWriteAllowed('POST', 'products.create')
+ * // Returns: null on DEV, a message on PROD without CONFIRM_PROD/allow-list
+ */
+export function checkWriteAllowed(method, endpointName) {
+  if (READ_METHODS.includes(String(method).toUpperCase()) || !isProductionHost()) {
+    return null;
+  }
+
+  const name = endpointName || '';
+  const matches = (entry) => entry === '*' || name === entry || name.startsWith(`${entry}.`);
+
+  if (name && PROD_SAFETY.alwaysAllowed.some(matches)) {
+    return null;
+  }
+  if (PROD_SAFETY.confirmed && PROD_SAFETY.writeAllowlist.some(matches)) {
+    return null;
+  }
+
+  return `${method} ${name || '(endpoint not in catalog)'} blocked on production host ${CURRENT_HOST} - ` +
+    'set CONFIRM_PROD=yes and add the endpoint to PROD_WRITE_ALLOWLIST to allow it';
+}
+
+/**
+ * Abort at init when active profile exceeds the production VU ceiling
+ * @throws {Error} If the run is not confirmed with CONFIRM_PROD=yes
+ */
+function assertProductionLoad() {
+  if (!isProductionHost() || PROD_SAFETY.confirmed) {
+    return;
+  }
+
+  const maxVUs = profileMaxVUs(getProfile());
+  if (maxVUs > PROD_SAFETY.maxVUs) {
+    throw new Error(
+      `Profile ${getProfileName()} (${maxVUs} VUs) exceeds the production ceiling of ${PROD_SAFETY.maxVUs} VUs ` +
+      `on ${CURRENT_HOST} - set CONFIRM_PROD=yes to run it anyway (or raise PROD_MAX_VUS)`
+    );
+  }
+}
+
+assertProductionLoad();
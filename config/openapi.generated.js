@@ -0,0 +1,23 @@
+// @generated by scripts/generate-from-openapi.js - do not edit, or edit and keep:
+// edited files are not regenerated (checksum: 9f69c7b84184581a)
+/**
+ * @file Generated API definitions
+ * @description Empty until an OpenAPI spec is generated with scripts/generate-from-openapi.js
+ *
+ * Merged into API_PATHS/ENDPOINTS (config/env.js), ENDPOINT_SLO (config/slo.js)
+ * and TESTS (tests/manifest.js) - hand-written entries take precedence.
+ *
+ * Usage:
+ *   npm run generate:openapi -- openapi.json
+ */
+
+export const GENERATED_API_PATHS = {};
+
+export const GENERATED_ENDPOINTS = {};
+
+export const GENERATED_SLO = {};
+
+export const GENERATED_TESTS = [];
+
+// Schemas referenced by generated tests ({ $ref: '#/components/schemas/...' })
+export const OPENAPI_COMPONENTS = { schemas: {} };
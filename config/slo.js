@@ -13,6 +13,9 @@
  * - CRITICAL: Endpoints on critical path (checkout, auth)
  */
 
+import { ENDPOINTS, TRAFFIC_TAGS } from './env.js';
+import { GENERATED_SLO } from './openapi.generated.js';
+
 // =============================================================================
 // DEFAULT SLO VALUES
 // =============================================================================
@@ -44,6 +47,9 @@ export const DEFAULT_SLO = {
  * Customize based on your API requirements
  */
 export const ENDPOINT_SLO = {
+  // Defaults for generated endpoints (scripts/generate-from-openapi.js) - override below
+  ...GENERATED_SLO,
+
   // Authentication - critical path
   auth: {
     login: {
@@ -111,6 +117,23 @@ export const ENDPOINT_SLO = {
 // THRESHOLD GENERATORS
 // =============================================================================
 
+// Tag filters added by testTrafficKey(), e.g. ['traffic:test']
+export const TEST_TRAFFIC_FILTERS = Object.entries(TRAFFIC_TAGS.test).map(([name, value]) => `${name}:${value}`);
+
+/**
+ * Build threshold key limited to the test's own requests
+ * @param {string} metric - Metric name
+ * @param {string} filter - Additional tag filter, e.g. 'operation:write' (optional)
+ * @returns {string} Submetric key with the `traffic:test` tag (see TRAFFIC_TAGS)
+ *
+ * Cleanup tracker and teardown cleanup requests are left out.
+ *
+ * Example: testTrafficKey('http_req_failed', 'operation:write') // 'http_req_failed{operation:write,traffic:test}'
+ */
+export function testTrafficKey(metric, filter = '') {
+  return `${metric}{${[filter, ...TEST_TRAFFIC_FILTERS].filter(Boolean).join(',')}}`;
+}
+
 /**
  * Generate k6 thresholds from SLO config
  * @param {Object} slo - SLO configuration object
@@ -118,15 +141,15 @@ export const ENDPOINT_SLO = {
  *
  * Example:
  * const thresholds = generateThresholds(ENDPOINT_SLO.products.list);
- * // Returns: { http_req_duration: ['p(95)<300', 'p(99)<800'], http_req_failed: ['rate<0.01'] }
+ * // Returns: { 'http_req_duration{traffic:test}': ['p(95)<300', 'p(99)<800'], 'http_req_failed{traffic:test}': ['rate<0.01'], ... }
  */
 export function generateThresholds(slo) {
   return {
-    http_req_duration: [
+    [testTrafficKey('http_req_duration')]: [
       `p(95)<${slo.p95}`,
       `p(99)<${slo.p99}`
     ],
-    http_req_failed: [`rate<${slo.errorRate}`],
+    [testTrafficKey('http_req_failed')]: [`rate<${slo.errorRate}`],
     checks: ['rate>0.95']
   };
 }
@@ -155,10 +178,130 @@ export function generateCustomThresholds(slo, prefix) {
  */
 export function generateScenarioThresholds(slo, testType) {
   return {
-    [`http_req_duration{test_type:${testType}}`]: [
+    [testTrafficKey('http_req_duration', `test_type:${testType}`)]: [
       `p(95)<${slo.p95}`,
       `p(99)<${slo.p99}`
     ],
-    [`http_req_failed{test_type:${testType}}`]: [`rate<${slo.errorRate}`]
+    [testTrafficKey('http_req_failed', `test_type:${testType}`)]: [`rate<${slo.errorRate}`]
   };
 }
+
+// =============================================================================
+// ENDPOINT THRESHOLDS
+// =============================================================================
+
+/**
+ * Get default SLO category for endpoint from the ENDPOINTS catalog
+ * @param {string} name - Endpoint name (e.g. 'products.create')
+ * @returns {string} 'critical', 'read' or 'write'
+ */
+export function getEndpointCategory(name) {
+  const endpoint = ENDPOINTS[name];
+  if (!endpoint) {
+    return 'read';
+  }
+  if (endpoint.critical) {
+    return 'critical';
+  }
+
+  const methods = [].concat(endpoint.method).map(method => method.toUpperCase());
+  return methods.every(method => method === 'GET' || method === 'HEAD') ? 'read' : 'write';
+}
+
+/**
+ * Check if object is an SLO entry (leaf of ENDPOINT_SLO tree)
+ * @param {Object} value - Tree node
+ * @returns {boolean} True if node defines any SLO field
+ */
+function isSloEntry(value) {
+  return value !== null && typeof value === 'object' &&
+    (value.p95 !== undefined || value.p99 !== undefined || value.errorRate !== undefined);
+}
+
+/**
+ * Flatten ENDPOINT_SLO tree into dotted endpoint names
+ * @param {Object} tree - SLO tree
+ * @param {string} prefix - Name prefix
+ * @returns {Object} SLO entries keyed by endpoint name
+ *
+ * Example: { products: { list: {...} } } => { 'products.list': {...} }
+ */
+function flattenSlo(tree, prefix = '') {
+  let result = {};
+
+  Object.entries(tree).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isSloEntry(value)) {
+      result[name] = value;
+    } else if (value !== null && typeof value === 'object') {
+      result = { ...result, ...flattenSlo(value, name) };
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Get SLO for endpoint, filling missing values from DEFAULT_SLO
+ * @param {string} name - Endpoint name (e.g. 'products.list')
+ * @returns {Object} SLO { p95, p99, errorRate }
+ */
+export function getEndpointSlo(name) {
+  const defaults = DEFAULT_SLO[getEndpointCategory(name)];
+  return { ...defaults, ...flattenSlo(ENDPOINT_SLO)[name] };
+}
+
+/**
+ * Get SLO for every known endpoint
+ * @param {Object} options - { include: ['products', 'users.create'], includeDefaults: true }
+ * @returns {Object} SLO entries keyed by endpoint name
+ *
+ * Covers all ENDPOINT_SLO entries plus (with includeDefaults) every ENDPOINTS
+ * catalog entry without its own SLO, which falls back to DEFAULT_SLO by method.
+ * `include` limits the result to given names or name prefixes.
+ */
+export function getAllEndpointSlo(options = {}) {
+  const { include = null, includeDefaults = true } = options;
+  const names = new Set(Object.keys(flattenSlo(ENDPOINT_SLO)));
+
+  if (includeDefaults) {
+    Object.keys(ENDPOINTS).forEach(name => names.add(name));
+  }
+
+  const result = {};
+  [...names]
+    .filter(name => !include || include.some(prefix => name === prefix || name.startsWith(`${prefix}.`)))
+    .forEach(name => { result[name] = getEndpointSlo(name); });
+
+  return result;
+}
+
+/**
+ * Generate endpoint-tagged thresholds for all SLO entries
+ * @param {Object} options - Same as getAllEndpointSlo()
+ * @returns {Object} k6 thresholds keyed by `metric{endpoint:name}`
+ *
+ * Requests are tagged with `endpoint` by utils/http-utils.js, so adding an
+ * entry to ENDPOINT_SLO (or ENDPOINTS) is enough to enforce it.
+ *
+ * Example:
+ * generateEndpointThresholds({ include: ['products'] })
+ * // Returns: {
+ * //   'http_req_duration{endpoint:products.list}': ['p(95)<300', 'p(99)<800'],
+ * //   'http_req_failed{endpoint:products.list}': ['rate<0.01'],
+ * //   ...
+ * // }
+ */
+export function generateEndpointThresholds(options = {}) {
+  const thresholds = {};
+
+  Object.entries(getAllEndpointSlo(options)).forEach(([name, slo]) => {
+    thresholds[`http_req_duration{endpoint:${name}}`] = [
+      `p(95)<${slo.p95}`,
+      `p(99)<${slo.p99}`
+    ];
+    thresholds[`http_req_failed{endpoint:${name}}`] = [`rate<${slo.errorRate}`];
+  });
+
+  return thresholds;
+}
@@ -5,7 +5,10 @@
  * Pattern: DRY principle - reduce code duplication by ~40%
  */
 
-import { CURRENT_HOST, TOKENS } from '../config/env.js';
+import { CURRENT_HOST } from '../config/env.js';
+import { getAccessToken } from '../utils/auth.js';
+import * as fake from './fake-data.js';
+import { random } from './random.js';
 
 // =============================================================================
 // URL BUILDERS
@@ -50,13 +53,16 @@ export function getUrlWithParams(path, params = {}) {
  * @param {string} role - User role (USER, ADMIN, SUPER_USER)
  * @returns {Object} Headers object with Authorization
  *
+ * Uses the current session token (see utils/auth.js), which is
+ * refreshed transparently when AUTH_MODE=login.
+ *
  * Example: getHeaders('ADMIN')
  */
 export function getHeaders(role = 'USER') {
   return {
     'Accept': 'application/json',
     'Content-Type': 'application/json',
-    'Authorization': `Bearer ${TOKENS[role]}`
+    'Authorization': `Bearer ${getAccessToken(role)}`
   };
 }
 
@@ -101,15 +107,22 @@ export function logError(context, message) {
  * Log request failure with details
  * @param {string} context - Test context/name
  * @param {Object} response - k6 response object
+ * @param {string} traceId - Trace ID sent in the traceparent header (optional)
+ *
+ * Example output:
+ * ERROR [get-list]: Request failed with status 500 (trace_id=4bf92f35...): {"error":"..."}
  */
-export function logRequestError(context, response) {
-  logError(context, `Request failed with status ${response.status}: ${response.body?.substring(0, 200) || 'No body'}`);
+export function logRequestError(context, response, traceId = null) {
+  const trace = traceId ? ` (trace_id=${traceId})` : '';
+  logError(context, `Request failed with status ${response.status}${trace}: ${response.body?.substring(0, 200) || 'No body'}`);
 }
 
 // =============================================================================
 // RANDOM DATA GENERATORS
 // =============================================================================
 
+// All values come from random() in helpers/random.js - reproducible with -e SEED
+
 /**
  * Generate random integer between min and max (inclusive)
  * @param {number} min - Minimum value
@@ -117,7 +130,7 @@ export function logRequestError(context, response) {
  * @returns {number} Random integer
  */
 export function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -126,7 +139,7 @@ export function randomInt(min, max) {
  * @returns {*} Random item from array
  */
 export function randomItem(array) {
-  return array[Math.floor(Math.random() * array.length)];
+  return array[Math.floor(random() * array.length)];
 }
 
 /**
@@ -138,17 +151,17 @@ export function randomString(length = 10) {
   const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
   let result = '';
   for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+    result += chars.charAt(Math.floor(random() * chars.length));
   }
   return result;
 }
 
 /**
  * Generate random email
- * @returns {string} Random email address
+ * @returns {string} Realistic address on an example domain (see helpers/fake-data.js)
  */
 export function randomEmail() {
-  return `test-${randomString(8)}@example.com`;
+  return fake.email();
 }
 
 // =============================================================================
@@ -204,11 +217,16 @@ export function listPayload(options = {}) {
  * Create user payload (example)
  * @param {Object} overrides - Override default values
  * @returns {Object} User creation payload
+ *
+ * Example:
+ * createUserPayload()
+ * // Returns: { name: 'Elena Rossi', email: 'elena.rossi2231@example.net', role: 'USER' }
  */
 export function createUserPayload(overrides = {}) {
+  const name = overrides.name || fake.fullName();
   return {
-    name: overrides.name || `Test User ${randomString(5)}`,
-    email: overrides.email || randomEmail(),
+    name,
+    email: overrides.email || fake.email(name),
     role: overrides.role || 'USER',
     ...overrides
   };
@@ -218,13 +236,17 @@ export function createUserPayload(overrides = {}) {
  * Create product payload (example)
  * @param {Object} overrides - Override default values
  * @returns {Object} Product creation payload
+ *
+ * Example:
+ * createProductPayload({ category: 'books' })
+ * // Returns: { name: 'Compact Linen Notebook', price: 19.99, stock: 7, category: 'books' }
  */
 export function createProductPayload(overrides = {}) {
   return {
-    name: overrides.name || `Product ${randomString(5)}`,
-    price: overrides.price || randomInt(10, 1000),
-    stock: overrides.stock || randomInt(0, 100),
-    category: overrides.category || 'general',
+    name: overrides.name || fake.productName(),
+    price: overrides.price || fake.price({ min: 1, max: 1000 }),
+    stock: overrides.stock || fake.quantity(500),
+    category: overrides.category || fake.category(),
     ...overrides
   };
 }
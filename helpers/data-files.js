@@ -0,0 +1,145 @@
+/**
+ * @file Data file loaders
+ * @description Read CSV/JSON fixture files into plain records
+ *
+ * Pattern: Parse once in init context, share via SharedArray
+ *
+ * Note: open() is only available in the init context, so loadRecords()
+ * must be called at module level or inside a SharedArray callback.
+ */
+
+// =============================================================================
+// CSV PARSING
+// =============================================================================
+
+/**
+ * Parse CSV text into array of row arrays
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} Array of rows (each row is an array of strings)
+ *
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings.
+ */
+function parseCsvRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parse CSV text with header row into records
+ * @param {string} text - CSV content (first line is the header)
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} Array of objects keyed by header names
+ *
+ * Example:
+ * parseCsv('username,password\nuser1,secret')
+ * // Returns: [{ username: 'user1', password: 'secret' }]
+ */
+export function parseCsv(text, delimiter = ',') {
+  const [header, ...rows] = parseCsvRows(text, delimiter);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim());
+
+  return rows.map(row => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = row[index] !== undefined ? row[index].trim() : '';
+    });
+    return record;
+  });
+}
+
+// =============================================================================
+// FILE LOADING
+// =============================================================================
+
+/**
+ * Resolve project-relative path for open()
+ * @param {string} path - Path relative to the project root (or absolute)
+ * @returns {string} Path relative to this module
+ */
+function resolvePath(path) {
+  if (path.startsWith('/')) {
+    return path;
+  }
+  return `../${path.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Load records from CSV or JSON file (init context only)
+ * @param {string} path - File path relative to the project root
+ * @param {Object} options - { format: 'csv'|'json', delimiter: ',' }
+ * @returns {Array} Array of records
+ *
+ * Format is detected from the file extension unless given explicitly.
+ * JSON files must contain an array (or an object with an `items` array).
+ *
+ * Example: loadRecords('data/users.csv')
+ */
+export function loadRecords(path, options = {}) {
+  const format = options.format || (path.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+  const content = open(resolvePath(path));
+
+  if (format === 'json') {
+    const data = JSON.parse(content);
+    const records = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(records)) {
+      throw new Error(`${path}: expected JSON array or object with items array`);
+    }
+    return records;
+  }
+
+  return parseCsv(content, options.delimiter || ',');
+}
+
+/**
+ * Load JSON document from file (init context only)
+ * @param {string} path - File path relative to the project root
+ * @returns {*} Parsed JSON value
+ */
+export function loadJson(path) {
+  return JSON.parse(open(resolvePath(path)));
+}
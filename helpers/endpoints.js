@@ -0,0 +1,117 @@
+/**
+ * @file Endpoint resolution
+ * @description Map request method + path to a named endpoint from ENDPOINTS
+ *
+ * Pattern: One catalog drives request tags, thresholds and reports
+ *
+ * Example:
+ * resolveEndpoint('GET', '/products/42?expand=true')
+ * // Returns: { name: 'products.details', path: '/products/{id}', ... }
+ */
+
+import { ENDPOINTS } from '../config/env.js';
+
+// =============================================================================
+// PATH TEMPLATES
+// =============================================================================
+
+/**
+ * Compile path template into matcher
+ * @param {string} template - Path like '/products/{id}'
+ * @returns {Object} { regex, params } where params is the placeholder count
+ *
+ * Matchers are tested against normalizePath() output.
+ */
+export function compileTemplate(template) {
+  const params = (template.match(/\{[^}]+\}/g) || []).length;
+  const pattern = template
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+
+  return { regex: new RegExp(`^${pattern}/?$`), params };
+}
+
+/**
+ * Strip query string and host from path
+ * @param {string} path - Path or full URL
+ * @returns {string} Path only
+ */
+export function normalizePath(path) {
+  return String(path)
+    .replace(/^https?:\/\/[^/]+/, '')
+    .split('?')[0]
+    .split('#')[0];
+}
+
+/**
+ * Check if path matches template
+ * @param {string} template - Path template like '/users/{id}'
+ * @param {string} path - Actual request path
+ * @returns {boolean} True if path matches
+ */
+export function matchPath(template, path) {
+  return compileTemplate(template).regex.test(normalizePath(path));
+}
+
+// Compiled once per VU
+const CATALOG = Object.entries(ENDPOINTS).map(([name, endpoint]) => ({
+  name,
+  ...endpoint,
+  methods: [].concat(endpoint.method).map(method => method.toUpperCase()),
+  matcher: compileTemplate(endpoint.path)
+}));
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+/**
+ * Find endpoint for request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (query string is ignored)
+ * @returns {Object|null} { name, method, path, critical } or null if not in catalog
+ *
+ * Literal templates win over parameterized ones, so '/products/search'
+ * resolves to products.search rather than products.details.
+ */
+export function resolveEndpoint(method, path) {
+  const requestMethod = String(method).toUpperCase();
+  const requestPath = normalizePath(path);
+  let best = null;
+
+  CATALOG.forEach(entry => {
+    if (!entry.methods.includes(requestMethod) || !entry.matcher.regex.test(requestPath)) {
+      return;
+    }
+    if (!best || entry.matcher.params < best.matcher.params) {
+      best = entry;
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+
+  return { name: best.name, method: requestMethod, path: best.path, critical: !!best.critical };
+}
+
+/**
+ * Build k6 tags identifying the endpoint of a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {Object} { endpoint, name } tags, or empty object if not in catalog
+ *
+ * The `name` tag groups URLs with different IDs under one template.
+ */
+export function endpointTags(method, path) {
+  const endpoint = resolveEndpoint(method, path);
+  if (!endpoint) {
+    return {};
+  }
+
+  return {
+    endpoint: endpoint.name,
+    name: `${endpoint.method} ${endpoint.path}`
+  };
+}
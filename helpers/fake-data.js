@@ -0,0 +1,390 @@
+/**
+ * @file Fake data
+ * @description Realistic synthetic values for request payloads
+ *
+ * Pattern: Plain word lists and distributions, no dependencies - every value
+ *          is drawn from random() in helpers/random.js, so -e SEED=<n>
+ *          reproduces the data of any VU/iteration (except the run-unique
+ *          email suffix)
+ *
+ * Emails use reserved example domains (RFC 2606) and phone numbers the
+ * fictional 555-01xx range, so generated data never reaches real people.
+ *
+ * Usage:
+ *   import { fullName, email, price, lorem } from '../../helpers/fake-data.js';
+ *   const name = fullName();                         // 'Maria Kowalski'
+ *   const payload = { name, email: email(name), price: price(), notes: lorem(2048) };
+ */
+
+import exec from 'k6/execution';
+import { RUN_ID } from '../config/env.js';
+import { hashSeed, random } from './random.js';
+
+// =============================================================================
+// WORD LISTS
+// =============================================================================
+
+const FIRST_NAMES = [
+  'James', 'Mary', 'Robert', 'Patricia', 'John', 'Jennifer', 'Michael', 'Linda', 'David', 'Elizabeth',
+  'William', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica', 'Thomas', 'Sarah', 'Daniel', 'Karen',
+  'Anna', 'Piotr', 'Maria', 'Tomasz', 'Katarzyna', 'Lukas', 'Sophie', 'Mateo', 'Lucia', 'Noah',
+  'Emma', 'Liam', 'Olivia', 'Hugo', 'Chloe', 'Ivan', 'Elena', 'Yuki', 'Wei', 'Priya'
+];
+
+const LAST_NAMES = [
+  'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez',
+  'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore', 'Jackson', 'Martin', 'Lee', 'Thompson', 'White',
+  'Nowak', 'Kowalski', 'Wisniewski', 'Mueller', 'Schmidt', 'Rossi', 'Bianchi', 'Dubois', 'Laurent', 'Novak',
+  'Ivanov', 'Tanaka', 'Sato', 'Chen', 'Wang', 'Patel', 'Singh', 'Silva', 'Santos', 'Jensen'
+];
+
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net', 'mail.example.com', 'inbox.example.org', 'corp.example.net'];
+
+const STREET_NAMES = ['Main', 'Oak', 'Maple', 'Cedar', 'Park', 'Lake', 'Hill', 'Church', 'Mill', 'River', 'Station', 'Market'];
+const STREET_TYPES = ['Street', 'Avenue', 'Road', 'Lane', 'Drive', 'Way', 'Boulevard', 'Court'];
+
+// City, postal code pattern (# = digit) and country code
+const CITIES = [
+  { city: 'Springfield', postalCode: '#####', country: 'US' },
+  { city: 'Riverside', postalCode: '#####', country: 'US' },
+  { city: 'Warszawa', postalCode: '##-###', country: 'PL' },
+  { city: 'Kraków', postalCode: '##-###', country: 'PL' },
+  { city: 'Berlin', postalCode: '#####', country: 'DE' },
+  { city: 'München', postalCode: '#####', country: 'DE' },
+  { city: 'Lyon', postalCode: '#####', country: 'FR' },
+  { city: 'Manchester', postalCode: 'M# #AA', country: 'GB' }
+];
+
+const PRODUCT_ADJECTIVES = ['Classic', 'Compact', 'Deluxe', 'Ergonomic', 'Lightweight', 'Portable', 'Premium', 'Rugged', 'Sleek', 'Smart'];
+const PRODUCT_MATERIALS = ['Bamboo', 'Ceramic', 'Cotton', 'Leather', 'Steel', 'Wooden', 'Wool', 'Glass', 'Aluminum', 'Linen'];
+const PRODUCT_NOUNS = ['Bottle', 'Chair', 'Backpack', 'Lamp', 'Keyboard', 'Mug', 'Notebook', 'Speaker', 'Jacket', 'Watch'];
+
+// Category and weight - a few categories hold most of the catalogue
+const CATEGORIES = [
+  ['general', 30], ['electronics', 25], ['home', 15], ['clothing', 12],
+  ['books', 8], ['sports', 5], ['toys', 3], ['garden', 2]
+];
+
+const LOREM_WORDS = (
+  'lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore ' +
+  'magna aliqua enim ad minim veniam quis nostrud exercitation ullamco laboris nisi aliquip ex ea commodo ' +
+  'consequat duis aute irure in reprehenderit voluptate velit esse cillum fugiat nulla pariatur excepteur sint ' +
+  'occaecat cupidatat non proident sunt culpa qui officia deserunt mollit anim id est laborum'
+).split(' ');
+
+/**
+ * Strings that commonly break validation, encoding or storage
+ * - combining: Accents as separate code points (e + U+0301 instead of U+00E9)
+ * - astral:    4-byte UTF-8 / UTF-16 surrogate pairs
+ * - zwj:       Emoji joined by zero-width joiners (one glyph, many code points)
+ * - rtl:       Right-to-left scripts
+ * - cjk:       3-byte UTF-8 characters
+ * - diacritics, apostrophe, hyphenated: Valid real-world names
+ * - whitespace: Non-breaking and zero-width spaces
+ * - quotes:    Characters needing escaping in JSON/SQL/HTML
+ */
+export const UNICODE_EDGE_CASES = {
+  combining: 'Rene\u0301e Zoe\u0308',
+  astral: 'Test \u{1F600}\u{1F680} \u{1D518}\u{1D52B}\u{1D526}',
+  zwj: 'Family \u{1F468}\u200D\u{1F469}\u200D\u{1F467}',
+  rtl: 'שלום مرحبا',
+  cjk: '山田 太郎',
+  diacritics: 'Łukasz Żółć-Gęślą',
+  apostrophe: "Seán O'Brien",
+  hyphenated: 'Anna-Maria Müller-Lüdenscheidt',
+  whitespace: 'Non\u00A0breaking\u200Bspace',
+  quotes: '"Quoted" <b>&amp;</b> \\ \' ; --'
+};
+
+// =============================================================================
+// PRIMITIVES
+// =============================================================================
+
+/**
+ * Random integer between min and max (inclusive)
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} Integer
+ */
+function int(min, max) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * Random item from array
+ * @param {Array} array - Source array
+ * @returns {*} Item
+ */
+function pick(array) {
+  return array[Math.floor(random() * array.length)];
+}
+
+/**
+ * Pick value by weight
+ * @param {Array} entries - [[value, weight], ...]
+ * @returns {*} Value
+ *
+ * Example: weighted([['in stock', 9], ['sold out', 1]]) // 'in stock' 90% of the time
+ */
+export function weighted(entries) {
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [value, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) {
+      return value;
+    }
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Standard normal value (Box-Muller)
+ * @returns {number} Value with mean 0 and standard deviation 1
+ */
+function gaussian() {
+  const u = 1 - random(); // (0, 1] - log(0) is -Infinity
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Replace # with digits and A with uppercase letters
+ * @param {string} pattern - e.g. '##-###'
+ * @returns {string} e.g. '02-417'
+ */
+function fillPattern(pattern) {
+  return pattern.replace(/#/g, () => String(int(0, 9))).replace(/A/g, () => String.fromCharCode(int(65, 90)));
+}
+
+// =============================================================================
+// PEOPLE
+// =============================================================================
+
+/**
+ * First name
+ * @returns {string} e.g. 'Katarzyna'
+ */
+export function firstName() {
+  return pick(FIRST_NAMES);
+}
+
+/**
+ * Last name
+ * @returns {string} e.g. 'Tanaka'
+ */
+export function lastName() {
+  return pick(LAST_NAMES);
+}
+
+/**
+ * Full name
+ * @returns {string} e.g. 'Hugo Jensen'
+ */
+export function fullName() {
+  return `${firstName()} ${lastName()}`;
+}
+
+// Emails generated by this VU (module state is per VU)
+let emailCount = 0;
+
+/**
+ * Email address on a reserved example domain
+ * @param {string} name - Name to derive the local part from (default: new full name)
+ * @returns {string} e.g. 'hugo.jensen.1x9k2mf.3.17@example.org'
+ *
+ * The suffix is the hashed RUN_ID, the VU and a per-VU counter, so addresses
+ * never repeat within a run, and seeded replays (same SEED, new RUN_ID from
+ * run.sh) get new ones. Non-ASCII letters are transliterated or dropped.
+ */
+export function email(name = fullName()) {
+  const local = name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .replace(/ł/gi, 'l')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '.')
+    .replace(/^\.+|\.+$/g, '') || 'user';
+  emailCount++;
+  return `${local}.${hashSeed(RUN_ID).toString(36)}.${exec.vu.idInTest}.${emailCount}@${pick(EMAIL_DOMAINS)}`;
+}
+
+/**
+ * Phone number in E.164 format from the fictional 555-01xx range
+ * @returns {string} e.g. '+14155550142'
+ */
+export function phone() {
+  return `+1${int(200, 999)}5550${int(100, 199)}`;
+}
+
+// =============================================================================
+// ADDRESSES
+// =============================================================================
+
+/**
+ * Postal address
+ * @returns {Object} { street, city, postalCode, country }
+ *
+ * Example: { street: '417 Maple Avenue', city: 'Kraków', postalCode: '31-204', country: 'PL' }
+ */
+export function address() {
+  const place = pick(CITIES);
+  return {
+    street: `${int(1, 9999)} ${pick(STREET_NAMES)} ${pick(STREET_TYPES)}`,
+    city: place.city,
+    postalCode: fillPattern(place.postalCode),
+    country: place.country
+  };
+}
+
+// =============================================================================
+// IDENTIFIERS & DATES
+// =============================================================================
+
+/**
+ * UUID version 4
+ * @returns {string} e.g. '3b241101-e2bb-4255-8caf-4136c566a962'
+ */
+export function uuid() {
+  const hex = (count) => Array.from({ length: count }, () => int(0, 15).toString(16)).join('');
+  return `${hex(8)}-${hex(4)}-4${hex(3)}-${pick(['8', '9', 'a', 'b'])}${hex(3)}-${hex(12)}`;
+}
+
+/**
+ * Date between two points in time
+ * @param {Object} options - { from: Date|string, to: Date|string } (default: last year)
+ * @returns {string} ISO 8601 timestamp
+ *
+ * Example: date({ from: '2024-01-01', to: '2024-12-31' }) // '2024-07-19T08:41:02.113Z'
+ */
+export function date(options = {}) {
+  const to = options.to ? new Date(options.to).getTime() : Date.now();
+  const from = options.from ? new Date(options.from).getTime() : to - 365 * 24 * 3600 * 1000;
+  return new Date(from + Math.floor(random() * (to - from))).toISOString();
+}
+
+/**
+ * Date within the last days (relative to now - use date() with fixed bounds
+ * when the value must be the same on a seeded replay)
+ * @param {number} days - How far back
+ * @returns {string} ISO 8601 timestamp
+ */
+export function pastDate(days = 30) {
+  return date({ from: Date.now() - days * 24 * 3600 * 1000, to: Date.now() });
+}
+
+/**
+ * Date within the next days
+ * @param {number} days - How far ahead
+ * @returns {string} ISO 8601 timestamp
+ */
+export function futureDate(days = 30) {
+  return date({ from: Date.now(), to: Date.now() + days * 24 * 3600 * 1000 });
+}
+
+// =============================================================================
+// COMMERCE
+// =============================================================================
+
+/**
+ * Price with a retail-like distribution
+ * @param {Object} options - { min: 1, max: 5000, median: 40 }
+ * @returns {number} Price with 2 decimals
+ *
+ * Prices are log-normal (many cheap items, a long tail of expensive ones) and
+ * mostly end in .99 or .49, like real catalogues.
+ *
+ * Example: price() // 24.99
+ */
+export function price(options = {}) {
+  const { min = 1, max = 5000, median = 40 } = options;
+  const raw = Math.min(max, Math.max(min, Math.exp(Math.log(median) + gaussian())));
+  const ending = weighted([[0.99, 6], [0.49, 2], [0, 2]]);
+  const value = ending === 0 ? Math.round(raw) : Math.floor(raw) + ending;
+  return Number(Math.min(max, Math.max(min, value)).toFixed(2));
+}
+
+/**
+ * Stock quantity - mostly low, sometimes empty, rarely large
+ * @param {number} max - Maximum quantity
+ * @returns {number} Integer 0..max
+ */
+export function quantity(max = 1000) {
+  const [low, high] = weighted([[[0, 0], 1], [[1, 20], 6], [[21, 200], 2], [[201, 1000], 1]]);
+  return Math.min(max, int(low, high));
+}
+
+/**
+ * Product name
+ * @returns {string} e.g. 'Ergonomic Bamboo Lamp'
+ */
+export function productName() {
+  return `${pick(PRODUCT_ADJECTIVES)} ${pick(PRODUCT_MATERIALS)} ${pick(PRODUCT_NOUNS)}`;
+}
+
+/**
+ * Product category, weighted towards the large ones
+ * @returns {string} e.g. 'electronics'
+ */
+export function category() {
+  return weighted(CATEGORIES);
+}
+
+// =============================================================================
+// TEXT
+// =============================================================================
+
+/**
+ * Lorem ipsum text of exact UTF-8 size
+ * @param {number} bytes - Target size in bytes
+ * @returns {string} ASCII sentences, exactly `bytes` long
+ *
+ * Example:
+ * post('/documents', { body: lorem(64 * 1024) }) // 64 KB payload field
+ */
+export function lorem(bytes = 200) {
+  let text = '';
+  let sentenceStart = true;
+  while (text.length < bytes) {
+    const word = pick(LOREM_WORDS);
+    text += sentenceStart ? word[0].toUpperCase() + word.slice(1) : word;
+    sentenceStart = random() < 0.12;
+    text += sentenceStart ? '. ' : ' ';
+  }
+  // Cut to size and end on a non-space character
+  return text.slice(0, bytes).replace(/ $/, '.');
+}
+
+/**
+ * Size of string in UTF-8 bytes
+ * @param {string} text - Text
+ * @returns {number} Byte count (what Content-Length and size limits see)
+ *
+ * Example: utf8Bytes('Zoë 😀') // 9
+ */
+export function utf8Bytes(text) {
+  let bytes = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+}
+
+/**
+ * Unicode edge case string
+ * @param {string} kind - Key of UNICODE_EDGE_CASES (default: random)
+ * @returns {string} Edge case text
+ * @throws {Error} On unknown kind
+ *
+ * Example:
+ * createUserPayload({ name: unicodeEdgeCase('combining') })
+ */
+export function unicodeEdgeCase(kind) {
+  if (kind === undefined) {
+    return UNICODE_EDGE_CASES[pick(Object.keys(UNICODE_EDGE_CASES))];
+  }
+  if (!(kind in UNICODE_EDGE_CASES)) {
+    throw new Error(`Unknown Unicode edge case '${kind}' (use: ${Object.keys(UNICODE_EDGE_CASES).join(', ')})`);
+  }
+  return UNICODE_EDGE_CASES[kind];
+}
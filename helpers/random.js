@@ -0,0 +1,131 @@
+/**
+ * @file Seeded random numbers
+ * @description Reproducible PRNG behind every random choice of the tests
+ *
+ * Pattern: mulberry32 generator, reseeded per VU and iteration from -e SEED
+ *
+ * Used by the random helpers in helpers/common.js, helpers/fake-data.js,
+ * traffic mixes, data sources and user pools - a test that draws through
+ * them sends the same request sequence for the same seed. Retry jitter,
+ * contract sampling and trace IDs stay unseeded.
+ *
+ * Without SEED, random() is Math.random(). With SEED every iteration gets its
+ * own generator seeded from (SEED, scenario, VU, iteration), so iteration 12
+ * of VU 3 draws the same values on every run with that seed - regardless of
+ * timing, other VUs or how many values earlier iterations used:
+ *   k6 run -e SEED=4711 tests/example/post-endpoint.js
+ *
+ * run.sh picks a seed when none is given and prints it, so every run can be replayed.
+ *
+ * Usage:
+ *   const rng = createRng('fixtures');  // own generator, independent of SEED
+ *   rng.int(1, 6);
+ *   random();                            // SEED-derived value in [0, 1)
+ */
+
+import exec from 'k6/execution';
+
+// =============================================================================
+// GENERATOR
+// =============================================================================
+
+/**
+ * Hash values into 32-bit seed (FNV-1a)
+ * @param {...*} parts - Values joined with ':'
+ * @returns {number} Unsigned 32-bit integer
+ *
+ * Example: hashSeed('4711', 'default', 3, 12) => 1115496051
+ */
+export function hashSeed(...parts) {
+  const text = parts.join(':');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create seeded generator
+ * @param {number|string} seed - Seed (strings are hashed)
+ * @returns {Object} Generator { next(), int(min, max), pick(array) }
+ *
+ * Example:
+ * const rng = createRng(42);
+ * rng.next();        // 0.6011037519201636 - same for every createRng(42)
+ * rng.int(1, 6);     // 3
+ */
+export function createRng(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+
+  // mulberry32 - small, fast and good enough for test data
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    pick: (array) => array[Math.floor(next() * array.length)]
+  };
+}
+
+// =============================================================================
+// SEED
+// =============================================================================
+
+const SEED = __ENV.SEED || null;
+
+// Generator of the current iteration (module state is per VU in k6)
+let current = { key: null, rng: null };
+
+/**
+ * Key of the current iteration
+ * @returns {string} 'scenario:vu:iteration' ('init' outside iterations)
+ */
+function iterationKey() {
+  try {
+    return `${exec.scenario.name}:${exec.vu.idInTest}:${exec.vu.iterationInScenario}`;
+  } catch (e) {
+    // init context, setup() and teardown() run outside any scenario
+    return 'init';
+  }
+}
+
+/**
+ * Seed from -e SEED
+ * @returns {string|null} Seed or null when runs are not seeded
+ */
+export function getSeed() {
+  return SEED;
+}
+
+/**
+ * Seed for run headers
+ * @returns {string} Seed, or a hint how to make the run replayable
+ *
+ * Example: console.log(`Seed: ${describeSeed()}`);
+ */
+export function describeSeed() {
+  return SEED !== null ? SEED : 'none (pass -e SEED=<value> to make the run replayable)';
+}
+
+/**
+ * Random number for the current iteration
+ * @returns {number} Value in [0, 1) - seeded per iteration when SEED is set
+ */
+export function random() {
+  if (SEED === null) {
+    return Math.random();
+  }
+  const key = iterationKey();
+  if (current.key !== key) {
+    current = { key, rng: createRng(hashSeed(SEED, key)) };
+  }
+  return current.rng.next();
+}
@@ -0,0 +1,507 @@
+/**
+ * @file Scenario builders
+ * @description Turn LOAD_PROFILES entries into k6 scenario executor configs
+ *
+ * Pattern: Declarative profiles, one builder for every executor type
+ *
+ * Usage:
+ *   const profile = getProfile();
+ *
+ *   export const options = {
+ *     scenarios: {
+ *       default: buildScenario(profile),
+ *       writes: buildScenario(profile, { exec: 'createTest', scale: 0.3 })
+ *     }
+ *   };
+ *
+ * Traffic mixes split one profile across weighted scenarios:
+ *   const mix = buildTrafficMix([
+ *     { name: 'get_list', exec: 'listTest', weight: 70, slo: ENDPOINT_SLO.products.list },
+ *     { name: 'create', exec: 'createTest', weight: 30, slo: ENDPOINT_SLO.users.create }
+ *   ], profile);
+ *
+ *   export const options = { scenarios: mix.scenarios, thresholds: mix.thresholds };
+ */
+
+import { generateScenarioThresholds } from '../config/slo.js';
+import { loadJson } from './data-files.js';
+import { random } from './random.js';
+
+// =============================================================================
+// EXECUTOR DEFINITIONS
+// =============================================================================
+
+/**
+ * Profile fields used by each supported executor
+ * `required` fields must be present, `optional` fields are copied when set.
+ */
+export const EXECUTORS = {
+  'constant-vus': {
+    required: ['vus', 'duration'],
+    optional: []
+  },
+  'ramping-vus': {
+    required: ['stages'],
+    optional: ['startVUs', 'gracefulRampDown']
+  },
+  'constant-arrival-rate': {
+    required: ['rate', 'duration', 'preAllocatedVUs'],
+    optional: ['timeUnit', 'maxVUs']
+  },
+  'ramping-arrival-rate': {
+    required: ['stages', 'preAllocatedVUs'],
+    optional: ['startRate', 'timeUnit', 'maxVUs']
+  },
+  'per-vu-iterations': {
+    required: ['vus', 'iterations'],
+    optional: ['maxDuration']
+  },
+  'shared-iterations': {
+    required: ['vus', 'iterations'],
+    optional: ['maxDuration']
+  }
+};
+
+// Options accepted by every executor
+const COMMON_FIELDS = ['startTime', 'gracefulStop'];
+
+// Fields holding VU counts or iteration rates - multiplied by `scale`
+const SCALED_FIELDS = ['vus', 'startVUs', 'preAllocatedVUs', 'maxVUs', 'rate', 'startRate'];
+
+// =============================================================================
+// DURATION HELPERS
+// =============================================================================
+
+/**
+ * Parse k6 duration string into milliseconds
+ * @param {string|number} duration - Duration like '1m30s', '2h', '500ms' (numbers are ms)
+ * @returns {number} Duration in milliseconds
+ */
+export function parseDuration(duration) {
+  if (typeof duration === 'number') {
+    return duration;
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let match;
+
+  while ((match = pattern.exec(String(duration))) !== null) {
+    total += parseFloat(match[1]) * units[match[2]];
+  }
+
+  return total;
+}
+
+/**
+ * Format milliseconds as k6 duration string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration like '1h5m30s'
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  const parts = [];
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if (seconds || parts.length === 0) parts.push(`${seconds}s`);
+  return parts.join('');
+}
+
+// =============================================================================
+// SCALING
+// =============================================================================
+
+/**
+ * Scale VU count or rate, keeping at least 1 for non-zero values
+ * @param {number} value - Original value
+ * @param {number} scale - Multiplier
+ * @returns {number} Scaled integer value
+ */
+function scaleValue(value, scale) {
+  if (scale === 1 || !value) {
+    return value;
+  }
+  return Math.max(1, Math.ceil(value * scale));
+}
+
+/**
+ * Scale profile load (VUs, rates and stage targets)
+ * @param {Object} profile - Load profile
+ * @param {number} scale - Multiplier (e.g. 0.3 for 30% of the profile)
+ * @returns {Object} New profile with scaled values
+ *
+ * Example: scaleProfile(LOAD_PROFILES.HEAVY, 0.5) // 50 VUs, 10m
+ */
+export function scaleProfile(profile, scale = 1) {
+  const scaled = { ...profile };
+
+  SCALED_FIELDS.forEach(field => {
+    if (scaled[field] !== undefined) {
+      scaled[field] = scaleValue(scaled[field], scale);
+    }
+  });
+
+  if (scaled.stages) {
+    scaled.stages = scaled.stages.map(stage => ({
+      ...stage,
+      target: scaleValue(stage.target, scale)
+    }));
+  }
+
+  return scaled;
+}
+
+// =============================================================================
+// SCENARIO BUILDER
+// =============================================================================
+
+/**
+ * Build k6 scenario config from load profile
+ * @param {Object} profile - Load profile (see LOAD_PROFILES)
+ * @param {Object} options - { exec, scale, tags, env, startTime, gracefulStop }
+ * @returns {Object} Scenario config for options.scenarios
+ *
+ * Example:
+ * buildScenario(LOAD_PROFILES.SPIKE, { exec: 'listTest', tags: { test_type: 'get-list' } })
+ * // Returns: { executor: 'ramping-vus', startVUs: 0, stages: [...], exec: 'listTest', tags: {...} }
+ */
+export function buildScenario(profile, options = {}) {
+  const executor = profile.executor || 'constant-vus';
+  const definition = EXECUTORS[executor];
+
+  if (!definition) {
+    throw new Error(`Unsupported executor '${executor}' (use: ${Object.keys(EXECUTORS).join(', ')})`);
+  }
+
+  const source = scaleProfile({ ...profile, ...pick(options, COMMON_FIELDS) }, options.scale || 1);
+
+  const missing = definition.required.filter(field => source[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Profile for '${executor}' is missing: ${missing.join(', ')}`);
+  }
+
+  const scenario = {
+    executor,
+    ...pick(source, [...definition.required, ...definition.optional, ...COMMON_FIELDS])
+  };
+
+  if (options.exec) scenario.exec = options.exec;
+  if (options.tags) scenario.tags = { ...options.tags };
+  if (options.env) scenario.env = { ...options.env };
+
+  return scenario;
+}
+
+/**
+ * Copy selected fields that are set
+ * @param {Object} source - Source object
+ * @param {Array} fields - Field names
+ * @returns {Object} Object with defined fields only
+ */
+function pick(source, fields) {
+  const result = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+}
+
+// =============================================================================
+// PROFILE SUMMARY
+// =============================================================================
+
+/**
+ * Summarize profile for run headers and reports
+ * @param {Object} profile - Load profile
+ * @returns {Object} { executor, maxVUs, duration, load }
+ *
+ * Example:
+ * describeProfile(LOAD_PROFILES.SPIKE)
+ * // Returns: { executor: 'ramping-vus', maxVUs: 100, duration: '5m20s', load: '0 -> 100 VUs' }
+ */
+export function describeProfile(profile) {
+  const executor = profile.executor || 'constant-vus';
+  const stages = profile.stages || [];
+  const durationMs = stages.length > 0
+    ? stages.reduce((total, stage) => total + parseDuration(stage.duration), 0)
+    : parseDuration(profile.duration || profile.maxDuration || 0);
+
+  const targets = stages.map(stage => stage.target);
+  let load;
+  let maxVUs;
+
+  if (executor === 'ramping-vus') {
+    maxVUs = Math.max(profile.startVUs || 0, ...targets);
+    load = `${profile.startVUs || 0} -> ${maxVUs} VUs`;
+  } else if (executor === 'ramping-arrival-rate') {
+    maxVUs = profile.maxVUs || profile.preAllocatedVUs;
+    load = `${profile.startRate || 0} -> ${Math.max(...targets)} it/${profile.timeUnit || '1s'}`;
+  } else if (executor === 'constant-arrival-rate') {
+    maxVUs = profile.maxVUs || profile.preAllocatedVUs;
+    load = `${profile.rate} it/${profile.timeUnit || '1s'}`;
+  } else {
+    maxVUs = profile.vus;
+    load = `${profile.vus} VUs`;
+  }
+
+  return {
+    executor,
+    maxVUs,
+    duration: formatDuration(durationMs),
+    load
+  };
+}
+
+/**
+ * Summarize scenarios a test runs for run headers and reports
+ * @param {Object} scenarios - k6 scenarios keyed by name (e.g. exec.test.options.scenarios)
+ * @returns {Object} { executor, maxVUs, duration, load }
+ *
+ * A single scenario is described like a profile. Several scenarios are
+ * combined: VUs are summed, duration ends with the last scenario
+ * (startTime included) and load is listed per scenario.
+ *
+ * Example:
+ * describeScenarios({ get_list: { vus: 7, duration: '5m' }, create: { vus: 3, duration: '5m' } })
+ * // Returns: { executor: 'constant-vus', maxVUs: 10, duration: '5m', load: 'get_list: 7 VUs, create: 3 VUs' }
+ */
+export function describeScenarios(scenarios) {
+  const entries = Object.entries(scenarios);
+  if (entries.length === 1) {
+    return describeProfile(entries[0][1]);
+  }
+
+  const described = entries.map(([name, scenario]) => ({
+    name,
+    start: parseDuration(scenario.startTime || 0),
+    ...describeProfile(scenario)
+  }));
+
+  return {
+    executor: [...new Set(described.map(entry => entry.executor))].join(', '),
+    maxVUs: described.reduce((total, entry) => total + (entry.maxVUs || 0), 0),
+    duration: formatDuration(Math.max(...described.map(entry => entry.start + parseDuration(entry.duration)))),
+    load: described.map(entry => `${entry.name}: ${entry.load}`).join(', ')
+  };
+}
+
+// =============================================================================
+// TRAFFIC MIX
+// =============================================================================
+
+/**
+ * Split integer total across weights (largest remainder method)
+ * @param {number} total - Value to split (VUs, rate, stage target)
+ * @param {Array} weights - Relative weights
+ * @param {number} minimum - Minimum share for each weight (applied after splitting)
+ * @returns {Array} Integer shares, summing to total unless raised by minimum
+ *
+ * Example: allocateByWeight(10, [70, 20, 10]) // [7, 2, 1]
+ */
+export function allocateByWeight(total, weights, minimum = 0) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!total || weightSum <= 0) {
+    return weights.map(() => (total ? minimum : 0));
+  }
+
+  const exact = weights.map(weight => (total * weight) / weightSum);
+  const shares = exact.map(Math.floor);
+  let remaining = total - shares.reduce((sum, share) => sum + share, 0);
+
+  // Hand out leftover units to the largest fractional parts
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        shares[index] += 1;
+        remaining -= 1;
+      }
+    });
+
+  return shares.map(share => Math.max(minimum, share));
+}
+
+// Minimum share per field when splitting a profile - scenarios always get
+// at least one VU / iteration, while start values and targets may be 0
+const SPLIT_MINIMUMS = {
+  vus: 1,
+  startVUs: 0,
+  preAllocatedVUs: 1,
+  maxVUs: 1,
+  rate: 1,
+  startRate: 0
+};
+
+/**
+ * Split profile load across weights
+ * @param {Object} profile - Load profile
+ * @param {Array} weights - Relative weights
+ * @returns {Array} One profile per weight
+ */
+export function splitProfile(profile, weights) {
+  const parts = weights.map(() => ({ ...profile }));
+
+  Object.entries(SPLIT_MINIMUMS).forEach(([field, minimum]) => {
+    if (profile[field] !== undefined) {
+      allocateByWeight(profile[field], weights, minimum)
+        .forEach((value, index) => { parts[index][field] = value; });
+    }
+  });
+
+  if (profile.stages) {
+    parts.forEach(part => { part.stages = []; });
+    profile.stages.forEach(stage => {
+      allocateByWeight(stage.target, weights, stage.target > 0 ? 1 : 0)
+        .forEach((target, index) => { parts[index].stages.push({ ...stage, target }); });
+    });
+  }
+
+  return parts;
+}
+
+/**
+ * Parse traffic mix weights override
+ * @param {string} value - JSON object or `name=weight` list
+ * @returns {Object} Weights keyed by scenario name
+ *
+ * Example: parseMixWeights('get_list=60,create=15') // { get_list: 60, create: 15 }
+ */
+export function parseMixWeights(value) {
+  const text = String(value).trim();
+
+  if (text.startsWith('{')) {
+    return JSON.parse(text);
+  }
+
+  const weights = {};
+  text.split(',').filter(Boolean).forEach(pair => {
+    const [name, weight] = pair.split('=').map(part => part.trim());
+    weights[name] = Number(weight);
+  });
+  return weights;
+}
+
+/**
+ * Apply weight overrides from <env>_FILE / <env> env vars
+ * @param {Array} mix - Traffic mix entries ({ name, weight, ... })
+ * @param {Object} options - { env: 'TRAFFIC_MIX' } - env var of this mix
+ * @returns {Array} Mix with overridden weights, zero-weight entries removed
+ * @throws {Error} On override names not in the mix, non-numeric weights or no positive weight
+ *
+ * Every mix reads its own env var, so a suite importing other tests
+ * (run-all.js imports get-endpoint.js) only overrides its own mix.
+ *
+ * Usage:
+ *   k6 run -e TRAFFIC_MIX_FILE=data/traffic-mix.json run-all.js
+ *   k6 run -e TRAFFIC_MIX='{"get_list":60,"get_details":30,"create":10}' run-all.js
+ *   k6 run -e GET_MIX='get_list=90,get_details=10' tests/example/get-endpoint.js
+ */
+export function resolveTrafficMix(mix, options = {}) {
+  const env = options.env || 'TRAFFIC_MIX';
+  const overrides = {
+    ...(__ENV[`${env}_FILE`] ? loadJson(__ENV[`${env}_FILE`]) : {}),
+    ...(__ENV[env] ? parseMixWeights(__ENV[env]) : {})
+  };
+
+  const names = mix.map(entry => entry.name);
+  const unknown = Object.keys(overrides).filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`${env}: unknown scenario(s) ${unknown.join(', ')} (use: ${names.join(', ')})`);
+  }
+
+  const resolved = mix
+    .map(entry => ({
+      ...entry,
+      weight: overrides[entry.name] !== undefined ? Number(overrides[entry.name]) : entry.weight
+    }));
+
+  // Validate before filtering: NaN > 0 is false, so a typo would silently drop the scenario
+  resolved.forEach(entry => {
+    if (Number.isNaN(entry.weight)) {
+      throw new Error(`${env}: weight for '${entry.name}' is not a number`);
+    }
+  });
+
+  const active = resolved.filter(entry => entry.weight > 0);
+  if (active.length === 0) {
+    throw new Error(`${env}: traffic mix has no scenarios with positive weight`);
+  }
+
+  return active;
+}
+
+/**
+ * Build k6 scenarios and SLO thresholds from weighted traffic mix
+ * @param {Array} mix - Entries { name, exec, weight, tags, slo, startTime, env }
+ * @param {Object} profile - Load profile to split across the mix
+ * @param {Object} options - resolveTrafficMix() options ({ env: 'TRAFFIC_MIX' })
+ * @returns {Object} { scenarios, thresholds, weights }
+ *
+ * Each scenario is tagged with test_type (defaults to its name); entries
+ * with an `slo` get matching http_req_duration/http_req_failed thresholds.
+ *
+ * Example:
+ * buildTrafficMix([
+ *   { name: 'get_list', exec: 'getListScenario', weight: 70, slo: ENDPOINT_SLO.products.list },
+ *   { name: 'create', exec: 'createScenario', weight: 30, tags: { operation: 'write' } }
+ * ], LOAD_PROFILES.LIGHT)
+ * // Returns: { scenarios: { get_list: { vus: 7, ... }, create: { vus: 3, ... } }, thresholds: {...} }
+ */
+export function buildTrafficMix(mix, profile, options = {}) {
+  const entries = resolveTrafficMix(mix, options);
+  const parts = splitProfile(profile, entries.map(entry => entry.weight));
+  const weightSum = entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+  const scenarios = {};
+  const weights = {};
+  let thresholds = {};
+
+  entries.forEach((entry, index) => {
+    const tags = { test_type: entry.name, ...entry.tags };
+
+    scenarios[entry.name] = buildScenario(parts[index], {
+      exec: entry.exec,
+      tags,
+      env: entry.env,
+      startTime: entry.startTime
+    });
+
+    weights[entry.name] = entry.weight / weightSum;
+
+    if (entry.slo) {
+      thresholds = { ...thresholds, ...generateScenarioThresholds(entry.slo, tags.test_type) };
+    }
+  });
+
+  return { scenarios, thresholds, weights };
+}
+
+/**
+ * Pick one entry from weighted mix (for mixing inside a single iteration)
+ * @param {Array} mix - Entries with `weight`
+ * @returns {Object} Selected entry
+ *
+ * Example:
+ * const action = selectWeighted(resolveTrafficMix([{ name: 'list', weight: 70 }, { name: 'details', weight: 30 }]));
+ */
+export function selectWeighted(mix) {
+  const weightSum = mix.reduce((sum, entry) => sum + entry.weight, 0);
+  let point = random() * weightSum;
+
+  for (const entry of mix) {
+    point -= entry.weight;
+    if (point < 0) {
+      return entry;
+    }
+  }
+
+  return mix[mix.length - 1];
+}
@@ -0,0 +1,340 @@
+/**
+ * @file Mock behavior
+ * @description Latency distributions, error injection and fault profiles, global or per route
+ *
+ * Pattern: Route settings merged over group settings merged over global settings
+ *
+ * Latency (string or object):
+ *   'none'               no delay
+ *   'fixed:50'           { type: 'fixed', ms: 50 }
+ *   'uniform:20,80'      { type: 'uniform', min: 20, max: 80 }
+ *   'normal:100,20'      { type: 'normal', mean: 100, stddev: 20 }
+ *   'lognormal:80,400'   { type: 'lognormal', median: 80, p99: 400 } - long tail like real APIs
+ *
+ * Errors: { rate: 0.01, statuses: [500, 503] } - share of requests answered
+ * with a random status from `statuses` instead of the real response.
+ *
+ * Faults (on top of latency and errors):
+ *   spike:     { rate: 0.05, ms: 3000 }          extra delay for a share of requests (p99 tail)
+ *   degrade:   { msPerSecond: 100, maxMs: 5000 } extra delay growing with time since traffic started
+ *   drop:      { rate: 0.1 }                     connection closed before a response
+ *   malformed: { rate: 0.3 }                     real status, truncated JSON body
+ *
+ * `fault` selects named profiles from FAULT_PROFILES ('errors', 'drop,malformed', ...);
+ * explicit settings next to it win. 'none' switches every fault off, e.g. for auth
+ * routes under a global fault.
+ *
+ * Rates are spread evenly over requests rather than drawn independently, so
+ * short runs see the configured share.
+ *
+ * Config (JSON file, see mock-server/config.example.json):
+ *   {
+ *     "latency": "lognormal:40,250",
+ *     "errors": { "rate": 0.005 },
+ *     "routes": {
+ *       "products.search": { "latency": "normal:300,50" },
+ *       "users": { "errors": { "rate": 0.05, "statuses": [503] } },
+ *       "products.list": { "fault": "latency-spike" }
+ *     }
+ *   }
+ *
+ * Route keys are endpoint names from ENDPOINTS in config/env.js or their group.
+ */
+
+// =============================================================================
+// LATENCY
+// =============================================================================
+
+const LATENCY_FIELDS = {
+  none: [],
+  fixed: ['ms'],
+  uniform: ['min', 'max'],
+  normal: ['mean', 'stddev'],
+  lognormal: ['median', 'p99']
+};
+
+// z-score of the 99th percentile of the standard normal distribution
+const Z_99 = 2.326;
+
+/**
+ * Parse latency spec
+ * @param {string|number|Object} spec - 'normal:100,20', 50 (fixed ms) or object
+ * @returns {Object} Latency { type, ...params }
+ * @throws {Error} On unknown type or missing parameters
+ *
+ * Example: parseLatency('uniform:20,80') => { type: 'uniform', min: 20, max: 80 }
+ */
+export function parseLatency(spec) {
+  if (spec === undefined || spec === null || spec === 0 || spec === 'none' || spec === '0') {
+    return { type: 'none' };
+  }
+  if (typeof spec === 'number') {
+    return { type: 'fixed', ms: spec };
+  }
+  if (typeof spec === 'object') {
+    return validateLatency({ ...spec });
+  }
+
+  const [type, params = ''] = String(spec).split(':');
+  const values = params.split(',').filter(Boolean).map(Number);
+  const latency = { type };
+  (LATENCY_FIELDS[type] || []).forEach((field, i) => { latency[field] = values[i]; });
+
+  return validateLatency(latency);
+}
+
+function validateLatency(latency) {
+  const fields = LATENCY_FIELDS[latency.type];
+  if (!fields) {
+    throw new Error(`Unknown latency type '${latency.type}' (use: ${Object.keys(LATENCY_FIELDS).join(', ')})`);
+  }
+  const missing = fields.filter(field => typeof latency[field] !== 'number' || isNaN(latency[field]));
+  if (missing.length > 0) {
+    throw new Error(`Latency '${latency.type}' needs ${fields.join(', ')} (missing: ${missing.join(', ')})`);
+  }
+  return latency;
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @returns {number} Sample with mean 0 and stddev 1
+ */
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draw delay from latency distribution
+ * @param {Object} latency - Parsed latency
+ * @returns {number} Delay in milliseconds (>= 0)
+ */
+export function sampleLatency(latency) {
+  switch (latency.type) {
+    case 'fixed':
+      return latency.ms;
+    case 'uniform':
+      return latency.min + Math.random() * (latency.max - latency.min);
+    case 'normal':
+      return Math.max(0, latency.mean + gaussian() * latency.stddev);
+    case 'lognormal': {
+      // median = e^mu, p99 = e^(mu + Z_99 * sigma)
+      const sigma = Math.log(latency.p99 / latency.median) / Z_99;
+      return latency.median * Math.exp(gaussian() * sigma);
+    }
+    default:
+      return 0;
+  }
+}
+
+// =============================================================================
+// FAULTS
+// =============================================================================
+
+/**
+ * Named fault profiles (mock server --fault, `fault` in config)
+ */
+export const FAULT_PROFILES = {
+  none: {
+    errors: { rate: 0 },
+    spike: { rate: 0 },
+    degrade: { msPerSecond: 0 },
+    drop: { rate: 0 },
+    malformed: { rate: 0 }
+  },
+  'latency-spike': { spike: { rate: 0.05, ms: 3000 } },
+  errors: { errors: { rate: 0.1, statuses: [500, 502, 503] } },
+  degradation: { degrade: { msPerSecond: 100, maxMs: 5000 } },
+  drop: { drop: { rate: 0.1 } },
+  malformed: { malformed: { rate: 0.3 } }
+};
+
+const FAULT_DEFAULTS = {
+  errors: { rate: 0, statuses: [500] },
+  spike: { rate: 0, ms: 0 },
+  degrade: { msPerSecond: 0, maxMs: Infinity },
+  drop: { rate: 0 },
+  malformed: { rate: 0 }
+};
+
+/**
+ * Expand fault profile names into settings
+ * @param {string|Array} fault - Profile name(s), comma-separated or array
+ * @returns {Object} Merged settings of the profiles
+ * @throws {Error} On unknown profile
+ *
+ * Example: expandFaults('drop,malformed') => { drop: { rate: 0.1 }, malformed: { rate: 0.3 } }
+ */
+export function expandFaults(fault) {
+  const names = Array.isArray(fault) ? fault : String(fault || '').split(',');
+  return names.map(name => name.trim()).filter(Boolean).reduce((settings, name) => {
+    if (!FAULT_PROFILES[name]) {
+      throw new Error(`Unknown fault '${name}' (use: ${Object.keys(FAULT_PROFILES).join(', ')})`);
+    }
+    return { ...settings, ...FAULT_PROFILES[name] };
+  }, {});
+}
+
+/**
+ * Create trigger firing for a share of calls
+ * @param {number} rate - Share of calls (0-1)
+ * @returns {Function} () => boolean
+ *
+ * Fires every 1/rate-th call from a random phase: a 5% spike hits
+ * 2 of 40 requests, where independent draws would give 0 in 13% of runs.
+ */
+function createTrigger(rate) {
+  let credit = Math.random();
+  return () => {
+    if (rate <= 0) {
+      return false;
+    }
+    credit += rate;
+    if (credit < 1) {
+      return false;
+    }
+    credit -= 1;
+    return true;
+  };
+}
+
+/**
+ * Normalize fault setting
+ * @param {string} name - Setting name (errors, spike, degrade, drop, malformed)
+ * @param {Object} value - Setting from config
+ * @returns {Object} Setting with defaults and, for rated faults, its trigger
+ * @throws {Error} On rate outside 0-1 or non-numeric parameters
+ */
+function normalizeFault(name, value) {
+  const setting = { ...FAULT_DEFAULTS[name], ...value };
+  Object.entries(setting).filter(([field]) => field !== 'statuses').forEach(([field, number]) => {
+    if (typeof number !== 'number' || isNaN(number) || number < 0 || (field === 'rate' && number > 1)) {
+      throw new Error(`${name}.${field} must be ${field === 'rate' ? 'between 0 and 1' : 'a non-negative number'}`);
+    }
+  });
+  if (setting.rate !== undefined) {
+    // One trigger per config entry - a global fault is spread over all routes
+    setting.fire = createTrigger(setting.rate);
+  }
+  return setting;
+}
+
+// =============================================================================
+// ROUTE BEHAVIOR
+// =============================================================================
+
+/**
+ * Normalize behavior settings
+ * @param {Object} settings - { latency, errors, fault, spike, degrade, drop, malformed }
+ * @returns {Object} Settings with parsed latency and fault profiles expanded
+ */
+function normalize(settings = {}) {
+  const { fault, ...explicit } = settings;
+  const expanded = { ...expandFaults(fault), ...explicit };
+  const result = {};
+  if (expanded.latency !== undefined) {
+    result.latency = parseLatency(expanded.latency);
+  }
+  Object.keys(FAULT_DEFAULTS).filter(name => expanded[name] !== undefined).forEach(name => {
+    result[name] = normalizeFault(name, expanded[name]);
+  });
+  return result;
+}
+
+/**
+ * Build behavior resolver from config
+ * @param {Object} config - { latency, errors, fault, ..., routes: { name: { latency, errors, fault, ... } } }
+ * @returns {Function} (routeName) => { latency, errors, spike, degrade, drop, malformed }
+ * @throws {Error} On invalid latency spec or fault (reported at start, not per request)
+ *
+ * Example:
+ * const behaviorFor = createBehavior({ latency: 'fixed:20', routes: { products: { latency: 'fixed:100' } } });
+ * behaviorFor('products.list') // { latency: { type: 'fixed', ms: 100 }, errors: { rate: 0, ... } }
+ */
+export function createBehavior(config = {}) {
+  const defaults = Object.fromEntries(Object.keys(FAULT_DEFAULTS).map(name => [name, normalizeFault(name, {})]));
+  const global = { latency: { type: 'none' }, ...defaults, ...normalize(config) };
+  const routes = Object.fromEntries(Object.entries(config.routes || {}).map(([name, settings]) => [name, normalize(settings)]));
+  const cache = new Map();
+
+  return (routeName) => {
+    if (!cache.has(routeName)) {
+      const group = routeName.split('.')[0];
+      cache.set(routeName, { ...global, ...routes[group], ...routes[routeName] });
+    }
+    return cache.get(routeName);
+  };
+}
+
+/**
+ * Pick injected error for request
+ * @param {Object} behavior - Route behavior
+ * @returns {number|null} Status to answer with, or null for a normal response
+ */
+export function injectedError(behavior) {
+  const { fire, statuses } = behavior.errors;
+  if (!fire()) {
+    return null;
+  }
+  return statuses[Math.floor(Math.random() * statuses.length)];
+}
+
+/**
+ * Extra delay from spike and degradation faults
+ * @param {Object} behavior - Route behavior
+ * @param {number} elapsedMs - Time since traffic started
+ * @returns {number} Delay in milliseconds added to the latency sample
+ */
+export function faultDelay(behavior, elapsedMs) {
+  const { degrade, spike } = behavior;
+  const degradation = Math.min(degrade.maxMs, degrade.msPerSecond * elapsedMs / 1000);
+  return degradation + (spike.fire() ? spike.ms : 0);
+}
+
+/**
+ * Decide whether to drop the connection
+ * @param {Object} behavior - Route behavior
+ * @returns {boolean} True when the request gets no response
+ */
+export function shouldDrop(behavior) {
+  return behavior.drop.fire();
+}
+
+/**
+ * Decide whether to truncate the response body
+ * @param {Object} behavior - Route behavior
+ * @returns {boolean} True when the JSON body should be sent malformed
+ */
+export function shouldMalform(behavior) {
+  return behavior.malformed.fire();
+}
+
+/**
+ * Describe behavior for the startup banner
+ * @param {Object} behavior - Route behavior
+ * @returns {string} e.g. 'latency normal(100,20), errors 1% [500, 503], drop 10%'
+ */
+export function describeBehavior(behavior) {
+  const { type, ...params } = behavior.latency;
+  const { errors, spike, degrade, drop, malformed } = behavior;
+  const percent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+  const parts = [
+    type === 'none' ? 'no latency' : `latency ${type}(${Object.values(params).join(',')})`,
+    errors.rate > 0 ? `errors ${percent(errors.rate)} [${errors.statuses.join(', ')}]` : 'no errors'
+  ];
+  if (spike.rate > 0) {
+    parts.push(`spike ${percent(spike.rate)} +${spike.ms}ms`);
+  }
+  if (degrade.msPerSecond > 0) {
+    parts.push(`degrade +${degrade.msPerSecond}ms/s${isFinite(degrade.maxMs) ? ` (max ${degrade.maxMs}ms)` : ''}`);
+  }
+  if (drop.rate > 0) {
+    parts.push(`drop ${percent(drop.rate)}`);
+  }
+  if (malformed.rate > 0) {
+    parts.push(`malformed ${percent(malformed.rate)}`);
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,267 @@
+/**
+ * @file Mock routes
+ * @description Handlers for the endpoints of the ENDPOINTS catalog used by the examples
+ *
+ * Pattern: Requests are resolved with helpers/endpoints.js, like k6 request tags,
+ *          so a route exists exactly when its ENDPOINTS entry does
+ *
+ * Handlers receive { method, path, params, query, body, store, sessions } and
+ * return { status, body, headers }. Responses follow what the examples expect:
+ * - lists:      { items, totalCount, pageNumber, pageSize } (pageSize max 100)
+ * - records:    ETag header (changes with every update); create adds Location
+ * - validation: 400 { message, errors: [{ field, message }] }
+ * - missing:    404 { message }
+ * - auth:       { accessToken, refreshToken, expiresIn }
+ */
+
+import crypto from 'node:crypto';
+
+const MAX_PAGE_SIZE = 100;
+
+// =============================================================================
+// RESPONSES
+// =============================================================================
+
+const ok = (body, headers) => ({ status: 200, body, headers });
+const created = (body, headers) => ({ status: 201, body, headers });
+const noContent = () => ({ status: 204 });
+const notFound = (what) => ({ status: 404, body: { message: `${what} not found` } });
+const invalid = (errors) => ({ status: 400, body: { message: 'Validation failed', errors } });
+const unauthorized = (message) => ({ status: 401, body: { message } });
+
+/**
+ * Parse pagination and search from query string
+ * @param {URLSearchParams} query - Request query
+ * @returns {Object} { pageNumber, pageSize, search }
+ */
+function listQuery(query) {
+  const number = (name, fallback) => {
+    const value = parseInt(query.get(name), 10);
+    return isNaN(value) || value < 1 ? fallback : value;
+  };
+  return {
+    pageNumber: number('pageNumber', 1),
+    pageSize: Math.min(number('pageSize', 50), MAX_PAGE_SIZE),
+    search: query.get('search') || query.get('q') || query.get('name')
+  };
+}
+
+/**
+ * ETag of record
+ * @param {Object} item - Stored record
+ * @returns {string} Strong entity tag, e.g. '"3f2a9c1b0d4e5f67"'
+ */
+function etag(item) {
+  return `"${crypto.createHash('sha1').update(JSON.stringify(item)).digest('hex').slice(0, 16)}"`;
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate product payload
+ * @param {Object} body - Request body
+ * @param {boolean} partial - PATCH semantics (only given fields)
+ * @returns {Array} Errors [{ field, message }]
+ */
+function productErrors(body, partial = false) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: '', message: 'body must be an object' }];
+  }
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      errors.push({ field: 'name', message: 'name is required' });
+    } else if (body.name.length > 255) {
+      errors.push({ field: 'name', message: 'name must be at most 255 characters' });
+    }
+  }
+  if (body.price !== undefined && (typeof body.price !== 'number' || body.price < 0)) {
+    errors.push({ field: 'price', message: 'price must be a non-negative number' });
+  }
+  if (body.stock !== undefined && (!Number.isInteger(body.stock) || body.stock < 0)) {
+    errors.push({ field: 'stock', message: 'stock must be a non-negative integer' });
+  }
+  return errors;
+}
+
+/**
+ * Validate user payload
+ * @param {Object} body - Request body
+ * @param {boolean} partial - PATCH semantics (only given fields)
+ * @returns {Array} Errors [{ field, message }]
+ */
+function userErrors(body, partial = false) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: '', message: 'body must be an object' }];
+  }
+  if ((!partial || body.name !== undefined) && (typeof body.name !== 'string' || body.name.trim() === '')) {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+  if ((!partial || body.email !== undefined) && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(body.email || '')) {
+    errors.push({ field: 'email', message: 'email must be a valid address' });
+  }
+  return errors;
+}
+
+// =============================================================================
+// RESOURCE HANDLERS
+// =============================================================================
+
+/**
+ * Build CRUD handlers for a collection
+ * @param {string} name - Collection name in store ('products', 'users')
+ * @param {string} label - Resource label for messages
+ * @param {Function} validate - (body, partial) => errors
+ * @returns {Object} Handlers keyed by action (list, details, create, update, delete)
+ */
+function crudHandlers(name, label, validate) {
+  return {
+    list: ({ query, store }) => ok(store[name].list(listQuery(query))),
+
+    details: ({ params, store }) => {
+      const item = store[name].get(params.id);
+      return item ? ok(item, { ETag: etag(item) }) : notFound(label);
+    },
+
+    create: ({ path, body, store }) => {
+      const errors = validate(body);
+      if (errors.length > 0) {
+        return invalid(errors);
+      }
+      const item = store[name].create(body);
+      return created(item, { Location: `${path.replace(/\/+$/, '')}/${item.id}`, ETag: etag(item) });
+    },
+
+    update: ({ method, params, body, store }) => {
+      if (!store[name].get(params.id)) {
+        return notFound(label);
+      }
+      const errors = validate(body, method === 'PATCH');
+      if (errors.length > 0) {
+        return invalid(errors);
+      }
+      const item = store[name].update(params.id, body, method === 'PUT');
+      return ok(item, { ETag: etag(item) });
+    },
+
+    delete: ({ params, store }) => (store[name].remove(params.id) ? noContent() : notFound(label))
+  };
+}
+
+const products = crudHandlers('products', 'Product', productErrors);
+const users = crudHandlers('users', 'User', userErrors);
+
+// =============================================================================
+// AUTH HANDLERS
+// =============================================================================
+
+/**
+ * Issue new token pair
+ * @param {Object} sessions - Session state { tokens, refreshTokens, ttl }
+ * @param {string} username - Logged in user
+ * @returns {Object} Login response body
+ */
+function issueTokens(sessions, username) {
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  const refreshToken = crypto.randomBytes(16).toString('hex');
+  sessions.tokens.set(accessToken, { username, expiresAt: Date.now() + sessions.ttl * 1000 });
+  sessions.refreshTokens.set(refreshToken, username);
+  return { accessToken, refreshToken, expiresIn: sessions.ttl };
+}
+
+const auth = {
+  login: ({ body, sessions }) => {
+    if (!body?.username || !body?.password) {
+      return unauthorized('Invalid credentials');
+    }
+    return ok(issueTokens(sessions, body.username));
+  },
+
+  refresh: ({ body, sessions }) => {
+    const username = sessions.refreshTokens.get(body?.refreshToken);
+    if (!username) {
+      return unauthorized('Invalid refresh token');
+    }
+    // Refresh tokens rotate, like most real APIs
+    sessions.refreshTokens.delete(body.refreshToken);
+    return ok(issueTokens(sessions, username));
+  },
+
+  logout: () => noContent()
+};
+
+/**
+ * Check bearer token of request
+ * @param {Object} sessions - Session state
+ * @param {string} header - Authorization header
+ * @returns {string|null} Error message or null when authorized
+ *
+ * Any bearer token is accepted (static TOKENS work unchanged), except
+ * tokens issued by /auth/login that have expired - so refresh can be tested.
+ */
+export function authError(sessions, header) {
+  const token = /^Bearer\s+(.+)$/i.exec(header || '')?.[1];
+  if (!token) {
+    return 'Missing bearer token';
+  }
+  const session = sessions.tokens.get(token);
+  return session && session.expiresAt < Date.now() ? 'Token expired' : null;
+}
+
+// =============================================================================
+// ROUTE TABLE
+// =============================================================================
+
+/**
+ * Handlers keyed by endpoint name (ENDPOINTS in config/env.js)
+ */
+export const HANDLERS = {
+  'auth.login': auth.login,
+  'auth.refresh': auth.refresh,
+  'auth.logout': auth.logout,
+
+  'users.list': users.list,
+  'users.details': users.details,
+  'users.create': users.create,
+  'users.update': users.update,
+  'users.delete': users.delete,
+
+  'products.list': products.list,
+  'products.search': products.list,
+  'products.details': products.details,
+  'products.create': products.create,
+  'products.update': products.update,
+  'products.delete': products.delete,
+
+  'products.bulk': ({ body, store }) => {
+    const items = Array.isArray(body?.items) ? body.items : null;
+    if (!items || items.length === 0) {
+      return invalid([{ field: 'items', message: 'items must be a non-empty array' }]);
+    }
+    const errors = items.flatMap((item, i) =>
+      productErrors(item).map(error => ({ ...error, field: `items[${i}].${error.field}` })));
+    return errors.length > 0 ? invalid(errors) : created({ items: items.map(item => store.products.create(item)) });
+  }
+};
+
+/**
+ * Extract path parameters
+ * @param {string} template - Path template like '/products/{id}'
+ * @param {string} path - Request path
+ * @returns {Object} Parameters, e.g. { id: '42' }
+ */
+export function pathParams(template, path) {
+  const names = template.split('/');
+  const values = path.split('/');
+  const params = {};
+  names.forEach((segment, i) => {
+    const match = /^\{(.+)\}$/.exec(segment);
+    if (match) {
+      params[match[1]] = decodeURIComponent(values[i] || '');
+    }
+  });
+  return params;
+}
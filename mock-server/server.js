@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * @file Mock API server
+ * @description Offline stand-in for the example API on HOSTS.LOCAL (http://localhost:3000)
+ *
+ * Pattern: Routes resolved from the ENDPOINTS catalog, in-memory storage, no dependencies
+ *
+ * Usage:
+ *   node mock-server/server.js [options]
+ *   ./run.sh -h LOCAL -p SMOKE -t get-endpoint     # in another terminal
+ *
+ * Options:
+ *   --port <n>            Port (default: port of HOSTS.LOCAL)
+ *   --latency <spec>      Latency of every route, e.g. 'lognormal:40,250' (see mock-server/behavior.js)
+ *   --error-rate <0-1>    Share of requests answered with an injected error (default: 0)
+ *   --error-status <list> Statuses of injected errors (default: 500)
+ *   --fault <names>       Fault profiles for every route, e.g. 'errors' or 'drop,malformed'
+ *                         (latency-spike, errors, degradation, drop, malformed - see mock-server/behavior.js)
+ *   --config <file>       JSON config with per-route latency/errors/faults
+ *                         (see mock-server/config.example.json, mock-server/faults.example.json)
+ *   --products <n>        Seeded products (default: 100)
+ *   --users <n>           Seeded users (default: 20)
+ *   --token-ttl <s>       Lifetime of tokens issued by /auth/login (default: 900)
+ *   --quiet               Do not log requests
+ *
+ * Control endpoints:
+ *   GET  /__mock/health   Liveness and collection sizes
+ *   POST /__mock/reset    Restore seeded data (and restart degradation)
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import { colors, fail, parseArgs, splitList } from '../scripts/lib/cli.js';
+import {
+  createBehavior, describeBehavior, faultDelay, injectedError, sampleLatency, shouldDrop, shouldMalform
+} from './behavior.js';
+import { HANDLERS, authError, pathParams } from './routes.js';
+import { createStore } from './store.js';
+
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+/**
+ * Build behavior config from config file and command line
+ * @param {Object} args - Parsed args
+ * @returns {Object} Config for createBehavior() - command line wins
+ */
+function loadConfig(args) {
+  let config = {};
+  if (args.config) {
+    if (!fs.existsSync(args.config)) {
+      fail(`Config not found: ${args.config}`);
+    }
+    try {
+      config = JSON.parse(fs.readFileSync(args.config, 'utf8'));
+    } catch (error) {
+      fail(`${args.config} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (args.latency !== undefined) {
+    config.latency = args.latency;
+  }
+  if (args['error-rate'] !== undefined || args['error-status'] !== undefined) {
+    config.errors = {
+      ...config.errors,
+      ...(args['error-rate'] !== undefined ? { rate: parseFloat(args['error-rate']) } : {}),
+      ...(args['error-status'] !== undefined ? { statuses: splitList(args['error-status']).map(Number) } : {})
+    };
+  }
+  if (args.fault !== undefined) {
+    config.fault = splitList(args.fault);
+  }
+
+  return config;
+}
+
+// =============================================================================
+// HTTP
+// =============================================================================
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read JSON request body
+ * @param {Object} req - Node request
+ * @returns {Promise<*>} Parsed body (undefined when empty)
+ * @throws {SyntaxError} On invalid JSON
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : undefined);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send JSON response
+ * @param {Object} res - Node response
+ * @param {Object} result - { status, body, headers, malformed }
+ *
+ * Malformed bodies keep status and headers but are cut in half,
+ * like a response truncated by a proxy.
+ */
+function send(res, { status, body, headers = {}, malformed = false }) {
+  if (body === undefined) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  const json = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(malformed ? json.slice(0, Math.floor(json.length / 2)) : json);
+}
+
+/**
+ * Close connection without a complete response
+ * @param {Object} socket - Request socket
+ *
+ * A few bytes of the status line go out first: clients retry idempotent
+ * requests closed before the first response byte, which would hide the fault.
+ */
+function dropConnection(socket) {
+  socket.end('HTTP/1.1 ');
+}
+
+/**
+ * Create request handler
+ * @param {Object} context - { store, sessions, behaviorFor, resolveEndpoint, log }
+ * @returns {Function} Node request listener
+ */
+function createHandler({ store, sessions, behaviorFor, resolveEndpoint, log }) {
+  // Degradation grows from the first routed request, not from server start
+  let trafficStart = null;
+
+  const handle = async (req) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Always consume the body, so keep-alive connections stay usable after early responses
+    let body;
+    let bodyError = null;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      bodyError = error;
+    }
+
+    if (url.pathname === '/__mock/health') {
+      return { status: 200, body: { status: 'ok', products: store.products.size(), users: store.users.size() } };
+    }
+    if (url.pathname === '/__mock/reset' && req.method === 'POST') {
+      store.reset();
+      trafficStart = null;
+      return { status: 204 };
+    }
+
+    const endpoint = resolveEndpoint(req.method, url.pathname);
+    if (!endpoint) {
+      return { status: 404, body: { message: `No route for ${req.method} ${url.pathname}` } };
+    }
+    const handler = HANDLERS[endpoint.name];
+    if (!handler) {
+      return { status: 501, body: { message: `No mock for endpoint ${endpoint.name}` } };
+    }
+
+    const behavior = behaviorFor(endpoint.name);
+    trafficStart = trafficStart ?? Date.now();
+    await delay(sampleLatency(behavior.latency) + faultDelay(behavior, Date.now() - trafficStart));
+
+    if (shouldDrop(behavior)) {
+      return { status: 'dropped' };
+    }
+
+    const injected = injectedError(behavior);
+    if (injected) {
+      return { status: injected, body: { message: `Injected error (${endpoint.name})` } };
+    }
+
+    if (!endpoint.name.startsWith('auth.')) {
+      const error = authError(sessions, req.headers.authorization);
+      if (error) {
+        return { status: 401, body: { message: error } };
+      }
+    }
+
+    if (bodyError) {
+      return { status: 400, body: { message: `Invalid JSON body: ${bodyError.message}` } };
+    }
+
+    const result = handler({
+      method: req.method,
+      path: url.pathname,
+      params: pathParams(endpoint.path, url.pathname),
+      query: url.searchParams,
+      body,
+      store,
+      sessions
+    });
+    return result.body !== undefined && shouldMalform(behavior) ? { ...result, malformed: true } : result;
+  };
+
+  return async (req, res) => {
+    const started = Date.now();
+    let result;
+    try {
+      result = await handle(req);
+    } catch (error) {
+      result = { status: 500, body: { message: error.message } };
+    }
+
+    if (result.status === 'dropped') {
+      dropConnection(req.socket);
+    } else {
+      send(res, result);
+    }
+    log(req, result.malformed ? `${result.status} malformed` : result.status, Date.now() - started);
+  };
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { boolean: ['quiet'] });
+  const config = loadConfig(args);
+
+  // config/env.js is a k6 module reading __ENV (see scripts/cleanup.js)
+  globalThis.__ENV = { ...process.env, PROFILE: 'SMOKE' };
+  const { HOSTS } = await import('../config/env.js');
+  const { resolveEndpoint } = await import('../helpers/endpoints.js');
+
+  let behaviorFor;
+  try {
+    behaviorFor = createBehavior(config);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const port = parseInt(args.port || new URL(HOSTS.LOCAL).port || '3000', 10);
+  const store = createStore({
+    products: args.products !== undefined ? parseInt(args.products, 10) : undefined,
+    users: args.users !== undefined ? parseInt(args.users, 10) : undefined
+  });
+  const sessions = { tokens: new Map(), refreshTokens: new Map(), ttl: parseInt(args['token-ttl'] || '900', 10) };
+
+  const log = args.quiet
+    ? () => {}
+    : (req, status, ms) => {
+      const failed = typeof status !== 'number' || status >= 500;
+      const color = failed ? colors.red : status >= 400 ? colors.yellow : colors.dim;
+      console.log(color(`${req.method} ${req.url} ${status} ${ms}ms`));
+    };
+
+  const server = http.createServer(createHandler({ store, sessions, behaviorFor, resolveEndpoint, log }));
+
+  server.on('error', error => fail(`Cannot listen on port ${port}: ${error.message}`));
+  server.listen(port, () => {
+    console.log(colors.blue(`Mock API listening on http://localhost:${port} ` +
+      `(${store.products.size()} products, ${store.users.size()} users)`));
+    console.log(`Default behavior: ${describeBehavior(behaviorFor(''))}`);
+    Object.keys(config.routes || {}).forEach(name => {
+      console.log(`  ${name}: ${describeBehavior(behaviorFor(name))}`);
+    });
+    console.log('Run tests with: ./run.sh -h LOCAL');
+  });
+
+  const stop = () => server.close(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch(error => fail(error.message));
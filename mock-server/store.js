@@ -0,0 +1,121 @@
+/**
+ * @file In-memory store
+ * @description Collections backing the mock API routes
+ *
+ * Pattern: One Map per collection, seeded on start, lost on restart
+ */
+
+// =============================================================================
+// COLLECTION
+// =============================================================================
+
+const CATEGORIES = ['general', 'electronics', 'books', 'garden', 'toys'];
+
+/**
+ * Create collection with numeric auto-increment IDs
+ * @param {Function} seed - (index) => record without id
+ * @param {number} count - Number of seeded records
+ * @returns {Object} { list, get, create, update, remove, reset, size }
+ */
+function createCollection(seed, count) {
+  let items = new Map();
+  let nextId = 1;
+
+  const collection = {
+    /**
+     * List records, newest last
+     * @param {Object} query - { pageNumber, pageSize, search }
+     * @returns {Object} { items, totalCount, pageNumber, pageSize }
+     */
+    list({ pageNumber = 1, pageSize = 50, search = null } = {}) {
+      const needle = search ? String(search).toLowerCase() : null;
+      const matching = [...items.values()].filter(item =>
+        !needle || Object.values(item).some(value => String(value).toLowerCase().includes(needle)));
+      const start = (pageNumber - 1) * pageSize;
+
+      return {
+        items: matching.slice(start, start + pageSize),
+        totalCount: matching.length,
+        pageNumber,
+        pageSize
+      };
+    },
+
+    get(id) {
+      return items.get(Number(id)) || null;
+    },
+
+    // Server-managed fields (id, createdAt, updatedAt) are never taken from the payload
+    create(data) {
+      const now = new Date().toISOString();
+      const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, ...fields } = data;
+      const item = { id: nextId++, ...fields, createdAt: now, updatedAt: now };
+      items.set(item.id, item);
+      return item;
+    },
+
+    update(id, data, replace = false) {
+      const current = collection.get(id);
+      if (!current) {
+        return null;
+      }
+      const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, ...fields } = data;
+      const base = replace ? { id: current.id, createdAt: current.createdAt } : current;
+      const item = { ...base, ...fields, updatedAt: new Date().toISOString() };
+      items.set(item.id, item);
+      return item;
+    },
+
+    remove(id) {
+      return items.delete(Number(id));
+    },
+
+    reset() {
+      items = new Map();
+      nextId = 1;
+      for (let i = 0; i < count; i++) {
+        collection.create(seed(i));
+      }
+    },
+
+    size() {
+      return items.size;
+    }
+  };
+
+  collection.reset();
+  return collection;
+}
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+/**
+ * Create store with seeded products and users
+ * @param {Object} options - { products: 100, users: 20 }
+ * @returns {Object} { products, users, reset }
+ */
+export function createStore(options = {}) {
+  const products = createCollection(i => ({
+    name: `Product ${i + 1}`,
+    price: 10 + ((i * 37) % 990),
+    stock: (i * 13) % 100,
+    category: CATEGORIES[i % CATEGORIES.length]
+  }), options.products ?? 100);
+
+  const users = createCollection(i => ({
+    name: `User ${i + 1}`,
+    email: `user${i + 1}@example.com`,
+    role: i === 0 ? 'ADMIN' : 'USER'
+  }), options.users ?? 20);
+
+  return {
+    products,
+    users,
+    reset() {
+      products.reset();
+      users.reset();
+    }
+  };
+}
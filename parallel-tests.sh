@@ -8,23 +8,32 @@
 # Use for maximum load generation
 #
 # Usage:
-#   ./parallel-tests.sh              # Run with LIGHT profile
+#   ./parallel-tests.sh              # Run with manifest default profiles
 #   ./parallel-tests.sh MEDIUM       # Run with MEDIUM profile
+#   TEST_TAG=smoke ./parallel-tests.sh    # Only tests tagged smoke
+#   TEST_GROUP=example ./parallel-tests.sh # Only tests in group
+#   SEED=4711 ./parallel-tests.sh          # Replay with the seed from the header
+#
+# Tests come from tests/manifest.js (the `suite` group is skipped unless
+# selected with TEST_GROUP). Without a profile argument each test uses
+# its manifest default.
 #
 # =============================================================================
 
 set -e
 
-PROFILE="${1:-LIGHT}"
+PROFILE="${1:-}"
 HOST="${2:-DEV}"
 RESULTS_DIR="./results/parallel_$(date +%Y%m%d_%H%M%S)"
+SEED="${SEED:-$(( (RANDOM << 15) | RANDOM ))}"
 
 echo "╔════════════════════════════════════════════════════════════════╗"
 echo "║                Parallel Test Execution                         ║"
 echo "╚════════════════════════════════════════════════════════════════╝"
 echo ""
-echo "Profile: $PROFILE"
+echo "Profile: ${PROFILE:-manifest default}"
 echo "Host: $HOST"
+echo "Seed: $SEED"
 echo "Results: $RESULTS_DIR"
 echo ""
 
@@ -37,13 +46,18 @@ declare -a PIDS
 run_test_bg() {
     local test_file=$1
     local test_name=$2
+    local profile=${3:-LIGHT}
     local output_file="${RESULTS_DIR}/${test_name}.json"
 
     echo "Starting: $test_name"
 
     k6 run \
-        -e PROFILE="$PROFILE" \
+        -e PROFILE="$profile" \
         -e HOST="$HOST" \
+        -e TEST_NAME="$test_name" \
+        -e REPORT_PREFIX="${RESULTS_DIR}/${test_name}" \
+        -e RUN_ID="$(basename "$RESULTS_DIR")-${test_name}" \
+        -e SEED="$SEED" \
         --out json="$output_file" \
         "$test_file" \
         > "${RESULTS_DIR}/${test_name}.log" 2>&1 &
@@ -51,13 +65,32 @@ run_test_bg() {
     PIDS+=($!)
 }
 
+# Select tests from tests/manifest.js (name<TAB>file<TAB>profile per line)
+SELECTION_ARGS=(--host "$HOST" --format tsv)
+if [ -n "$TEST_GROUP" ]; then
+    SELECTION_ARGS+=(--group "$TEST_GROUP")
+else
+    SELECTION_ARGS+=(--exclude-group suite)
+fi
+if [ -n "$TEST_TAG" ]; then
+    SELECTION_ARGS+=(--tag "$TEST_TAG")
+fi
+
+mapfile -t TESTS < <(node scripts/list-tests.js "${SELECTION_ARGS[@]}")
+
+if [ ${#TESTS[@]} -eq 0 ]; then
+    echo "No tests selected"
+    exit 1
+fi
+
 echo "Starting parallel test execution..."
 echo ""
 
 # Launch all tests in parallel
-run_test_bg "tests/example/get-endpoint.js" "get-endpoint"
-run_test_bg "tests/example/post-endpoint.js" "post-endpoint"
-run_test_bg "tests/example/crud-operations.js" "crud-operations"
+for line in "${TESTS[@]}"; do
+    IFS=$'\t' read -r TEST_NAME TEST_FILE TEST_PROFILE <<< "$line"
+    run_test_bg "$TEST_FILE" "$TEST_NAME" "${PROFILE:-$TEST_PROFILE}"
+done
 
 echo ""
 echo "Waiting for all tests to complete..."
@@ -70,9 +103,9 @@ PASSED=0
 
 for i in "${!PIDS[@]}"; do
     if wait ${PIDS[$i]}; then
-        ((PASSED++))
+        PASSED=$((PASSED + 1))
     else
-        ((FAILED++))
+        FAILED=$((FAILED + 1))
     fi
 done
 
@@ -87,6 +120,7 @@ echo "Passed: $PASSED"
 echo "Failed: $FAILED"
 echo ""
 echo "Results saved to: $RESULTS_DIR"
+echo "Cleanup:  node scripts/cleanup.js run --all --host $HOST $RESULTS_DIR/*.log"
 echo ""
 echo "Logs:"
 for log in "$RESULTS_DIR"/*.log; do
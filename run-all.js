@@ -5,19 +5,36 @@
  * Usage:
  *   k6 run run-all.js
  *   k6 run -e PROFILE=MEDIUM run-all.js
+ *   k6 run -e PROFILE=SPIKE run-all.js
  *   k6 run -e HOST=PROD -e PROFILE=HEAVY run-all.js
  *
- * Scenarios:
+ * Scenarios (default traffic mix):
  *   - get_list: GET list endpoints (70% traffic)
  *   - get_details: GET single item endpoints (20% traffic)
  *   - create: POST create endpoints (10% traffic)
+ *
+ * Override the mix with production ratios:
+ *   k6 run -e TRAFFIC_MIX_FILE=data/traffic-mix.example.json run-all.js
+ *   k6 run -e TRAFFIC_MIX='get_list=60,get_details=30,create=10' run-all.js
+ *
+ * Separate gateway throttling (429) from service errors:
+ *   k6 run -e RATE_LIMIT_EXCLUDE=true -e RATE_LIMIT_PAUSE=true run-all.js
+ *
+ * Check every response against the OpenAPI contract:
+ *   k6 run -e CONTRACT_SPEC=data/openapi.json run-all.js
  */
 
 import { sleep } from 'k6';
-import { getProfile, CURRENT_HOST } from './config/env.js';
-import { DEFAULT_SLO, ENDPOINT_SLO } from './config/slo.js';
+import { getProfile, getProfileName, CURRENT_HOST } from './config/env.js';
+import { describeSeed } from './helpers/random.js';
+import { ENDPOINT_SLO, generateEndpointThresholds, testTrafficKey } from './config/slo.js';
+import { loginAll } from './utils/auth.js';
+import { cleanupRun } from './utils/cleanup.js';
+import { buildTrafficMix, describeProfile } from './helpers/scenarios.js';
+import { SUMMARY_TREND_STATS } from './utils/summary.js';
 
 // Import test functions from individual test files
+// (registered as `all-scenarios` in tests/manifest.js)
 import { listTest, detailsTest } from './tests/example/get-endpoint.js';
 import { createTest } from './tests/example/post-endpoint.js';
 
@@ -26,15 +43,49 @@ import { createTest } from './tests/example/post-endpoint.js';
 // =============================================================================
 
 const profile = getProfile();
-const { vus, duration } = profile;
+const load = describeProfile(profile);
+
+// =============================================================================
+// TRAFFIC MIX
+// =============================================================================
+
+// Weights are relative - the active profile load is split between scenarios
+const TRAFFIC_MIX = [
+  {
+    name: 'get_list',
+    exec: 'getListScenario',
+    weight: 70,
+    tags: { test_type: 'get-list', operation: 'read' },
+    slo: ENDPOINT_SLO.products.list,
+  },
+  {
+    name: 'get_details',
+    exec: 'getDetailsScenario',
+    weight: 20,
+    tags: { test_type: 'get-details', operation: 'read' },
+    slo: ENDPOINT_SLO.products.details,
+  },
+  {
+    name: 'create',
+    exec: 'createScenario',
+    weight: 10,
+    startTime: '10s', // Start slightly delayed
+    tags: { test_type: 'create', operation: 'write' },
+    slo: ENDPOINT_SLO.users.create,
+  },
+];
+
+const mix = buildTrafficMix(TRAFFIC_MIX, profile);
 
 console.log('========================================');
 console.log('k6 Test Suite - All Scenarios');
 console.log('========================================');
 console.log(`Host: ${CURRENT_HOST}`);
-console.log(`Profile: ${__ENV.PROFILE || 'LIGHT'}`);
-console.log(`VUs: ${vus}`);
-console.log(`Duration: ${duration}`);
+console.log(`Profile: ${getProfileName()} (${load.executor})`);
+console.log(`Load: ${load.load}`);
+console.log(`Duration: ${load.duration}`);
+console.log(`Seed: ${describeSeed()}`);
+console.log(`Mix: ${Object.entries(mix.weights).map(([name, share]) => `${name} ${Math.round(share * 100)}%`).join(', ')}`);
 console.log('========================================');
 
 // =============================================================================
@@ -42,68 +93,43 @@ console.log('========================================');
 // =============================================================================
 
 export const options = {
-  scenarios: {
-    // GET List - High traffic (70%)
-    get_list: {
-      exec: 'getListScenario',
-      executor: 'constant-vus',
-      vus: Math.ceil(vus * 0.7),
-      duration: duration,
-      startTime: '0s',
-      tags: { test_type: 'get-list', operation: 'read' },
-    },
-
-    // GET Details - Medium traffic (20%)
-    get_details: {
-      exec: 'getDetailsScenario',
-      executor: 'constant-vus',
-      vus: Math.ceil(vus * 0.2),
-      duration: duration,
-      startTime: '0s',
-      tags: { test_type: 'get-details', operation: 'read' },
-    },
-
-    // POST Create - Low traffic (10%)
-    create: {
-      exec: 'createScenario',
-      executor: 'constant-vus',
-      vus: Math.ceil(vus * 0.1) || 1, // At least 1 VU
-      duration: duration,
-      startTime: '10s', // Start slightly delayed
-      tags: { test_type: 'create', operation: 'write' },
-    },
-  },
+  summaryTrendStats: SUMMARY_TREND_STATS,
+
+  // Each scenario runs the active profile shape (constant, ramping,
+  // arrival-rate...) with its share of the traffic
+  scenarios: mix.scenarios,
 
   // =============================================================================
   // THRESHOLDS
   // =============================================================================
 
   thresholds: {
-    // Global thresholds
-    http_req_failed: ['rate<0.05'],            // 95% success rate
-    http_req_duration: ['p(95)<2000'],         // General 95th percentile
-    checks: ['rate>0.90'],                     // 90% check success
-
-    // Per-scenario thresholds (tagged)
-    'http_req_duration{test_type:get-list}': [
-      `p(95)<${ENDPOINT_SLO.products.list.p95}`,
-      `p(99)<${ENDPOINT_SLO.products.list.p99}`
-    ],
-    'http_req_duration{test_type:get-details}': [
-      `p(95)<${ENDPOINT_SLO.products.details.p95}`,
-      `p(99)<${ENDPOINT_SLO.products.details.p99}`
-    ],
-    'http_req_duration{test_type:create}': [
-      `p(95)<${ENDPOINT_SLO.users.create.p95}`,
-      `p(99)<${ENDPOINT_SLO.users.create.p99}`
-    ],
+    // Global thresholds (test requests only, see TRAFFIC_TAGS)
+    [testTrafficKey('http_req_failed')]: ['rate<0.05'],    // 95% success rate (429 excluded with RATE_LIMIT_EXCLUDE=true)
+    http_req_rate_limited: ['rate<0.05'],                  // Throttled by the gateway (see utils/rate-limit.js)
+    contract_violations: ['count<1'],                      // OpenAPI drift with CONTRACT_SPEC (see utils/contract.js)
+    [testTrafficKey('http_req_duration')]: ['p(95)<2000'], // General 95th percentile
+    checks: ['rate>0.90'],                                 // 90% check success
+
+    // Per-scenario SLO thresholds (tagged by test_type)
+    ...mix.thresholds,
+
+    // Per-endpoint SLO thresholds for every ENDPOINT_SLO / ENDPOINTS entry
+    ...generateEndpointThresholds(),
 
     // Operation-level thresholds
-    'http_req_failed{operation:read}': ['rate<0.02'],    // 98% read success
-    'http_req_failed{operation:write}': ['rate<0.05'],   // 95% write success
+    [testTrafficKey('http_req_failed', 'operation:read')]: ['rate<0.02'],    // 98% read success
+    [testTrafficKey('http_req_failed', 'operation:write')]: ['rate<0.05'],   // 95% write success
   },
 };
 
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+// SLO text/JSON/JUnit reports written next to the run.sh JSON output
+export { handleSummary } from './utils/summary.js';
+
 // =============================================================================
 // SETUP & TEARDOWN
 // =============================================================================
@@ -115,8 +141,9 @@ export function setup() {
 
   // Add any setup logic here (e.g., fetch existing IDs, create test data)
   return {
+    auth: loginAll(), // Sessions shared with all scenarios (AUTH_MODE=login)
     startTime: new Date().toISOString(),
-    itemIds: [1, 2, 3, 4, 5], // Example: pre-fetch real IDs from API
+    // itemIds: pre-fetch real IDs from API - detailsTest() falls back to data/product-ids.csv
   };
 }
 
@@ -127,7 +154,8 @@ export function teardown(data) {
   console.log(`Test ended at: ${new Date().toISOString()}`);
   console.log('========================================');
 
-  // Add any cleanup logic here
+  // Delete products created by the create scenario (see utils/cleanup.js)
+  cleanupRun();
 }
 
 // =============================================================================
@@ -138,8 +166,8 @@ export function teardown(data) {
  * GET List Scenario
  * Tests list/pagination endpoints
  */
-export function getListScenario() {
-  listTest();
+export function getListScenario(data) {
+  listTest(data);
 }
 
 /**
@@ -154,69 +182,6 @@ export function getDetailsScenario(data) {
  * Create Scenario
  * Tests resource creation endpoints
  */
-export function createScenario() {
-  createTest();
+export function createScenario(data) {
+  createTest(data);
 }
-
-// =============================================================================
-// ALTERNATIVE: RAMPING SCENARIOS
-// =============================================================================
-
-/**
- * Example: Ramping VUs configuration
- * Uncomment to use instead of constant-vus
- */
-/*
-export const rampingOptions = {
-  scenarios: {
-    ramping_load: {
-      exec: 'mixedScenario',
-      executor: 'ramping-vus',
-      stages: [
-        { duration: '1m', target: Math.ceil(vus * 0.5) },  // Warm up
-        { duration: '3m', target: vus },                    // Ramp to full load
-        { duration: '5m', target: vus },                    // Steady state
-        { duration: '2m', target: Math.ceil(vus * 1.5) },  // Peak
-        { duration: '2m', target: vus },                    // Back to normal
-        { duration: '1m', target: 0 },                      // Ramp down
-      ],
-    },
-  },
-};
-
-export function mixedScenario(data) {
-  const rand = Math.random();
-
-  if (rand < 0.70) {
-    listTest();
-  } else if (rand < 0.90) {
-    detailsTest(data);
-  } else {
-    createTest();
-  }
-}
-*/
-
-// =============================================================================
-// ALTERNATIVE: ARRIVAL RATE SCENARIOS
-// =============================================================================
-
-/**
- * Example: Constant arrival rate configuration
- * Use when you need consistent request rate regardless of response time
- */
-/*
-export const arrivalRateOptions = {
-  scenarios: {
-    constant_arrival: {
-      exec: 'getListScenario',
-      executor: 'constant-arrival-rate',
-      rate: 100,           // 100 iterations per timeUnit
-      timeUnit: '1s',      // Per second
-      duration: duration,
-      preAllocatedVUs: vus,
-      maxVUs: vus * 2,
-    },
-  },
-};
-*/
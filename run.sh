@@ -8,7 +8,10 @@
 #   ./run.sh                     # Run all tests with LIGHT profile
 #   ./run.sh -p MEDIUM           # Run with MEDIUM profile
 #   ./run.sh -t get-endpoint     # Run specific test
-#   ./run.sh -h PROD -p HEAVY    # Run on PROD with HEAVY profile
+#   ./run.sh --tag smoke         # Run all tests tagged smoke
+#   ./run.sh --group example     # Run all tests in a group
+#   ./run.sh -h STAGING -p HEAVY # Run on STAGING with HEAVY profile
+#   ./run.sh -t post -s 4711     # Replay a run with its seed
 #   ./run.sh --help              # Show help
 #
 # =============================================================================
@@ -22,10 +25,14 @@ YELLOW='\033[1;33m'
 BLUE='\033[0;34m'
 NC='\033[0m' # No Color
 
-# Default values
-PROFILE="LIGHT"
+# Default values (empty PROFILE = profile from tests/manifest.js)
+PROFILE=""
 HOST="DEV"
 TEST="all"
+TAG=""
+GROUP=""
+CLEANUP=false
+SEED="${SEED:-}"
 OUTPUT_DIR="./results"
 VERBOSE=false
 
@@ -45,10 +52,14 @@ print_help() {
     echo "Usage: $0 [OPTIONS]"
     echo ""
     echo "Options:"
-    echo "  -p, --profile PROFILE   Load profile: SMOKE, LIGHT, MEDIUM, HEAVY (default: LIGHT)"
-    echo "  -h, --host HOST         Target host: DEV, STAGING, PROD (default: DEV)"
-    echo "  -t, --test TEST         Test to run: all, get-endpoint, post-endpoint, crud (default: all)"
+    echo "  -p, --profile PROFILE   Load profile: SMOKE, LIGHT, MEDIUM, HEAVY, RAMP, SPIKE, STRESS, SOAK, BREAKPOINT (default: from manifest)"
+    echo "  -h, --host HOST         Target host: LOCAL, DEV, STAGING, PROD (default: DEV)"
+    echo "  -t, --test TEST         Test name/alias from tests/manifest.js or a file path (default: all)"
+    echo "  --tag TAG               Run all tests with tag (comma-separated: any of)"
+    echo "  --group GROUP           Run all tests in group"
     echo "  -o, --output DIR        Output directory for results (default: ./results)"
+    echo "  -c, --cleanup           Delete resources created by the run afterwards (scripts/cleanup.js)"
+    echo "  -s, --seed SEED         Seed for test data and random choices (default: random, printed)"
     echo "  -v, --verbose           Verbose output"
     echo "  --help                  Show this help message"
     echo ""
@@ -56,13 +67,23 @@ print_help() {
     echo "  $0                              # Run all tests with LIGHT profile on DEV"
     echo "  $0 -p MEDIUM                    # Run all tests with MEDIUM profile"
     echo "  $0 -t get-endpoint -p LIGHT     # Run GET endpoint test with LIGHT profile"
-    echo "  $0 -h PROD -p HEAVY             # Run all tests on PROD with HEAVY profile"
+    echo "  CONFIRM_PROD=yes $0 -h PROD -p HEAVY -t get   # HEAVY read-only run on PROD"
+    echo "  $0 --tag smoke -p SMOKE         # Run smoke-tagged tests"
+    echo "  $0 -t post -s 4711              # Replay a run with the seed from its header"
+    echo ""
+    echo "Available tests (tests/manifest.js):"
+    node scripts/list-tests.js 2>/dev/null | sed 's/^/  /' || echo "  (requires Node.js)"
     echo ""
     echo "Load Profiles:"
     echo "  SMOKE   - 1 VU, 30s   (quick sanity check)"
     echo "  LIGHT   - 10 VUs, 60s (daily CI/CD)"
     echo "  MEDIUM  - 30 VUs, 5m  (weekly regression)"
     echo "  HEAVY   - 100 VUs, 10m (stress testing)"
+    echo "  RAMP       - ramping 0 -> 30 VUs, 10m (gradual warm-up)"
+    echo "  SPIKE      - ramping 10 -> 100 VUs in 10s (traffic bursts)"
+    echo "  STRESS     - ramping 50 -> 200 VUs, 17m (beyond normal load)"
+    echo "  SOAK       - 30 VUs, 2h (long-running stability)"
+    echo "  BREAKPOINT - arrival rate 10 -> 500 it/s, 20m (find capacity)"
 }
 
 check_k6() {
@@ -73,6 +94,14 @@ check_k6() {
     fi
 }
 
+check_node() {
+    if ! command -v node &> /dev/null; then
+        echo -e "${RED}Error: Node.js is not installed (needed to read tests/manifest.js).${NC}"
+        echo "Install Node.js >= 18: https://nodejs.org/"
+        exit 1
+    fi
+}
+
 create_output_dir() {
     if [ ! -d "$OUTPUT_DIR" ]; then
         mkdir -p "$OUTPUT_DIR"
@@ -87,38 +116,65 @@ get_timestamp() {
 run_test() {
     local test_file=$1
     local test_name=$2
+    local profile=${3:-LIGHT}
     local timestamp=$(get_timestamp)
-    local output_file="${OUTPUT_DIR}/${test_name}_${PROFILE}_${timestamp}.json"
+    local output_file="${OUTPUT_DIR}/${test_name}_${profile}_${timestamp}.json"
+    local report_prefix="${output_file%.json}"
+    local log_file="${report_prefix}.log"
+    local run_id=$(basename "$report_prefix")
 
     echo -e "${YELLOW}Running: ${test_name}${NC}"
-    echo -e "  Profile: ${PROFILE}"
+    echo -e "  Profile: ${profile}"
     echo -e "  Host: ${HOST}"
+    echo -e "  Seed: ${SEED}"
     echo -e "  Output: ${output_file}"
+    echo -e "  Reports: ${report_prefix}.{summary.txt,report.json,junit.xml,html}"
+    echo -e "  Log: ${log_file} (run ID: ${run_id})"
     echo ""
 
     if [ "$VERBOSE" = true ]; then
         k6 run \
-            -e PROFILE="$PROFILE" \
+            -e PROFILE="$profile" \
             -e HOST="$HOST" \
+            -e TEST_NAME="$test_name" \
+            -e REPORT_PREFIX="$report_prefix" \
+            -e RUN_ID="$run_id" \
+            -e SEED="$SEED" \
             --out json="$output_file" \
-            "$test_file"
+            "$test_file" \
+            2> >(tee "$log_file" >&2)
     else
         k6 run \
-            -e PROFILE="$PROFILE" \
+            -e PROFILE="$profile" \
             -e HOST="$HOST" \
+            -e TEST_NAME="$test_name" \
+            -e REPORT_PREFIX="$report_prefix" \
+            -e RUN_ID="$run_id" \
+            -e SEED="$SEED" \
             --out json="$output_file" \
             --summary-trend-stats="avg,min,med,max,p(90),p(95),p(99)" \
-            "$test_file"
+            "$test_file" \
+            2> >(tee "$log_file" | grep --line-buffered -v 'CLEANUP_RESOURCE' >&2)
     fi
 
     local exit_code=$?
 
+    # Let tee finish writing the log (k6 console output incl. CLEANUP_RESOURCE markers,
+    # which only -v shows in the terminal)
+    wait $! 2>/dev/null || true
+
     if [ $exit_code -eq 0 ]; then
         echo -e "${GREEN}✓ ${test_name} completed successfully${NC}"
     else
         echo -e "${RED}✗ ${test_name} failed with exit code ${exit_code}${NC}"
     fi
 
+    if [ "$CLEANUP" = true ]; then
+        echo -e "${BLUE}Cleaning up resources of run ${run_id}...${NC}"
+        node scripts/cleanup.js run --run-id "$run_id" --host "$HOST" "$log_file" \
+            || echo -e "${RED}Cleanup incomplete - retry: node scripts/cleanup.js run --run-id ${run_id} --host ${HOST} ${log_file}${NC}"
+    fi
+
     echo ""
     return $exit_code
 }
@@ -141,6 +197,14 @@ while [[ $# -gt 0 ]]; do
             TEST="$2"
             shift 2
             ;;
+        --tag)
+            TAG="$2"
+            shift 2
+            ;;
+        --group)
+            GROUP="$2"
+            shift 2
+            ;;
         -o|--output)
             OUTPUT_DIR="$2"
             shift 2
@@ -149,6 +213,14 @@ while [[ $# -gt 0 ]]; do
             VERBOSE=true
             shift
             ;;
+        -c|--cleanup)
+            CLEANUP=true
+            shift
+            ;;
+        -s|--seed)
+            SEED="$2"
+            shift 2
+            ;;
         --help)
             print_help
             exit 0
@@ -167,47 +239,66 @@ done
 
 print_header
 check_k6
+check_node
 create_output_dir
 
+# Every run is seeded so a failure can be replayed with -s
+if [ -z "$SEED" ]; then
+    SEED=$(( (RANDOM << 15) | RANDOM ))
+fi
+
 echo -e "${BLUE}Configuration:${NC}"
-echo "  Profile: $PROFILE"
+echo "  Profile: ${PROFILE:-manifest default}"
 echo "  Host: $HOST"
-echo "  Test: $TEST"
+echo "  Seed: $SEED (replay with -s $SEED)"
+if [ -n "$TAG" ] || [ -n "$GROUP" ]; then
+    echo "  Tag: ${TAG:--}"
+    echo "  Group: ${GROUP:--}"
+else
+    echo "  Test: $TEST"
+fi
 echo "  Output: $OUTPUT_DIR"
 echo ""
 
+if [ "$HOST" = "PROD" ]; then
+    echo -e "${YELLOW}Production run - guardrails active (see PROD_SAFETY in config/env.js):${NC}"
+    echo "  - profiles above ${PROD_MAX_VUS:-10} VUs need CONFIRM_PROD=yes"
+    echo "  - write requests need CONFIRM_PROD=yes and PROD_WRITE_ALLOWLIST"
+    echo ""
+fi
+
+# Select tests from tests/manifest.js (name<TAB>file<TAB>profile per line)
+if [ -n "$TAG" ] || [ -n "$GROUP" ]; then
+    selection_args=(--host "$HOST")
+    [ -n "$TAG" ] && selection_args+=(--tag "$TAG")
+    [ -n "$GROUP" ] && selection_args+=(--group "$GROUP")
+    if ! SELECTED=$(node scripts/list-tests.js "${selection_args[@]}" --format tsv); then
+        exit 1
+    fi
+elif SELECTED=$(node scripts/list-tests.js --name "$TEST" --host "$HOST" --format tsv 2>/dev/null); then
+    :
+elif [ -f "$TEST" ]; then
+    # Not in the manifest - run as custom test file
+    SELECTED="$(basename "$TEST" .js)	$TEST	"
+elif [ -f "tests/$TEST.js" ]; then
+    SELECTED="$(basename "$TEST")	tests/$TEST.js	"
+else
+    # Show why the manifest lookup failed (unknown test or host not allowed)
+    node scripts/list-tests.js --name "$TEST" --host "$HOST" --format tsv > /dev/null || true
+    echo "Available tests:"
+    node scripts/list-tests.js | sed 's/^/  /'
+    exit 1
+fi
+
 START_TIME=$(date +%s)
+FAILED=0
 
-case $TEST in
-    all)
-        echo -e "${BLUE}Running all tests...${NC}"
-        echo ""
-        run_test "run-all.js" "all-scenarios"
-        ;;
-    get-endpoint|get)
-        run_test "tests/example/get-endpoint.js" "get-endpoint"
-        ;;
-    post-endpoint|post)
-        run_test "tests/example/post-endpoint.js" "post-endpoint"
-        ;;
-    crud|crud-operations)
-        run_test "tests/example/crud-operations.js" "crud-operations"
-        ;;
-    *)
-        # Try to run as custom test file
-        if [ -f "$TEST" ]; then
-            run_test "$TEST" "$(basename $TEST .js)"
-        elif [ -f "tests/$TEST.js" ]; then
-            run_test "tests/$TEST.js" "$TEST"
-        elif [ -f "tests/example/$TEST.js" ]; then
-            run_test "tests/example/$TEST.js" "$TEST"
-        else
-            echo -e "${RED}Unknown test: $TEST${NC}"
-            echo "Available tests: all, get-endpoint, post-endpoint, crud"
-            exit 1
-        fi
-        ;;
-esac
+mapfile -t TEST_LINES <<< "$SELECTED"
+
+for line in "${TEST_LINES[@]}"; do
+    IFS=$'\t' read -r test_name test_file test_profile <<< "$line"
+    run_test "$test_file" "$test_name" "${PROFILE:-$test_profile}" || FAILED=$((FAILED + 1))
+done
 
 END_TIME=$(date +%s)
 DURATION=$((END_TIME - START_TIME))
@@ -216,3 +307,8 @@ echo ""
 echo -e "${BLUE}════════════════════════════════════════════════════════════════${NC}"
 echo -e "${GREEN}Test execution completed in ${DURATION} seconds${NC}"
 echo -e "${BLUE}════════════════════════════════════════════════════════════════${NC}"
+
+if [ $FAILED -gt 0 ]; then
+    echo -e "${RED}${FAILED} test(s) failed${NC}"
+    exit 1
+fi
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * @file Results analyzer
+ * @description Aggregate k6 `--out json` NDJSON files by tags and time windows
+ *
+ * Pattern: Streams files line by line into one bounded digest per group
+ * (count, sum, min, max and a log-bucket histogram, see scripts/lib/stats.js) -
+ * memory does not grow with the file size or the number of matching points,
+ * so it works on multi-GB soak test outputs. Percentiles are within 1%.
+ *
+ * Usage:
+ *   node scripts/analyze-results.js <file.json> [more files] [options]
+ *
+ * Options:
+ *   --metric <names>      Metrics to aggregate, comma-separated (default: http_req_duration)
+ *   --group-by <tags>     Tags to group by, comma-separated (e.g. test_type,endpoint)
+ *   --filter <expr>       Tag filter tag=value or tag!=value (repeatable, comma-separated)
+ *   --from / --to <dur>   Time range relative to run start (e.g. --from 3m --to 5m)
+ *   --window <dur>        Split into time windows (e.g. 1m)
+ *   --stats <names>       Stats to compute (default: count,avg,min,med,p90,p95,p99,max)
+ *   --format table|csv    Output format (default: table)
+ *   --list                List metrics and tags found in the files
+ *
+ * Example - p95 of create requests during minutes 3-5:
+ *   node scripts/analyze-results.js results/run-all_LIGHT.json \
+ *     --filter test_type=create --from 3m --to 5m --stats count,p95
+ */
+
+import fs from 'node:fs';
+import readline from 'node:readline';
+import { fail, formatDuration, formatTable, parseArgs, parseDuration, splitList } from './lib/cli.js';
+import { DEFAULT_STATS, addToDigest, createDigest, summarizeDigest, unknownStats } from './lib/stats.js';
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+/**
+ * Parse tag filters
+ * @param {string|Array} value - 'test_type=create,status!=200'
+ * @returns {Array} Filters { tag, value, negate }
+ */
+function parseFilters(value) {
+  return splitList(value).map(expr => {
+    const match = expr.match(/^([^!=]+)(!?=)(.*)$/);
+    if (!match) {
+      fail(`Invalid filter "${expr}" (use tag=value or tag!=value)`);
+    }
+    return { tag: match[1], value: match[3], negate: match[2] === '!=' };
+  });
+}
+
+/**
+ * Build query from CLI args
+ * @param {Object} args - Parsed args
+ * @returns {Object} Query { files, metrics, groupBy, filters, from, to, window, stats, format }
+ */
+function buildQuery(args) {
+  const query = {
+    files: args._,
+    metrics: splitList(args.metric || 'http_req_duration'),
+    groupBy: splitList(args['group-by']),
+    filters: parseFilters(args.filter),
+    from: args.from !== undefined ? parseDuration(args.from) : 0,
+    to: args.to !== undefined ? parseDuration(args.to) : Infinity,
+    window: args.window !== undefined ? parseDuration(args.window) : null,
+    stats: args.stats ? splitList(args.stats) : DEFAULT_STATS,
+    format: args.format || 'table'
+  };
+
+  if (query.files.length === 0) {
+    fail('Usage: analyze-results.js <file.json> [more files] [options]');
+  }
+  if (!['table', 'csv'].includes(query.format)) {
+    fail(`Unknown format "${query.format}" (use table or csv)`);
+  }
+  if (unknownStats(query.stats).length > 0) {
+    fail(`Unknown stats: ${unknownStats(query.stats).join(', ')}`);
+  }
+  if (query.window !== null && query.window <= 0) {
+    fail('--window must be greater than 0');
+  }
+
+  return query;
+}
+
+// =============================================================================
+// READING
+// =============================================================================
+
+/**
+ * Stream k6 NDJSON file
+ * @param {string} file - Path to k6 --out json file
+ * @param {Function} onLine - Called with each parsed entry
+ * @returns {Promise<number>} Number of malformed lines skipped
+ */
+async function streamFile(file, onLine) {
+  if (!fs.existsSync(file)) {
+    fail(`File not found: ${file}`);
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+  let skipped = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      // Last line can be truncated when k6 was killed
+      skipped++;
+      continue;
+    }
+    onLine(entry);
+  }
+
+  return skipped;
+}
+
+/**
+ * Check tags against filters
+ * @param {Object} tags - Point tags
+ * @param {Array} filters - Filters from parseFilters()
+ * @returns {boolean} True if all filters match
+ */
+function matchesFilters(tags, filters) {
+  return filters.every(filter => {
+    const matches = String(tags[filter.tag] ?? '') === filter.value;
+    return filter.negate ? !matches : matches;
+  });
+}
+
+/**
+ * Find run start of one file
+ * @param {string} file - NDJSON file
+ * @returns {Promise<number>} Time of the earliest point of any metric (ms)
+ */
+async function findStart(file) {
+  let start = Infinity;
+
+  await streamFile(file, entry => {
+    if (entry.type === 'Point') {
+      start = Math.min(start, Date.parse(entry.data.time));
+    }
+  });
+
+  return start;
+}
+
+// =============================================================================
+// AGGREGATION
+// =============================================================================
+
+/**
+ * Add matching points of one file to groups
+ * @param {string} file - NDJSON file
+ * @param {Object} query - Query from buildQuery()
+ * @param {Map} groups - Groups keyed by window, metric and group tags (updated in place)
+ * @returns {Promise<number>} Number of malformed lines skipped
+ *
+ * Offsets are relative to the earliest point of any metric in the file.
+ * Only time-range and window queries need it, which costs an extra pass.
+ */
+async function aggregateFile(file, query, groups) {
+  const timed = query.window !== null || query.from > 0 || query.to !== Infinity;
+  const start = timed ? await findStart(file) : 0;
+
+  return streamFile(file, entry => {
+    if (entry.type !== 'Point' || !query.metrics.includes(entry.metric)) {
+      return;
+    }
+    const tags = entry.data.tags || {};
+    if (!matchesFilters(tags, query.filters)) {
+      return;
+    }
+
+    let window = null;
+    if (timed) {
+      const offset = Date.parse(entry.data.time) - start;
+      if (offset < query.from || offset >= query.to) {
+        return;
+      }
+      window = query.window !== null ? Math.floor(offset / query.window) : null;
+    }
+
+    const group = query.groupBy.map(tag => tags[tag] ?? '-');
+    const key = JSON.stringify([window, entry.metric, ...group]);
+    if (!groups.has(key)) {
+      groups.set(key, { window, metric: entry.metric, group, digest: createDigest() });
+    }
+    addToDigest(groups.get(key).digest, entry.data.value);
+  });
+}
+
+/**
+ * Compute stats of aggregated groups
+ * @param {Map} groups - Groups from aggregateFile()
+ * @param {Object} query - Query from buildQuery()
+ * @returns {Array} Rows { window, metric, group, stats } sorted by window, metric, group
+ */
+function summarizeGroups(groups, query) {
+  return [...groups.values()]
+    .sort((a, b) => (a.window ?? 0) - (b.window ?? 0)
+      || a.metric.localeCompare(b.metric)
+      || a.group.join('\u0000').localeCompare(b.group.join('\u0000')))
+    .map(({ window, metric, group, digest }) => ({
+      window,
+      metric,
+      group,
+      stats: summarizeDigest(digest, query.stats)
+    }));
+}
+
+/**
+ * Describe metrics and tags found in files
+ * @param {Array} files - NDJSON files
+ * @returns {Promise<Array>} Rows [metric, type, points, tags]
+ */
+async function listMetrics(files) {
+  const metrics = new Map();
+
+  for (const file of files) {
+    await streamFile(file, entry => {
+      if (entry.type === 'Metric') {
+        const metric = metrics.get(entry.metric) || { type: entry.data.type, points: 0, tags: new Set() };
+        metric.type = entry.data.type;
+        metrics.set(entry.metric, metric);
+      } else if (entry.type === 'Point') {
+        const metric = metrics.get(entry.metric) || { type: '?', points: 0, tags: new Set() };
+        metric.points++;
+        Object.keys(entry.data.tags || {}).forEach(tag => metric.tags.add(tag));
+        metrics.set(entry.metric, metric);
+      }
+    });
+  }
+
+  return [...metrics.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, metric]) => [name, metric.type, metric.points, [...metric.tags].sort().join(',')]);
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+function formatNumber(value) {
+  if (value === null || value === undefined) return '';
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function render(rows, query) {
+  const headers = [
+    ...(query.window !== null ? ['window'] : []),
+    'metric',
+    ...query.groupBy,
+    ...query.stats
+  ];
+
+  const body = rows.map(row => [
+    ...(query.window !== null
+      ? [`${formatDuration(row.window * query.window)}-${formatDuration((row.window + 1) * query.window)}`]
+      : []),
+    row.metric,
+    ...row.group,
+    ...query.stats.map(stat => formatNumber(row.stats[stat]))
+  ]);
+
+  if (query.format === 'csv') {
+    return [headers, ...body].map(cells => cells.map(csvCell).join(',')).join('\n');
+  }
+  return body.length > 0 ? formatTable(headers, body) : 'No matching points';
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { boolean: ['list'] });
+
+  if (args.list) {
+    if (args._.length === 0) {
+      fail('Usage: analyze-results.js <file.json> --list');
+    }
+    console.log(formatTable(['metric', 'type', 'points', 'tags'], await listMetrics(args._)));
+    return;
+  }
+
+  const query = buildQuery(args);
+  const groups = new Map();
+
+  for (const file of query.files) {
+    const skipped = await aggregateFile(file, query, groups);
+    if (skipped > 0) {
+      console.error(`WARN: ${file}: skipped ${skipped} malformed line(s)`);
+    }
+  }
+
+  console.log(render(summarizeGroups(groups, query), query));
+}
+
+main().catch(error => fail(error.message));
@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+/**
+ * @file Cleanup command
+ * @description Delete resources created by a run, and serve the tracking endpoint
+ *
+ * Pattern: Reads the append-only records written by utils/resource-registry.js
+ *
+ * Usage:
+ *   node scripts/cleanup.js run --run-id <id> [sources...]   # delete resources of a run
+ *   node scripts/cleanup.js list [--run-id <id>] [sources...] # show tracked resources
+ *   node scripts/cleanup.js serve [--port 6566]               # tracking endpoint for CLEANUP_TRACKER
+ *
+ * Sources are k6 logs with CLEANUP_RESOURCE markers (run.sh saves <prefix>.log)
+ * and/or the tracker store (default: results/cleanup-registry.ndjson).
+ *
+ * Options (run):
+ *   --host <name|url>   Target host: LOCAL, DEV, STAGING, PROD or URL (default: DEV)
+ *   --token <token>     Bearer token (default: TOKEN_<role> env var via config/env.js,
+ *                       or a login with <ROLE>_LOGIN/<ROLE>_PASSWORD when AUTH_MODE=login)
+ *   --tracker <url>     Read pending resources from a running tracker instead of files
+ *   --concurrency <n>   Parallel DELETE requests (default: 5)
+ *   --dry-run           Print what would be deleted
+ *
+ * Exit codes: 0 = all deleted, 1 = some deletions failed, 2 = usage/input error
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import readline from 'node:readline';
+import { colors, fail, formatTable, parseArgs } from './lib/cli.js';
+
+// Keep in sync with CLEANUP_MARKER in utils/resource-registry.js
+const MARKER = 'CLEANUP_RESOURCE';
+const DEFAULT_STORE = 'results/cleanup-registry.ndjson';
+const DEFAULT_PORT = 6566;
+
+// =============================================================================
+// RECORDS
+// =============================================================================
+
+/**
+ * Parse resource records from k6 log line
+ * @param {string} text - Log line or message
+ * @returns {Array} Resource records (empty if line has no marker)
+ *
+ * Handles plain console output, logfmt (`msg="CLEANUP_RESOURCE [{\"runId\"...}]"`)
+ * and --log-format=json lines. Markers hold an array of records, or a
+ * single record in logs written before records were batched per request.
+ */
+function parseMarker(text) {
+  const index = text.indexOf(`${MARKER} `);
+  if (index === -1) {
+    return [];
+  }
+
+  const rest = text.slice(index + MARKER.length + 1);
+  const json = rest.slice(0, rest.lastIndexOf(rest.startsWith('[') ? ']' : '}') + 1);
+
+  for (const candidate of [json, json.replace(/\\"/g, '"').replace(/\\\\/g, '\\')]) {
+    try {
+      const parsed = JSON.parse(candidate);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+      // Try unescaped variant
+    }
+  }
+  return [];
+}
+
+/**
+ * Read resource records from log and store files
+ * @param {Array} files - k6 logs and/or tracker store files
+ * @returns {Promise<Map>} Pending resources keyed by `runId path`
+ */
+async function readRecords(files) {
+  const pending = new Map();
+  const key = (record) => `${record.runId} ${record.path}`;
+
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      fail(`File not found: ${file}`);
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // Plain/logfmt log line
+      }
+
+      if (entry?.type === 'resource') {
+        pending.set(key(entry), entry);
+      } else if (entry?.type === 'deleted') {
+        pending.delete(key(entry));
+      } else {
+        parseMarker(typeof entry?.msg === 'string' ? entry.msg : line)
+          .filter(record => record?.path)
+          .forEach(record => pending.set(key(record), record));
+      }
+    }
+  }
+
+  return pending;
+}
+
+/**
+ * Append records to store file
+ * @param {string} file - Store file path
+ * @param {Array} records - Records to append
+ */
+function appendRecords(file, records) {
+  if (records.length === 0) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+}
+
+/**
+ * Resolve sources from args
+ * @param {Object} args - Parsed args
+ * @returns {Array} Files to read
+ */
+function resolveSources(args) {
+  if (args._.length > 0) {
+    return args._;
+  }
+  if (fs.existsSync(args.store || DEFAULT_STORE)) {
+    return [args.store || DEFAULT_STORE];
+  }
+  fail(`No sources given and ${args.store || DEFAULT_STORE} does not exist`);
+}
+
+// =============================================================================
+// TARGET
+// =============================================================================
+
+/**
+ * Resolve base URL and tokens from config/env.js
+ * @param {Object} args - Parsed args
+ * @returns {Promise<Object>} { baseUrl, tokenFor(role), renew(role) }
+ *
+ * config/env.js is a k6 module reading __ENV, so it is loaded with the
+ * process environment in its place (PROFILE=SMOKE keeps the PROD load check quiet).
+ *
+ * With AUTH_MODE=login each role logs in once via API_PATHS.AUTH.LOGIN with
+ * its CREDENTIALS, like utils/auth.js does in k6; renew() logs in again.
+ */
+async function resolveTarget(args) {
+  globalThis.__ENV = { ...process.env, HOST: args.host || process.env.HOST || 'DEV', PROFILE: 'SMOKE' };
+  const { API_PATHS, AUTH_CONFIG, CREDENTIALS, CURRENT_HOST, TOKENS } = await import('../config/env.js');
+  const baseUrl = CURRENT_HOST.replace(/\/$/, '');
+  const loginAuth = !args.token && AUTH_CONFIG.mode === 'login';
+  const sessions = {};
+
+  const login = async (role) => {
+    const res = await fetch(`${baseUrl}${API_PATHS.AUTH.LOGIN}`, {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify(CREDENTIALS[role])
+    });
+    const data = res.ok ? await res.json().catch(() => null) : null;
+    const token = data?.accessToken || data?.access_token || data?.token;
+    if (!token) {
+      throw new Error(`login as ${role} failed with status ${res.status}`);
+    }
+    return token;
+  };
+
+  // Roles without credentials fall back to ADMIN, like TOKENS
+  const loginRole = (role) => (CREDENTIALS[role] ? role : 'ADMIN');
+
+  return {
+    baseUrl,
+    tokenFor: (role) => {
+      if (!loginAuth) {
+        return args.token || TOKENS[role] || TOKENS.ADMIN;
+      }
+      const name = loginRole(role);
+      sessions[name] = sessions[name] || login(name);
+      return sessions[name];
+    },
+    renew: (role) => {
+      if (!loginAuth) {
+        return false;
+      }
+      delete sessions[loginRole(role)];
+      return true;
+    }
+  };
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+async function loadPending(args) {
+  if (args.tracker) {
+    const runId = args['run-id'];
+    if (!runId) {
+      fail('--tracker requires --run-id');
+    }
+    const res = await fetch(`${args.tracker}/runs/${encodeURIComponent(runId)}`);
+    if (!res.ok) {
+      fail(`Tracker returned status ${res.status}`);
+    }
+    return (await res.json()).map(resource => ({ runId, ...resource }));
+  }
+
+  const pending = [...(await readRecords(resolveSources(args))).values()];
+  return args['run-id'] ? pending.filter(record => record.runId === args['run-id']) : pending;
+}
+
+async function list(args) {
+  const pending = await loadPending(args);
+  const byRun = {};
+
+  pending.forEach(record => {
+    byRun[record.runId] = byRun[record.runId] || { count: 0, endpoints: new Set() };
+    byRun[record.runId].count++;
+    byRun[record.runId].endpoints.add(record.endpoint || '-');
+  });
+
+  if (pending.length === 0) {
+    console.log('No tracked resources');
+    return;
+  }
+
+  console.log(formatTable(
+    ['Run ID', 'Resources', 'Endpoints'],
+    Object.entries(byRun).map(([runId, run]) => [runId, run.count, [...run.endpoints].join(', ')])
+  ));
+}
+
+async function run(args) {
+  if (!args['run-id'] && !args.all) {
+    fail('Usage: cleanup.js run --run-id <id> [sources...] (or --all to delete every tracked resource)');
+  }
+
+  const pending = await loadPending(args);
+  if (pending.length === 0) {
+    console.log(colors.green('Nothing to clean up'));
+    return;
+  }
+
+  const target = await resolveTarget(args);
+  console.log(colors.blue(`Deleting ${pending.length} resource(s) on ${target.baseUrl}${args['dry-run'] ? ' (dry run)' : ''}`));
+
+  if (args['dry-run']) {
+    pending.forEach(record => console.log(`  DELETE ${record.path} (${record.role || 'ADMIN'})`));
+    return;
+  }
+
+  const deleted = [];
+  const failed = [];
+  const queue = [...pending];
+  const concurrency = Math.max(1, parseInt(args.concurrency || '5', 10));
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const record = queue.shift();
+      const role = record.role || 'ADMIN';
+      const send = async () => fetch(`${target.baseUrl}${record.path}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${await target.tokenFor(role)}` }
+      });
+      try {
+        let res = await send();
+        // Token expired during a long cleanup (AUTH_MODE=login only)
+        if (res.status === 401 && target.renew(role)) {
+          res = await send();
+        }
+        // 404 = already gone (e.g. deleted by the test itself)
+        if (res.ok || res.status === 404) {
+          deleted.push(record);
+        } else {
+          failed.push({ record, reason: `status ${res.status}` });
+        }
+      } catch (error) {
+        failed.push({ record, reason: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const tombstones = deleted.map(record => ({ type: 'deleted', runId: record.runId, path: record.path }));
+  if (args.tracker) {
+    const byRun = {};
+    deleted.forEach(record => { (byRun[record.runId] = byRun[record.runId] || []).push(record.path); });
+    for (const [runId, paths] of Object.entries(byRun)) {
+      await fetch(`${args.tracker}/runs/${encodeURIComponent(runId)}/deleted`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paths })
+      });
+    }
+  } else if (resolveSources(args).includes(args.store || DEFAULT_STORE)) {
+    appendRecords(args.store || DEFAULT_STORE, tombstones);
+  }
+
+  failed.slice(0, 20).forEach(({ record, reason }) => console.error(colors.red(`  ✗ DELETE ${record.path}: ${reason}`)));
+  if (failed.length > 20) {
+    console.error(colors.red(`  ... and ${failed.length - 20} more`));
+  }
+
+  console.log(`${colors.green(`✓ Deleted ${deleted.length}`)}, ${failed.length > 0 ? colors.red(`✗ failed ${failed.length}`) : 'failed 0'}`);
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Tracking endpoint for CLEANUP_TRACKER
+ *
+ * POST /resources              - register resources [{ runId, path, role, endpoint }] (or one object)
+ * GET  /runs/:runId            - list pending resources of run
+ * POST /runs/:runId/deleted    - mark paths as deleted { paths: [] }
+ * GET  /health                 - liveness
+ *
+ * Every change is appended to the store file, so pending resources survive restarts.
+ */
+async function serve(args) {
+  const store = args.store || DEFAULT_STORE;
+  const port = parseInt(args.port || DEFAULT_PORT, 10);
+  const pending = fs.existsSync(store) ? await readRecords([store]) : new Map();
+  const key = (runId, resourcePath) => `${runId} ${resourcePath}`;
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+  const send = (res, status, body) => {
+    res.writeHead(status, body !== undefined ? { 'Content-Type': 'application/json' } : {});
+    res.end(body !== undefined ? JSON.stringify(body) : undefined);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const runMatch = url.pathname.match(/^\/runs\/([^/]+)(\/deleted)?$/);
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return send(res, 200, { status: 'ok', pending: pending.size });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/resources') {
+        const body = await readBody(req);
+        const records = Array.isArray(body) ? body : [body];
+        if (records.some(record => !record.runId || !record.path)) {
+          return send(res, 400, { error: 'runId and path are required' });
+        }
+        const entries = records.map(record => ({ type: 'resource', ...record }));
+        entries.forEach(entry => pending.set(key(entry.runId, entry.path), entry));
+        appendRecords(store, entries);
+        return send(res, 204);
+      }
+
+      if (req.method === 'GET' && runMatch && !runMatch[2]) {
+        const runId = decodeURIComponent(runMatch[1]);
+        const resources = [...pending.values()]
+          .filter(record => record.runId === runId)
+          .map(({ path: resourcePath, role, endpoint }) => ({ path: resourcePath, role, endpoint }));
+        return send(res, 200, resources);
+      }
+
+      if (req.method === 'POST' && runMatch && runMatch[2]) {
+        const runId = decodeURIComponent(runMatch[1]);
+        const { paths = [] } = await readBody(req);
+        paths.forEach(resourcePath => pending.delete(key(runId, resourcePath)));
+        appendRecords(store, paths.map(resourcePath => ({ type: 'deleted', runId, path: resourcePath })));
+        return send(res, 204);
+      }
+
+      return send(res, 404, { error: 'Not found' });
+    } catch (error) {
+      return send(res, 400, { error: error.message });
+    }
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(colors.blue(`Cleanup tracker listening on http://localhost:${port} (store: ${store}, pending: ${pending.size})`));
+    console.log(`Run tests with: -e CLEANUP_TRACKER=http://localhost:${port}`);
+  });
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+const COMMANDS = { run, list, serve };
+const args = parseArgs(process.argv.slice(2), { boolean: ['dry-run', 'all'] });
+const command = COMMANDS[args._.shift()];
+
+if (!command) {
+  fail('Usage: cleanup.js <run|list|serve> [options]');
+}
+
+command(args).catch(error => fail(error.message));
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * @file Run comparison
+ * @description Diff two SLO reports and fail on performance regressions
+ *
+ * Pattern: Compares <name>.report.json files written by utils/summary.js
+ *
+ * Usage:
+ *   node scripts/compare-runs.js <baseline> <current>     # compare two reports
+ *   node scripts/compare-runs.js <current>                # baseline from baselines/<test>.report.json
+ *   node scripts/compare-runs.js promote <report>         # make report the new baseline
+ *
+ * Options:
+ *   --tolerance p95=20,errorRate=1   Override tolerances (see DEFAULT_TOLERANCES)
+ *   --tolerance-file <file>          JSON { "defaults": {...}, "products.list": {...} }
+ *   --min-requests <n>               Skip rows with fewer requests (default: 20)
+ *   --output <file>                  Write comparison as JSON
+ *   --name <name>                    Baseline name for promote (default: report test name)
+ *
+ * Exit codes: 0 = no regression, 1 = regression found, 2 = usage/input error
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { colors, fail, formatTable, parseArgs } from './lib/cli.js';
+
+const BASELINES_DIR = 'baselines';
+
+// =============================================================================
+// TOLERANCES
+// =============================================================================
+
+/**
+ * Allowed degradation before a change counts as regression
+ * - p50/p95/p99: percent increase of latency
+ * - errorRate: increase in percentage points (0.5 = +0.5%)
+ * - throughput: percent decrease of requests per second
+ * - minDeltaMs: latency changes below this are noise, whatever the percentage
+ */
+export const DEFAULT_TOLERANCES = {
+  p50: 10,
+  p95: 10,
+  p99: 15,
+  errorRate: 0.5,
+  throughput: 10,
+  minDeltaMs: 5
+};
+
+/**
+ * Parse tolerance overrides
+ * @param {string|Array} value - 'p95=20,errorRate=1' (flag may be repeated)
+ * @returns {Object} Tolerance overrides
+ */
+function parseTolerances(value) {
+  const overrides = {};
+
+  [].concat(value || []).join(',').split(',').filter(Boolean).forEach(pair => {
+    const [key, raw] = pair.split('=').map(part => part.trim());
+    const number = Number(raw);
+    if (!(key in DEFAULT_TOLERANCES) || raw === undefined || Number.isNaN(number)) {
+      fail(`Invalid tolerance "${pair}" (keys: ${Object.keys(DEFAULT_TOLERANCES).join(', ')})`);
+    }
+    overrides[key] = number;
+  });
+
+  return overrides;
+}
+
+/**
+ * Parse minimum request count
+ * @param {string} value - --min-requests value (default: 20)
+ * @returns {number} Rows with fewer requests in either run are skipped
+ */
+function parseMinRequests(value) {
+  if (value === undefined) {
+    return 20;
+  }
+  if (!/^\d+$/.test(String(value).trim())) {
+    fail(`Invalid --min-requests "${value}" (use a non-negative integer)`);
+  }
+  return Number(value);
+}
+
+/**
+ * Build tolerance lookup
+ * @param {Object} args - Parsed CLI args
+ * @returns {Function} (rowName) => tolerances for that endpoint/scenario
+ */
+function buildTolerances(args) {
+  const file = args['tolerance-file'] ? readJson(args['tolerance-file']) : {};
+  const defaults = { ...DEFAULT_TOLERANCES, ...file.defaults, ...parseTolerances(args.tolerance) };
+
+  return (name) => ({ ...defaults, ...file[name] });
+}
+
+// =============================================================================
+// REPORTS
+// =============================================================================
+
+/**
+ * Read JSON file
+ * @param {string} file - File path
+ * @returns {Object} Parsed JSON
+ */
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    fail(`File not found: ${file}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    fail(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve report path
+ * @param {string} file - Report path or the raw k6 JSON output from run.sh
+ * @returns {string} Path to .report.json
+ *
+ * Example: results/get-endpoint_LIGHT_20240101.json -> results/get-endpoint_LIGHT_20240101.report.json
+ */
+function resolveReportPath(file) {
+  if (file.endsWith('.report.json') || !file.endsWith('.json')) {
+    return file;
+  }
+  const sibling = file.replace(/\.json$/, '.report.json');
+  return fs.existsSync(sibling) ? sibling : file;
+}
+
+/**
+ * Load SLO report
+ * @param {string} file - Report path
+ * @returns {Object} Report from utils/slo-report.js
+ */
+function loadReport(file) {
+  const report = readJson(resolveReportPath(file));
+  if (!Array.isArray(report.endpoints) || !report.meta) {
+    fail(`${file}: not an SLO report (expected <name>.report.json from handleSummary)`);
+  }
+  return report;
+}
+
+/**
+ * Flatten report into comparable rows
+ * @param {Object} report - SLO report
+ * @returns {Object} Stats keyed by 'endpoint:<name>' / 'scenario:<name>' / 'total'
+ */
+function reportRows(report) {
+  const rows = {
+    total: { requests: report.totals.requests, errorRate: report.totals.errorRate, throughput: report.totals.throughput }
+  };
+
+  report.endpoints
+    .filter(endpoint => endpoint.stats)
+    .forEach(endpoint => { rows[`endpoint:${endpoint.name}`] = endpoint.stats; });
+
+  Object.entries(report.scenarios || {}).forEach(([name, stats]) => {
+    rows[`scenario:${name}`] = stats;
+  });
+
+  return rows;
+}
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+/**
+ * Compare single metric
+ * @param {string} metric - p50, p95, p99, errorRate or throughput
+ * @param {number|null} base - Baseline value
+ * @param {number|null} current - Current value
+ * @param {Object} tolerances - Tolerances for this row
+ * @returns {Object} { metric, base, current, change, status } status: ok|regression|improved|no-data
+ */
+function compareMetric(metric, base, current, tolerances) {
+  if (base === null || base === undefined || current === null || current === undefined) {
+    return { metric, base, current, change: null, status: 'no-data' };
+  }
+
+  if (metric === 'errorRate') {
+    // Percentage points
+    const change = (current - base) * 100;
+    let status = 'ok';
+    if (change > tolerances.errorRate) status = 'regression';
+    else if (change < -tolerances.errorRate) status = 'improved';
+    return { metric, base, current, change, status };
+  }
+
+  const change = base === 0 ? (current === 0 ? 0 : 100) : ((current - base) / base) * 100;
+  let status = 'ok';
+
+  if (metric === 'throughput') {
+    if (change < -tolerances.throughput) status = 'regression';
+    else if (change > tolerances.throughput) status = 'improved';
+  } else if (Math.abs(current - base) >= tolerances.minDeltaMs) {
+    if (change > tolerances[metric]) status = 'regression';
+    else if (change < -tolerances[metric]) status = 'improved';
+  }
+
+  return { metric, base, current, change, status };
+}
+
+/**
+ * Compare two SLO reports
+ * @param {Object} baseline - Baseline report
+ * @param {Object} current - Current report
+ * @param {Object} options - { tolerances: (name) => tolerances, minRequests }
+ * @returns {Object} { rows, regressions, missing, added }
+ *
+ * Example:
+ * compareReports(baseline, current, { tolerances: () => DEFAULT_TOLERANCES, minRequests: 20 })
+ * // Returns: { rows: [{ name: 'endpoint:products.list', metrics: [...], status: 'regression' }], regressions: 1, ... }
+ */
+export function compareReports(baseline, current, options = {}) {
+  const tolerances = options.tolerances || (() => DEFAULT_TOLERANCES);
+  const minRequests = options.minRequests ?? 0;
+  const baseRows = reportRows(baseline);
+  const currentRows = reportRows(current);
+  const rows = [];
+
+  Object.entries(currentRows).forEach(([name, stats]) => {
+    const base = baseRows[name];
+    if (!base) {
+      return;
+    }
+    if ((stats.requests ?? 0) < minRequests || (base.requests ?? 0) < minRequests) {
+      rows.push({ name, metrics: [], status: 'skipped' });
+      return;
+    }
+
+    const rowTolerances = tolerances(name.replace(/^(endpoint|scenario):/, ''));
+    const metrics = ['p50', 'p95', 'p99', 'errorRate', 'throughput']
+      .filter(metric => metric in stats || metric in base)
+      .map(metric => compareMetric(metric, base[metric], stats[metric], rowTolerances));
+
+    rows.push({
+      name,
+      metrics,
+      status: metrics.some(m => m.status === 'regression') ? 'regression' : 'ok'
+    });
+  });
+
+  return {
+    rows,
+    regressions: rows.filter(row => row.status === 'regression').length,
+    missing: Object.keys(baseRows).filter(name => !currentRows[name]),
+    added: Object.keys(currentRows).filter(name => !baseRows[name])
+  };
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+function formatValue(metric, value) {
+  if (value === null || value === undefined) return '-';
+  if (metric === 'errorRate') return `${(value * 100).toFixed(2)}%`;
+  if (metric === 'throughput') return `${value.toFixed(2)}/s`;
+  return `${value.toFixed(1)}ms`;
+}
+
+function formatChange(result) {
+  if (result.change === null) return '-';
+  const unit = result.metric === 'errorRate' ? 'pp' : '%';
+  const text = `${result.change >= 0 ? '+' : ''}${result.change.toFixed(1)}${unit}`;
+  if (result.status === 'regression') return colors.red(`${text} REGRESSION`);
+  if (result.status === 'improved') return colors.green(text);
+  return text;
+}
+
+function printComparison(comparison, baselineFile, currentFile) {
+  console.log(colors.blue(`Baseline: ${baselineFile}`));
+  console.log(colors.blue(`Current:  ${currentFile}`));
+  console.log('');
+
+  const table = [];
+  comparison.rows.forEach(row => {
+    if (row.status === 'skipped') {
+      table.push([row.name, colors.dim('skipped (low volume)'), '', '', '']);
+      return;
+    }
+    row.metrics.forEach((result, i) => {
+      table.push([
+        i === 0 ? row.name : '',
+        result.metric,
+        formatValue(result.metric, result.base),
+        formatValue(result.metric, result.current),
+        formatChange(result)
+      ]);
+    });
+  });
+  console.log(formatTable(['Name', 'Metric', 'Baseline', 'Current', 'Change'], table));
+  console.log('');
+
+  if (comparison.missing.length > 0) {
+    console.log(colors.yellow(`Missing in current run: ${comparison.missing.join(', ')}`));
+  }
+  if (comparison.added.length > 0) {
+    console.log(colors.dim(`New in current run (no baseline): ${comparison.added.join(', ')}`));
+  }
+
+  if (comparison.regressions > 0) {
+    console.log(colors.red(`✗ ${comparison.regressions} regression(s) beyond tolerance`));
+  } else {
+    console.log(colors.green('✓ No regressions beyond tolerance'));
+  }
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+/**
+ * Get baseline file for report
+ * @param {string} name - Baseline name (test name)
+ * @returns {string} Path in baselines/
+ */
+function baselinePath(name) {
+  return path.join(BASELINES_DIR, `${name}.report.json`);
+}
+
+function promote(args) {
+  const [file] = args._;
+  if (!file) {
+    fail('Usage: compare-runs.js promote <report> [--name <name>]');
+  }
+
+  const source = resolveReportPath(file);
+  const report = loadReport(source);
+  const target = baselinePath(args.name || report.meta.test);
+
+  fs.mkdirSync(BASELINES_DIR, { recursive: true });
+  fs.copyFileSync(source, target);
+  console.log(colors.green(`✓ Promoted ${source} -> ${target}`));
+}
+
+function compare(args) {
+  if (args._.length === 0 || args._.length > 2) {
+    fail('Usage: compare-runs.js [baseline] <current> [options]');
+  }
+  const minRequests = parseMinRequests(args['min-requests']);
+
+  const currentFile = resolveReportPath(args._[args._.length - 1]);
+  const current = loadReport(currentFile);
+  const baselineFile = args._.length === 2 ? resolveReportPath(args._[0]) : baselinePath(current.meta.test);
+
+  if (args._.length === 1 && !fs.existsSync(baselineFile)) {
+    fail(`No baseline for "${current.meta.test}" - promote one with: compare-runs.js promote ${currentFile}`);
+  }
+
+  const baseline = loadReport(baselineFile);
+  const comparison = compareReports(baseline, current, {
+    tolerances: buildTolerances(args),
+    minRequests
+  });
+
+  printComparison(comparison, baselineFile, currentFile);
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify({ baseline: baselineFile, current: currentFile, ...comparison }, null, 2));
+  }
+
+  process.exit(comparison.regressions > 0 ? 1 : 0);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args._[0] === 'promote') {
+    args._.shift();
+    promote(args);
+  } else {
+    compare(args);
+  }
+}
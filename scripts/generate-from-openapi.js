@@ -0,0 +1,791 @@
+#!/usr/bin/env node
+/**
+ * @file OpenAPI scaffold generator
+ * @description Generate API paths, endpoint catalog, SLO defaults, payload builders and tests from OpenAPI 3
+ *
+ * Pattern: Generated files carry a checksum - edited files are never overwritten
+ *
+ * Usage:
+ *   node scripts/generate-from-openapi.js <openapi.json> [options]
+ *
+ * Options:
+ *   --tag <tags>   Generate tests only for these tags, comma-separated (default: all)
+ *   --dry-run      Show what would be written
+ *   --force        Overwrite generated files even if they were edited
+ *
+ * Output:
+ *   config/openapi.generated.js    GENERATED_API_PATHS, GENERATED_ENDPOINTS, GENERATED_SLO,
+ *                                  GENERATED_TESTS, OPENAPI_COMPONENTS - merged into
+ *                                  API_PATHS, ENDPOINTS, ENDPOINT_SLO and tests/manifest.js
+ *   helpers/payloads.generated.js  Payload builders from request body schemas
+ *   tests/generated/<tag>.js       One test per tag using utils/http-utils.js and utils/checks.js
+ *
+ * Regenerating rewrites a file only while its checksum matches its content,
+ * so hand-edited tests (and other generated files) are kept. Operations
+ * already in the hand-written ENDPOINTS catalog keep their names.
+ *
+ * The spec must be JSON - convert YAML first, e.g. `npx js-yaml openapi.yaml > openapi.json`.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { colors, fail, formatTable, parseArgs, splitList } from './lib/cli.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const GENERATOR = 'scripts/generate-from-openapi.js';
+
+const OUTPUT = {
+  config: 'config/openapi.generated.js',
+  payloads: 'helpers/payloads.generated.js',
+  tests: 'tests/generated'
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const WRAPPERS = { GET: 'get', POST: 'post', PUT: 'put', PATCH: 'patch', DELETE: 'del' };
+
+// Default SLO per method category - same values as DEFAULT_SLO in config/slo.js
+const SLO_BY_CATEGORY = {
+  read: { p95: 500, p99: 1000, errorRate: 0.01 },
+  write: { p95: 1000, p99: 2500, errorRate: 0.02 }
+};
+
+// =============================================================================
+// NAMING
+// =============================================================================
+
+function words(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+const snake = (text) => words(text).join('_');
+const upperSnake = (text) => snake(text).toUpperCase();
+const kebab = (text) => words(text).join('-');
+const camel = (text) => words(text).map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+const pascal = (text) => words(text).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+
+function singular(word) {
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ses')) return word.slice(0, -2);
+  return word.endsWith('s') ? word.slice(0, -1) : word;
+}
+
+function identifier(name) {
+  const id = camel(name) || 'param';
+  return /^[0-9]/.test(id) ? `p${id}` : id;
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : quote(name);
+}
+
+function quote(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Format value as JavaScript source in repo style (unquoted keys, single quotes)
+ * @param {*} value - JSON-compatible value
+ * @param {string} indent - Indentation of the line the value starts on
+ * @returns {string} Source - short objects/arrays stay on one line
+ */
+function literal(value, indent = '') {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'string' ? quote(value) : String(value);
+  }
+
+  const inner = `${indent}  `;
+  const entries = Array.isArray(value)
+    ? value.map(item => literal(item, inner))
+    : Object.entries(value).map(([key, item]) => `${propertyKey(key)}: ${literal(item, inner)}`);
+  if (entries.length === 0) {
+    return Array.isArray(value) ? '[]' : '{}';
+  }
+
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{ ', ' }'];
+  const inline = `${open}${entries.join(', ')}${close}`;
+  if (inline.length <= 80 && !inline.includes('\n')) {
+    return inline;
+  }
+  return `${open.trim()}\n${entries.map(entry => `${inner}${entry}`).join(',\n')}\n${indent}${close.trim()}`;
+}
+
+// =============================================================================
+// SPEC
+// =============================================================================
+
+/**
+ * Load OpenAPI document
+ * @param {string} file - Path to JSON spec
+ * @returns {Object} Parsed document
+ */
+function loadSpec(file) {
+  if (!fs.existsSync(file)) {
+    fail(`File not found: ${file}`);
+  }
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    fail(`${file} is not valid JSON (convert YAML specs first): ${error.message}`);
+  }
+  if (!String(spec.openapi || '').startsWith('3')) {
+    fail(`${file} is not an OpenAPI 3 document`);
+  }
+  return spec;
+}
+
+/**
+ * Resolve local $ref in spec
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} node - Node that may be a $ref
+ * @returns {Object} Referenced node or node itself
+ */
+function deref(spec, node) {
+  if (!node || !node.$ref) {
+    return node;
+  }
+  return node.$ref.slice(2).split('/')
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((current, part) => current?.[part], spec);
+}
+
+/**
+ * Group segment of a path ('/api/v1/orders/{id}' -> 'orders')
+ * @param {string} template - Path template
+ * @returns {string} First segment that is not a prefix or parameter
+ */
+function pathGroup(template) {
+  const segments = template.split('/').filter(Boolean);
+  return segments.find(segment => !/^\{.*\}$/.test(segment) && !/^(api|v\d+)$/i.test(segment)) || 'root';
+}
+
+/**
+ * Action name for an operation
+ * @param {string} method - Upper-case HTTP method
+ * @param {string} template - Path template
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} 'list', 'details', 'create', 'update', 'delete' or snake-cased operationId
+ */
+function actionName(method, template, operation) {
+  const group = pathGroup(template);
+  const tail = template.split('/').filter(Boolean);
+  const afterGroup = tail.slice(tail.indexOf(group) + 1);
+  const isCollection = afterGroup.length === 0;
+  const isItem = afterGroup.length === 1 && /^\{.*\}$/.test(afterGroup[0]);
+
+  if (isCollection && method === 'GET') return 'list';
+  if (isCollection && method === 'POST') return 'create';
+  if (isItem && method === 'GET') return 'details';
+  if (isItem && (method === 'PUT' || method === 'PATCH')) return 'update';
+  if (isItem && method === 'DELETE') return 'delete';
+
+  if (operation.operationId) {
+    // listOrderItems -> list_order_items, minus the group name
+    const name = words(operation.operationId).filter(word => word !== group.toLowerCase() && word !== singular(group.toLowerCase()));
+    if (name.length > 0) return name.join('_');
+  }
+  return snake([method, ...afterGroup.filter(segment => !/^\{.*\}$/.test(segment))].join(' '));
+}
+
+/**
+ * Collect operations from spec
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} existing - Hand-written ENDPOINTS catalog
+ * @returns {Array} Operations { name, group, action, method, template, tag, ... }
+ */
+function collectOperations(spec, existing) {
+  const operations = [];
+  const used = new Set(Object.keys(existing));
+
+  Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+    METHODS.filter(method => pathItem[method]).forEach(lower => {
+      const operation = pathItem[lower];
+      const method = lower.toUpperCase();
+      const group = snake(pathGroup(template));
+
+      // Operations already in the hand-written catalog keep their name
+      const known = Object.entries(existing).find(([, endpoint]) =>
+        endpoint.path === template && [].concat(endpoint.method).includes(method));
+
+      let name = known ? known[0] : `${group}.${actionName(method, template, operation)}`;
+      if (!known && used.has(name) && !operations.some(op => op.name === name && op.template === template)) {
+        name = `${name}_${lower}`;
+      }
+      used.add(name);
+
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(p => deref(spec, p));
+      const requestBody = deref(spec, operation.requestBody);
+      const [status, response] = successResponse(operation);
+
+      operations.push({
+        name,
+        handWritten: !!known,
+        group,
+        action: name.split('.').slice(1).join('.'),
+        method,
+        template,
+        tag: (operation.tags || ['default'])[0],
+        summary: operation.summary || '',
+        critical: !!operation['x-critical'],
+        pathParams: parameters.filter(p => p.in === 'path'),
+        queryParams: parameters.filter(p => p.in === 'query' && p.required),
+        requestSchema: requestBody?.content?.['application/json']?.schema || null,
+        status,
+        responseSchema: deref(spec, response)?.content?.['application/json']?.schema || null
+      });
+    });
+  });
+
+  return operations;
+}
+
+/**
+ * First documented success response
+ * @param {Object} operation - OpenAPI operation
+ * @returns {Array} [status, response] - status 200 when only 'default' is documented
+ */
+function successResponse(operation) {
+  const entries = Object.entries(operation.responses || {});
+  const success = entries.find(([code]) => /^2\d\d$/.test(code));
+  if (success) {
+    return [Number(success[0]), success[1]];
+  }
+  const fallback = entries.find(([code]) => code === 'default');
+  return [200, fallback ? fallback[1] : null];
+}
+
+// =============================================================================
+// PAYLOAD BUILDERS
+// =============================================================================
+
+/**
+ * Source expression producing a value for schema
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - JSON schema
+ * @param {string} name - Property name (for readable strings)
+ * @param {string} indent - Indentation of the line the value starts on
+ * @param {number} depth - Nesting depth (recursion guard)
+ * @returns {string} JavaScript expression
+ */
+function valueExpression(spec, schema, name, indent, depth = 0) {
+  const resolved = deref(spec, schema) || {};
+  if (depth > 4) return 'null';
+  if (resolved.example !== undefined) return literal(resolved.example, indent);
+  if (resolved.default !== undefined) return literal(resolved.default, indent);
+  if (resolved.enum) return `randomItem(${literal(resolved.enum, indent)})`;
+  if (resolved.allOf) {
+    return valueExpression(spec, { type: 'object', ...mergeAllOf(spec, resolved.allOf) }, name, indent, depth);
+  }
+  if (resolved.oneOf || resolved.anyOf) {
+    return valueExpression(spec, (resolved.oneOf || resolved.anyOf)[0], name, indent, depth);
+  }
+
+  const type = [].concat(resolved.type || (resolved.properties ? 'object' : 'string')).find(t => t !== 'null');
+  switch (type) {
+    case 'integer':
+    case 'number':
+      return `randomInt(${resolved.minimum ?? 1}, ${resolved.maximum ?? 1000})`;
+    case 'boolean':
+      return 'randomItem([true, false])';
+    case 'array':
+      return `[${valueExpression(spec, resolved.items || {}, singular(name), indent, depth + 1)}]`;
+    case 'object':
+      return `{${propertyLines(spec, resolved, indent, depth + 1).map(line => `\n${line}`).join(',')}\n${indent}}`;
+    default:
+      return stringExpression(resolved, name);
+  }
+}
+
+// Fake data (helpers/fake-data.js) for string properties by name
+const STRING_FAKERS = {
+  firstname: 'fake.firstName()',
+  lastname: 'fake.lastName()',
+  fullname: 'fake.fullName()',
+  phone: 'fake.phone()',
+  phonenumber: 'fake.phone()',
+  street: 'fake.address().street',
+  city: 'fake.address().city',
+  postalcode: 'fake.address().postalCode',
+  zipcode: 'fake.address().postalCode',
+  country: 'fake.address().country',
+  description: 'fake.lorem(200)'
+};
+
+function stringExpression(schema, name) {
+  switch (schema.format) {
+    case 'email': return 'randomEmail()';
+    case 'date-time': return 'new Date().toISOString()';
+    case 'date': return 'new Date().toISOString().slice(0, 10)';
+    case 'uuid': return 'fake.uuid()';
+    case 'uri': return '`https://example.com/${randomString(8)}`';
+  }
+  const faker = STRING_FAKERS[String(name).toLowerCase().replace(/[^a-z]/g, '')];
+  if (faker) {
+    return schema.maxLength ? `${faker}.slice(0, ${schema.maxLength})` : faker;
+  }
+  const length = Math.max(schema.minLength || 0, Math.min(schema.maxLength || 10, 10));
+  return ['name', 'title', 'label'].includes(name)
+    ? `\`${pascal(name)} \${randomString(5)}\``
+    : `randomString(${length})`;
+}
+
+function mergeAllOf(spec, schemas) {
+  return schemas.map(schema => deref(spec, schema)).reduce((merged, schema) => ({
+    properties: { ...merged.properties, ...schema.properties },
+    required: [...merged.required, ...(schema.required || [])]
+  }), { properties: {}, required: [] });
+}
+
+/**
+ * Source lines for object properties (readOnly properties are skipped)
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - Object schema
+ * @param {string} indent - Indentation of the object
+ * @param {number} depth - Nesting depth
+ * @returns {Array} Lines like `  name: randomString(10)`
+ */
+function propertyLines(spec, schema, indent, depth) {
+  const resolved = deref(spec, schema) || {};
+  const merged = resolved.allOf ? mergeAllOf(spec, resolved.allOf) : resolved;
+  return Object.entries(merged.properties || {})
+    .filter(([, property]) => !deref(spec, property)?.readOnly)
+    .map(([key, property]) => `${indent}  ${propertyKey(key)}: ${valueExpression(spec, property, key, `${indent}  `, depth)}`);
+}
+
+/**
+ * Payload builder name for operation
+ * @param {Object} op - Operation
+ * @returns {string} e.g. createOrderPayload, updateOrderPayload, approveOrderPayload
+ */
+function payloadName(op) {
+  return `${camel(op.action)}${pascal(singular(op.group))}Payload`;
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Add generated header with checksum
+ * @param {string} body - File content
+ * @param {string} source - Spec file name
+ * @returns {string} Content with header
+ */
+function withHeader(body, source) {
+  return `// @generated by ${GENERATOR} from ${source} - do not edit, or edit and keep:\n` +
+    `// edited files are not regenerated (checksum: ${checksum(body)})\n${body}`;
+}
+
+function checksum(body) {
+  return crypto.createHash('sha256').update(body).digest('hex').slice(0, 16);
+}
+
+function pathFunction(op) {
+  if (op.pathParams.length === 0 && !op.template.includes('{')) {
+    return quote(op.template);
+  }
+  const names = (op.template.match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1));
+  const template = op.template.replace(/\{([^}]+)\}/g, (_, param) => `\${${identifier(param)}}`);
+  return `(${names.map(identifier).join(', ')}) => \`${template}\``;
+}
+
+/**
+ * Render config/openapi.generated.js
+ * @param {Object} spec - OpenAPI document
+ * @param {Array} operations - Operations from collectOperations()
+ * @param {Array} tests - Manifest entries for generated tests
+ * @param {Object} handWritten - { apiGroups, sloGroups } defined by hand (skipped)
+ * @returns {string} File body
+ */
+function renderConfig(spec, operations, tests, handWritten) {
+  const generated = operations.filter(op => !op.handWritten);
+  const apiPaths = {};
+  const endpoints = {};
+  const slo = {};
+
+  generated.forEach(op => {
+    const group = op.group.toUpperCase();
+    const action = upperSnake(op.action);
+    if (!handWritten.apiGroups.includes(group)) {
+      apiPaths[group] = apiPaths[group] || {};
+      apiPaths[group][action] = apiPaths[group][action] || pathFunction(op);
+    }
+
+    if (endpoints[op.name]) {
+      endpoints[op.name].method = [].concat(endpoints[op.name].method, op.method);
+    } else {
+      endpoints[op.name] = { method: op.method, path: op.template };
+      if (op.critical) endpoints[op.name].critical = true;
+      const remover = op.action === 'create' &&
+        generated.find(other => other.method === 'DELETE' && other.group === op.group && other.action === 'delete');
+      if (remover) endpoints[op.name].cleanup = remover.name;
+    }
+
+    if (!handWritten.sloGroups.includes(op.group)) {
+      slo[op.group] = slo[op.group] || {};
+      slo[op.group][op.action] = SLO_BY_CATEGORY[op.method === 'GET' ? 'read' : 'write'];
+    }
+  });
+
+  const apiPathsSource = Object.entries(apiPaths).map(([group, actions]) =>
+    `  ${group}: {\n${Object.entries(actions).map(([action, value]) => `    ${action}: ${value}`).join(',\n')}\n  }`
+  ).join(',\n');
+
+  return `/**
+ * @file Generated API definitions
+ * @description Generated from ${spec.info?.title || 'OpenAPI spec'} ${spec.info?.version || ''} by ${GENERATOR}
+ *
+ * Merged into API_PATHS/ENDPOINTS (config/env.js), ENDPOINT_SLO (config/slo.js)
+ * and TESTS (tests/manifest.js) - hand-written entries take precedence.
+ * Tune SLO values in config/slo.js rather than here.
+ */
+
+export const GENERATED_API_PATHS = {${apiPathsSource ? `\n${apiPathsSource}\n` : ''}};
+
+export const GENERATED_ENDPOINTS = ${literal(endpoints)};
+
+export const GENERATED_SLO = ${literal(slo)};
+
+export const GENERATED_TESTS = ${literal(tests)};
+
+// Schemas referenced by generated tests ({ $ref: '#/components/schemas/...' })
+export const OPENAPI_COMPONENTS = ${literal({ schemas: spec.components?.schemas || {} })};
+`;
+}
+
+/**
+ * Render helpers/payloads.generated.js
+ * @param {Object} spec - OpenAPI document
+ * @param {Array} operations - Operations with request bodies
+ * @returns {string} File body
+ */
+function renderPayloads(spec, operations) {
+  const builders = new Map();
+  operations.filter(op => op.requestSchema).forEach(op => {
+    if (!builders.has(payloadName(op))) {
+      builders.set(payloadName(op), op);
+    }
+  });
+
+  const functions = [...builders.entries()].map(([name, op]) => `/**
+ * ${op.method} ${op.template} payload${op.summary ? ` - ${op.summary}` : ''}
+ * @param {Object} overrides - Override default values
+ * @returns {Object} Request payload
+ */
+export function ${name}(overrides = {}) {
+  return {
+${[...propertyLines(spec, op.requestSchema, '  ', 1), '    ...overrides'].join(',\n')}
+  };
+}`);
+
+  return `/**
+ * @file Generated payload builders
+ * @description Request payloads derived from OpenAPI request body schemas
+ *
+ * Pattern: Same shape as createProductPayload() in helpers/common.js
+ */
+
+import { randomEmail, randomInt, randomItem, randomString } from './common.js';${functions.some(fn => fn.includes('fake.')) ? `
+import * as fake from './fake-data.js';` : ''}
+
+${functions.join('\n\n')}
+`;
+}
+
+/**
+ * Render tests/generated/<tag>.js
+ * @param {Object} spec - OpenAPI document
+ * @param {string} tag - OpenAPI tag
+ * @param {Array} operations - Operations of this tag
+ * @param {Object} test - Manifest entry
+ * @returns {string} File body
+ */
+function renderTest(spec, tag, operations, test) {
+  const payloads = [...new Set(operations.filter(op => op.requestSchema).map(payloadName))];
+  // PUT and PATCH share an endpoint name - their functions get a method suffix
+  const fn = (op) => (operations.some(other => other !== op && other.name === op.name)
+    ? `${camel(op.name)}${pascal(op.method)}`
+    : camel(op.name));
+  const wrappers = [...new Set(operations.map(op => WRAPPERS[op.method]))];
+  const params = {};
+  operations.forEach(op => op.pathParams.concat(op.queryParams).forEach(param => {
+    params[param.name] = String(param.example ?? param.schema?.example ?? param.schema?.default ?? '1');
+  }));
+  const schemas = {};
+  operations.filter(op => op.responseSchema && op.status !== 204).forEach(op => {
+    schemas[snake(fn(op))] = op.responseSchema;
+  });
+
+  const paramRef = (name) => `PARAMS${/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? `.${name}` : `[${quote(name)}]`}`;
+  const mix = operations.map(op => {
+    const weight = op.method === 'GET' ? 10 : op.action === 'create' ? 5 : 0;
+    return `  { name: '${snake(fn(op))}', weight: ${weight}, run: () => ${fn(op)}() }`;
+  });
+
+  const functions = operations.map(op => {
+    const plain = !op.template.includes('{') && op.queryParams.length === 0;
+    const path = plain ? quote(op.template) : `\`${op.template.replace(/\{([^}]+)\}/g, (_, name) => `\${${paramRef(name)}}`)}\``;
+    const query = op.queryParams.length > 0
+      ? `?${op.queryParams.map(p => `${encodeURIComponent(p.name)}=\${encodeURIComponent(${paramRef(p.name)})}`).join('&')}`
+      : '';
+    const url = query ? `${path.slice(0, -1)}${query}\`` : path;
+    const role = op.method === 'GET' ? 'USER' : 'ADMIN';
+    const body = ['POST', 'PUT', 'PATCH'].includes(op.method)
+      ? `, ${op.requestSchema ? `${payloadName(op)}()` : '{}'}`
+      : '';
+    const schemaCheck = schemas[snake(fn(op))]
+      ? `\n\n  if (res.status === ${op.status}) {\n    checkJsonSchema(res, SCHEMAS.${snake(fn(op))}, '${op.name}', { root: SCHEMA_ROOT });\n  }`
+      : '';
+
+    return `/**
+ * ${op.method} ${op.template}${op.summary ? ` - ${op.summary}` : ''}
+ */
+function ${fn(op)}() {
+  const res = ${WRAPPERS[op.method]}(${url}${body}, '${role}', '${op.name}');
+
+  checkStatus(res, ${op.status});${schemaCheck}
+}`;
+  });
+
+  const scenarioFunctions = operations.map(op => `export function ${fn(op)}Test(data) {
+  restoreSessions(data?.auth);
+  ${fn(op)}();
+  sleep(thinkTime());
+}`);
+
+  const disabled = operations.find(op => op.method !== 'GET' && op.action !== 'create');
+  const hasSchemas = Object.keys(schemas).length > 0;
+  const mixEnv = `${upperSnake(test.name)}_MIX`;
+
+  return `/**
+ * @file ${tag} API Test
+ * @description Generated from ${spec.info?.title || 'OpenAPI spec'} for tag "${tag}"
+ *
+ * Operations:
+${operations.map(op => ` *   - ${op.method} ${op.template} (${op.name})`).join('\n')}
+ *${disabled ? `
+ * Only reads (weight 10) and creates (weight 5) run by default - enable
+ * other writes with ${mixEnv} once PARAMS point to disposable data:
+ *   k6 run -e ${mixEnv}='${snake(fn(disabled))}=5' ${test.file}
+ *` : ''}
+ * Usage:
+ *   ./run.sh -t ${test.name}
+ *   k6 run -e PROFILE=SMOKE ${test.file}
+ */
+
+import { sleep } from 'k6';
+import { ${wrappers.join(', ')} } from '../../utils/http-utils.js';
+import { ${['checkStatus', ...(hasSchemas ? ['checkJsonSchema'] : [])].join(', ')} } from '../../utils/checks.js';
+import { thinkTime } from '../../helpers/common.js';${payloads.length > 0 ? `
+import { ${payloads.join(', ')} } from '../../helpers/payloads.generated.js';` : ''}
+import { describeSeed } from '../../helpers/random.js';
+import { loginAll, restoreSessions } from '../../utils/auth.js';
+import { buildScenario, describeProfile, resolveTrafficMix, selectWeighted } from '../../helpers/scenarios.js';
+import { SUMMARY_TREND_STATS } from '../../utils/summary.js';
+import { getProfile, getProfileName } from '../../config/env.js';
+import { generateEndpointThresholds } from '../../config/slo.js';${hasSchemas ? `
+import { OPENAPI_COMPONENTS } from '../../config/openapi.generated.js';` : ''}
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+const profile = getProfile();
+const load = describeProfile(profile);
+const ENDPOINT_NAMES = ${literal([...new Set(operations.map(op => op.name))])};
+
+export const options = {
+  summaryTrendStats: SUMMARY_TREND_STATS,
+  scenarios: {
+    default: buildScenario(profile),
+  },
+  thresholds: {
+    // Per-endpoint SLO (requests are tagged with endpoint by http-utils)
+    ...generateEndpointThresholds({ include: ENDPOINT_NAMES }),
+    checks: ['rate>0.95'],
+  },
+};
+
+// =============================================================================
+// TEST DATA
+// =============================================================================
+
+// Path and query parameters - point them at data that exists in the target environment
+const PARAMS = ${literal(params)};
+${hasSchemas ? `
+// Documented response schemas ($ref resolved against OPENAPI_COMPONENTS)
+const SCHEMA_ROOT = { components: OPENAPI_COMPONENTS };
+const SCHEMAS = ${literal(schemas)};
+` : ''}
+// Weights can be overridden with ${mixEnv} / ${mixEnv}_FILE
+const requestMix = resolveTrafficMix([
+${mix.join(',\n')}
+], { env: '${mixEnv}' });
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+// SLO text/JSON/JUnit reports written next to the run.sh JSON output
+export { handleSummary } from '../../utils/summary.js';
+
+// =============================================================================
+// SETUP
+// =============================================================================
+
+export function setup() {
+  console.log('========================================');
+  console.log('${tag} API Test (generated)');
+  console.log('========================================');
+  console.log(\`Profile: \${getProfileName()} (\${load.executor})\`);
+  console.log(\`Load: \${load.load}\`);
+  console.log(\`Duration: \${load.duration}\`);
+  console.log(\`Seed: \${describeSeed()}\`);
+  console.log('========================================');
+
+  return { auth: loginAll() };
+}
+
+// =============================================================================
+// TEST FUNCTIONS
+// =============================================================================
+
+${functions.join('\n\n')}
+
+// =============================================================================
+// MAIN TEST
+// =============================================================================
+
+export default function(data) {
+  restoreSessions(data?.auth);
+  selectWeighted(requestMix).run(data);
+  sleep(thinkTime());
+}
+
+// =============================================================================
+// EXPORTED SCENARIO FUNCTIONS
+// =============================================================================
+
+${scenarioFunctions.join('\n\n')}
+`;
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+/**
+ * Decide what to do with a generated file
+ * @param {string} file - Path relative to project root
+ * @param {string} content - New content (with header)
+ * @param {boolean} force - Overwrite edited files
+ * @returns {string} 'create', 'update', 'unchanged', 'edited' or 'hand-written'
+ */
+function planWrite(file, content, force) {
+  const target = path.join(ROOT, file);
+  if (!fs.existsSync(target)) {
+    return 'create';
+  }
+
+  const current = fs.readFileSync(target, 'utf8');
+  if (current === content) {
+    return 'unchanged';
+  }
+  if (force) {
+    return 'update';
+  }
+
+  const match = current.match(/^\/\/ @generated by [^\n]*\n\/\/ [^\n]*\(checksum: ([0-9a-f]+)\)\n/);
+  if (!match) {
+    return 'hand-written';
+  }
+  return checksum(current.slice(match[0].length)) === match[1] ? 'update' : 'edited';
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { boolean: ['dry-run', 'force'] });
+  if (args._.length !== 1) {
+    fail('Usage: generate-from-openapi.js <openapi.json> [--tag <tags>] [--dry-run] [--force]');
+  }
+
+  const specFile = args._[0];
+  const spec = loadSpec(specFile);
+  const source = path.basename(specFile);
+
+  // config/env.js and config/slo.js are k6 modules reading __ENV - load them
+  // with a minimal __ENV to find the hand-written entries
+  globalThis.__ENV = { PROFILE: 'SMOKE' };
+  const { API_PATHS, ENDPOINTS } = await import('../config/env.js');
+  const { ENDPOINT_SLO } = await import('../config/slo.js');
+  const generated = await import('../config/openapi.generated.js');
+
+  const handEndpoints = Object.fromEntries(Object.entries(ENDPOINTS).filter(([name]) => !generated.GENERATED_ENDPOINTS[name]));
+  const handWritten = {
+    apiGroups: Object.keys(API_PATHS).filter(group => !generated.GENERATED_API_PATHS[group]),
+    sloGroups: Object.keys(ENDPOINT_SLO).filter(group => !generated.GENERATED_SLO[group])
+  };
+
+  const operations = collectOperations(spec, handEndpoints);
+  if (operations.length === 0) {
+    fail(`No operations found in ${specFile}`);
+  }
+
+  const onlyTags = splitList(args.tag);
+  const byTag = new Map();
+  operations
+    .filter(op => onlyTags.length === 0 || onlyTags.includes(op.tag))
+    .forEach(op => byTag.set(op.tag, [...(byTag.get(op.tag) || []), op]));
+
+  const tests = [...byTag.entries()].map(([tag, ops]) => ({
+    name: kebab(tag),
+    file: `${OUTPUT.tests}/${kebab(tag)}.js`,
+    description: `${tag} API (generated from ${source})`,
+    tags: ['generated', kebab(tag), ops.some(op => op.method !== 'GET') ? 'write' : 'read'],
+    group: 'generated',
+    profile: 'SMOKE',
+    hosts: ops.some(op => op.method !== 'GET') ? ['LOCAL', 'DEV', 'STAGING'] : ['LOCAL', 'DEV', 'STAGING', 'PROD']
+  }));
+
+  const files = [
+    [OUTPUT.config, renderConfig(spec, operations, tests, handWritten)],
+    [OUTPUT.payloads, renderPayloads(spec, operations)],
+    ...[...byTag.entries()].map(([tag, ops], i) => [tests[i].file, renderTest(spec, tag, ops, tests[i])])
+  ].map(([file, body]) => [file, withHeader(body, source)]);
+
+  const rows = files.map(([file, content]) => {
+    const action = planWrite(file, content, args.force);
+    if (!args['dry-run'] && (action === 'create' || action === 'update')) {
+      fs.mkdirSync(path.dirname(path.join(ROOT, file)), { recursive: true });
+      fs.writeFileSync(path.join(ROOT, file), content);
+    }
+    const label = { edited: colors.yellow('skipped (edited)'), 'hand-written': colors.yellow('skipped (not generated)') };
+    return [file, label[action] || colors.green(action)];
+  });
+
+  console.log(formatTable(['File', args['dry-run'] ? 'Would' : 'Result'], rows));
+
+  const reused = operations.filter(op => op.handWritten);
+  if (reused.length > 0) {
+    console.log(colors.dim(`\nAlready in ENDPOINTS (kept): ${reused.map(op => op.name).join(', ')}`));
+  }
+  const merged = [...new Set(operations.filter(op => !op.handWritten &&
+    (handWritten.apiGroups.includes(op.group.toUpperCase()) || handWritten.sloGroups.includes(op.group))).map(op => op.name))];
+  if (merged.length > 0) {
+    console.log(colors.yellow(`Groups defined by hand - add API_PATHS/ENDPOINT_SLO entries manually: ${merged.join(', ')}`));
+  }
+  if (rows.some(([, result]) => result.includes('skipped'))) {
+    console.log(colors.dim('Edited files are kept - use --force to overwrite, or delete them to regenerate.'));
+  }
+}
+
+main().catch(error => fail(error.message));
@@ -0,0 +1,170 @@
+/**
+ * @file CLI helpers for Node scripts
+ * @description Argument parsing, colored output and error exit shared by scripts/
+ *
+ * Pattern: Zero dependencies - scripts run with plain `node` (>= 18)
+ */
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+const USE_COLOR = process.stdout.isTTY && !process.env.NO_COLOR;
+
+const wrap = (code) => (text) => (USE_COLOR ? `\x1b[${code}m${text}\x1b[0m` : String(text));
+
+export const colors = {
+  red: wrap('0;31'),
+  green: wrap('0;32'),
+  yellow: wrap('1;33'),
+  blue: wrap('0;34'),
+  dim: wrap('2')
+};
+
+/**
+ * Print error and exit
+ * @param {string} message - Error message
+ * @param {number} code - Exit code (2 = usage/input error)
+ */
+export function fail(message, code = 2) {
+  console.error(colors.red(`Error: ${message}`));
+  process.exit(code);
+}
+
+/**
+ * Render rows as aligned text table
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Array of row arrays
+ * @returns {string} Table text
+ *
+ * Column widths ignore ANSI color codes so colored cells stay aligned.
+ */
+export function formatTable(headers, rows) {
+  const visible = (value) => String(value).replace(/\x1b\[[0-9;]*m/g, '').length;
+  const widths = headers.map((header, i) =>
+    Math.max(visible(header), ...rows.map(row => visible(row[i] ?? '')))
+  );
+  const line = (cells) => cells
+    .map((cell, i) => String(cell ?? '') + ' '.repeat(widths[i] - visible(cell ?? '')))
+    .join('  ')
+    .trimEnd();
+
+  return [line(headers), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// =============================================================================
+// ARGUMENTS
+// =============================================================================
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments (usually process.argv.slice(2))
+ * @param {Object} options - { boolean: ['flag names without value'] }
+ * @returns {Object} { _: positional args, ...flags }
+ *
+ * Example:
+ * parseArgs(['a.json', '--format', 'csv', '--quiet'], { boolean: ['quiet'] })
+ * // Returns: { _: ['a.json'], format: 'csv', quiet: true }
+ *
+ * Supports --name value, --name=value and repeated flags (collected into arrays).
+ */
+export function parseArgs(argv, options = {}) {
+  const booleans = options.boolean || [];
+  const args = { _: [] };
+
+  const set = (name, value) => {
+    if (args[name] === undefined) {
+      args[name] = value;
+    } else {
+      args[name] = [].concat(args[name], value);
+    }
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      set(name, inlineValue);
+    } else if (booleans.includes(name)) {
+      set(name, true);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      set(name, argv[++i]);
+    } else {
+      fail(`Missing value for --${name}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Split comma-separated (and possibly repeated) option
+ * @param {string|Array} value - Option value(s) from parseArgs()
+ * @returns {Array} Trimmed non-empty items
+ *
+ * Example:
+ * splitList(['a,b', 'c'])
+ * // Returns: ['a', 'b', 'c']
+ */
+export function splitList(value) {
+  return [].concat(value || []).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// =============================================================================
+// DURATIONS
+// =============================================================================
+
+/**
+ * Parse k6-style duration
+ * @param {string|number} value - Duration like '90s', '1m30s', '500ms' (plain number = seconds)
+ * @returns {number} Milliseconds
+ *
+ * Same format as parseDuration() in helpers/scenarios.js, which cannot be
+ * imported here because k6 modules read __ENV at load time.
+ */
+export function parseDuration(value) {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return parseFloat(text) * 1000;
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let total = 0;
+  let consumed = '';
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    total += parseFloat(match[1]) * units[match[2]];
+    consumed += match[0];
+  }
+
+  if (consumed !== text) {
+    fail(`Invalid duration "${value}" (use e.g. 30s, 3m, 1m30s)`);
+  }
+  return total;
+}
+
+/**
+ * Format milliseconds as k6 duration string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration like '1h5m30s'
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  const parts = [];
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if (seconds || parts.length === 0) parts.push(`${seconds}s`);
+  return parts.join('');
+}
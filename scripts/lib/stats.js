@@ -0,0 +1,173 @@
+/**
+ * @file Statistics helpers
+ * @description Percentiles and summary stats matching k6 Trend semantics
+ *
+ * Pattern: Pure functions over arrays of numbers, plus a bounded digest
+ *          (log-bucket histogram) for streaming large result files
+ */
+
+/**
+ * Supported summary stats
+ * count, sum, avg, min, med, max and p<N> (any percentile, e.g. p95, p99.9)
+ */
+export const DEFAULT_STATS = ['count', 'avg', 'min', 'med', 'p90', 'p95', 'p99', 'max'];
+
+/**
+ * Percentile with linear interpolation (same as k6 p(N))
+ * @param {Array} sorted - Values sorted ascending
+ * @param {number} pct - Percentile 0-100
+ * @returns {number|null} Percentile value or null for empty input
+ *
+ * Example:
+ * percentile([10, 20, 30, 40], 50)
+ * // Returns: 25
+ */
+export function percentile(sorted, pct) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  if (sorted.length === 1) {
+    return sorted[0];
+  }
+
+  const index = (pct / 100) * (sorted.length - 1);
+  const lower = sorted[Math.floor(index)];
+  const upper = sorted[Math.ceil(index)];
+  return lower + (upper - lower) * (index - Math.floor(index));
+}
+
+/**
+ * Validate stat names
+ * @param {Array} stats - Requested stat names
+ * @returns {Array} Unknown stat names (empty if all valid)
+ */
+export function unknownStats(stats) {
+  return stats.filter(stat => !['count', 'sum', 'avg', 'min', 'med', 'max'].includes(stat) && !/^p\d+(\.\d+)?$/.test(stat));
+}
+
+/**
+ * Compute summary stats
+ * @param {Array} values - Numbers (sorted in place)
+ * @param {Array} stats - Stat names (see DEFAULT_STATS)
+ * @returns {Object} Stat name -> value
+ *
+ * Example:
+ * summarize([3, 1, 2], ['count', 'avg', 'p50'])
+ * // Returns: { count: 3, avg: 2, p50: 2 }
+ */
+export function summarize(values, stats = DEFAULT_STATS) {
+  values.sort((a, b) => a - b);
+  const sum = values.reduce((total, value) => total + value, 0);
+  const result = {};
+
+  stats.forEach(stat => {
+    if (stat === 'count') result[stat] = values.length;
+    else if (stat === 'sum') result[stat] = sum;
+    else if (stat === 'avg') result[stat] = values.length > 0 ? sum / values.length : null;
+    else if (stat === 'min') result[stat] = values.length > 0 ? values[0] : null;
+    else if (stat === 'max') result[stat] = values.length > 0 ? values[values.length - 1] : null;
+    else if (stat === 'med') result[stat] = percentile(values, 50);
+    else result[stat] = percentile(values, parseFloat(stat.slice(1)));
+  });
+
+  return result;
+}
+
+// =============================================================================
+// STREAMING DIGEST
+// =============================================================================
+
+// Bucket growth factor: percentiles are within 1% of the exact value
+const DIGEST_GAMMA = 1.02;
+const DIGEST_LOG_GAMMA = Math.log(DIGEST_GAMMA);
+
+/**
+ * Create empty digest
+ * @returns {Object} Digest { count, sum, min, max, zeros, positive, negative }
+ *
+ * Memory is bounded by the value range, not the value count: about 1200
+ * buckets cover 1µs to 3h in milliseconds. count, sum, avg, min and max
+ * are exact; percentiles come from the bucket midpoints (1% relative error).
+ */
+export function createDigest() {
+  return { count: 0, sum: 0, min: Infinity, max: -Infinity, zeros: 0, positive: new Map(), negative: new Map() };
+}
+
+/**
+ * Add value to digest
+ * @param {Object} digest - Digest from createDigest() (updated in place)
+ * @param {number} value - Value
+ */
+export function addToDigest(digest, value) {
+  digest.count++;
+  digest.sum += value;
+  digest.min = Math.min(digest.min, value);
+  digest.max = Math.max(digest.max, value);
+
+  if (value === 0) {
+    digest.zeros++;
+    return;
+  }
+  const buckets = value > 0 ? digest.positive : digest.negative;
+  const index = Math.ceil(Math.log(Math.abs(value)) / DIGEST_LOG_GAMMA);
+  buckets.set(index, (buckets.get(index) || 0) + 1);
+}
+
+/**
+ * Percentile of digest
+ * @param {Object} digest - Digest from createDigest()
+ * @param {number} pct - Percentile 0-100
+ * @returns {number|null} Approximate percentile (clamped to min/max) or null when empty
+ */
+function digestPercentile(digest, pct) {
+  if (digest.count === 0) {
+    return null;
+  }
+
+  // Midpoint of bucket (gamma^(i-1), gamma^i]
+  const midpoint = (index) => (2 * Math.pow(DIGEST_GAMMA, index)) / (DIGEST_GAMMA + 1);
+  const ordered = [
+    ...[...digest.negative.entries()].sort(([a], [b]) => b - a).map(([index, count]) => [-midpoint(index), count]),
+    [0, digest.zeros],
+    ...[...digest.positive.entries()].sort(([a], [b]) => a - b).map(([index, count]) => [midpoint(index), count])
+  ];
+
+  const rank = Math.round((pct / 100) * (digest.count - 1));
+  let seen = 0;
+  for (const [value, count] of ordered) {
+    seen += count;
+    if (rank < seen) {
+      return Math.min(digest.max, Math.max(digest.min, value));
+    }
+  }
+  return digest.max;
+}
+
+/**
+ * Compute summary stats of digest
+ * @param {Object} digest - Digest from createDigest()
+ * @param {Array} stats - Stat names (see DEFAULT_STATS)
+ * @returns {Object} Stat name -> value
+ *
+ * Example:
+ * const digest = createDigest();
+ * [3, 1, 2].forEach(value => addToDigest(digest, value));
+ * summarizeDigest(digest, ['count', 'avg', 'max'])
+ * // Returns: { count: 3, avg: 2, max: 3 }
+ */
+export function summarizeDigest(digest, stats = DEFAULT_STATS) {
+  const empty = digest.count === 0;
+  const result = {};
+
+  stats.forEach(stat => {
+    if (stat === 'count') result[stat] = digest.count;
+    else if (stat === 'sum') result[stat] = digest.sum;
+    else if (stat === 'avg') result[stat] = empty ? null : digest.sum / digest.count;
+    else if (stat === 'min') result[stat] = empty ? null : digest.min;
+    else if (stat === 'max') result[stat] = empty ? null : digest.max;
+    else if (stat === 'med') result[stat] = digestPercentile(digest, 50);
+    else result[stat] = digestPercentile(digest, parseFloat(stat.slice(1)));
+  });
+
+  return result;
+}
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * @file Test selection
+ * @description Query tests/manifest.js by name, tag, group and host
+ *
+ * Pattern: Shell runners call this instead of keeping their own test lists
+ *
+ * Usage:
+ *   node scripts/list-tests.js                         # table of all tests
+ *   node scripts/list-tests.js --tag smoke             # tests tagged smoke
+ *   node scripts/list-tests.js --group example --host PROD
+ *   node scripts/list-tests.js --name crud --format tsv
+ *
+ * Options:
+ *   --name <names>           Test names or aliases, comma-separated
+ *   --tag <tags>             Tests having any of the tags, comma-separated
+ *   --group <groups>         Tests in any of the groups, comma-separated
+ *   --exclude-group <groups> Drop tests in these groups
+ *   --host <host>            Drop tests not allowed on named host (reported on stderr)
+ *   --format table|tsv|json  Output format (tsv: name<TAB>file<TAB>profile)
+ *
+ * Exit codes: 0 = tests selected, 1 = nothing selected, 2 = usage/manifest error
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { colors, fail, formatTable, parseArgs, splitList } from './lib/cli.js';
+import { ALL_HOSTS, TESTS, getTest } from '../tests/manifest.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate manifest entries
+ * @param {Array} tests - Manifest entries
+ * @returns {Array} Error messages (empty if valid)
+ */
+function validateManifest(tests) {
+  const errors = [];
+  const seen = new Map();
+
+  tests.forEach((test, index) => {
+    const label = test.name || `entry #${index}`;
+    ['name', 'file', 'group'].forEach(field => {
+      if (!test[field]) {
+        errors.push(`${label}: missing "${field}"`);
+      }
+    });
+    if (test.file && !fs.existsSync(path.join(ROOT, test.file))) {
+      errors.push(`${label}: file not found: ${test.file}`);
+    }
+    [test.name, ...(test.aliases || [])].filter(Boolean).forEach(key => {
+      if (seen.has(key)) {
+        errors.push(`${label}: name "${key}" already used by ${seen.get(key)}`);
+      }
+      seen.set(key, label);
+    });
+  });
+
+  return errors;
+}
+
+// =============================================================================
+// SELECTION
+// =============================================================================
+
+/**
+ * Select tests from manifest
+ * @param {Object} args - Parsed CLI args
+ * @returns {Object} { selected, skipped } - skipped are tests not allowed on --host
+ */
+function selectTests(args) {
+  const names = splitList(args.name);
+  const tags = splitList(args.tag);
+  const groups = splitList(args.group);
+  const excluded = splitList(args['exclude-group']);
+  let selected;
+
+  if (names.length > 0) {
+    selected = names.map(name => {
+      const test = getTest(name);
+      if (!test) {
+        console.error(colors.red(`Unknown test: ${name}`));
+      }
+      return test;
+    });
+    if (selected.includes(null)) {
+      process.exit(1);
+    }
+  } else {
+    selected = [...TESTS];
+  }
+
+  selected = selected
+    .filter(test => tags.length === 0 || (test.tags || []).some(tag => tags.includes(tag)))
+    .filter(test => groups.length === 0 || groups.includes(test.group))
+    .filter(test => !excluded.includes(test.group));
+
+  if (!args.host) {
+    return { selected, skipped: [] };
+  }
+
+  // Custom host URLs cannot be matched against manifest host names
+  const host = String(args.host).toUpperCase();
+  const allowed = (test) => !ALL_HOSTS.includes(host) || !test.hosts || test.hosts.includes(host);
+  return {
+    selected: selected.filter(allowed),
+    skipped: selected.filter(test => !allowed(test))
+  };
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+const args = parseArgs(process.argv.slice(2));
+const format = args.format || 'table';
+
+if (!['table', 'tsv', 'json'].includes(format)) {
+  fail(`Unknown format "${format}" (use table, tsv or json)`);
+}
+
+const errors = validateManifest(TESTS);
+if (errors.length > 0) {
+  fail(`Invalid tests/manifest.js:\n  ${errors.join('\n  ')}`);
+}
+
+const { selected, skipped } = selectTests(args);
+
+skipped.forEach(test => {
+  console.error(colors.yellow(`SKIP ${test.name}: not allowed on ${args.host} (allowed: ${test.hosts.join(', ')})`));
+});
+
+if (selected.length === 0) {
+  console.error(colors.red('No tests match the selection'));
+  process.exit(1);
+}
+
+if (format === 'tsv') {
+  selected.forEach(test => console.log([test.name, test.file, test.profile || ''].join('\t')));
+} else if (format === 'json') {
+  console.log(JSON.stringify(selected, null, 2));
+} else {
+  console.log(formatTable(
+    ['Name', 'Aliases', 'Group', 'Tags', 'Profile', 'Hosts', 'Description'],
+    selected.map(test => [
+      test.name,
+      (test.aliases || []).join(','),
+      test.group,
+      (test.tags || []).join(','),
+      test.profile || '-',
+      (test.hosts || ['any']).join(','),
+      test.description || ''
+    ])
+  ));
+}
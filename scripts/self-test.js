@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * @file Threshold self-test
+ * @description Run the example tests against the mock API with injected faults
+ *              and assert that their thresholds catch every fault
+ *
+ * Pattern: One mock server per case (fresh data and degradation clock), verdict
+ *          read from the <prefix>.report.json written by utils/summary.js
+ *
+ * Usage:
+ *   node scripts/self-test.js                              # every example test x every fault
+ *   node scripts/self-test.js --test crud --fault errors,drop
+ *   node scripts/self-test.js --test all --profile LIGHT
+ *
+ * Cases:
+ *   baseline        no fault - every threshold must pass (guards against tests failing for other reasons)
+ *   latency-spike   5% of requests +3s         -> a p(99) duration threshold must fail
+ *   errors          10% 500/502/503            -> an http_req_failed threshold must fail
+ *   degradation     +100ms per second          -> a duration threshold must fail
+ *   drop            10% connections closed     -> an http_req_failed threshold must fail
+ *   malformed       30% truncated JSON bodies  -> a checks threshold must fail
+ *
+ * Faults are FAULT_PROFILES from mock-server/behavior.js, applied to every route
+ * except auth (a failed login in setup() aborts the test before any threshold runs).
+ *
+ * Options:
+ *   --test <names>     Tests from tests/manifest.js (default: example and suite groups)
+ *   --fault <names>    Faults to inject (default: all)
+ *   --skip-baseline    Do not run the fault-free case
+ *   --profile <name>   Load profile (default: SMOKE - about 30s per case)
+ *   --port <n>         Mock server port (default: 3900)
+ *   --out <dir>        Reports and k6 logs (default: results/self-test)
+ *   --verbose          Stream k6 output
+ *
+ * Requires k6 on PATH. Exit codes: 0 = all caught, 1 = a fault slipped through
+ * or the baseline failed, 2 = usage error or k6 missing
+ */
+
+import { spawn, spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { colors, fail, formatTable, parseArgs, splitList } from './lib/cli.js';
+import { FAULT_PROFILES } from '../mock-server/behavior.js';
+import { TESTS, getTest } from '../tests/manifest.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const DEFAULT_PORT = 3900;
+
+// =============================================================================
+// EXPECTATIONS
+// =============================================================================
+
+/**
+ * Threshold that must fail per fault
+ * - metric:     pattern for the threshold metric (tags included, e.g. http_req_failed{endpoint:products.list})
+ * - expression: optional pattern for the threshold expression
+ */
+const EXPECTATIONS = {
+  'latency-spike': { metric: /duration/, expression: /^p\(99\)/, description: 'p(99) duration threshold fails' },
+  errors: { metric: /^http_req_failed/, description: 'http_req_failed threshold fails' },
+  degradation: { metric: /duration/, description: 'duration threshold fails' },
+  drop: { metric: /^http_req_failed/, description: 'http_req_failed threshold fails' },
+  malformed: { metric: /^checks/, description: 'checks threshold fails' }
+};
+
+const BASELINE = 'baseline';
+
+/**
+ * Judge report of one case
+ * @param {Object} report - Parsed <prefix>.report.json
+ * @param {Object|null} expectation - Entry of EXPECTATIONS, null for the baseline
+ * @returns {Object} { ok, thresholds } - thresholds explaining the verdict
+ */
+function judge(report, expectation) {
+  const failed = (report.thresholds || []).filter(threshold => threshold.status === 'fail');
+  if (!expectation) {
+    return { ok: failed.length === 0, thresholds: failed };
+  }
+
+  const caught = failed.filter(threshold => expectation.metric.test(threshold.metric) &&
+    (!expectation.expression || expectation.expression.test(threshold.expression)));
+  return { ok: caught.length > 0, thresholds: caught.length > 0 ? caught : failed };
+}
+
+// =============================================================================
+// PROCESSES
+// =============================================================================
+
+/**
+ * Wait for child process to exit
+ * @param {Object} child - Child process
+ * @returns {Promise<number>} Exit code
+ */
+function exited(child) {
+  if (child.exitCode !== null) {
+    return Promise.resolve(child.exitCode);
+  }
+  return new Promise(resolve => child.on('exit', code => resolve(code)));
+}
+
+/**
+ * Start mock server and wait until it answers
+ * @param {number} port - Port
+ * @param {string} configFile - Behavior config
+ * @returns {Promise<Object>} Child process
+ * @throws {Error} When the server exits or does not answer within 10s
+ */
+async function startMock(port, configFile) {
+  const child = spawn(process.execPath, [
+    path.join(ROOT, 'mock-server/server.js'), '--port', String(port), '--config', configFile, '--quiet'
+  ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (child.exitCode !== null) {
+      throw new Error(`Mock server exited: ${stderr.trim()}`);
+    }
+    try {
+      const res = await fetch(`http://localhost:${port}/__mock/health`);
+      if (res.ok) {
+        return child;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  child.kill();
+  throw new Error(`Mock server did not start on port ${port}`);
+}
+
+/**
+ * Run k6 test against mock server
+ * @param {Object} test - Manifest entry
+ * @param {Object} options - { port, profile, prefix, verbose }
+ * @returns {Promise<number>} k6 exit code (99 = thresholds failed)
+ */
+async function runK6(test, { port, profile, prefix, verbose }) {
+  const log = fs.openSync(`${prefix}.log`, 'w');
+  const child = spawn('k6', [
+    'run',
+    '-e', `HOST=http://localhost:${port}`,
+    '-e', `PROFILE=${profile}`,
+    '-e', `TEST_NAME=${test.name}`,
+    '-e', `REPORT_PREFIX=${prefix}`,
+    test.file
+  ], { cwd: ROOT, stdio: ['ignore', verbose ? 'inherit' : log, verbose ? 'inherit' : log] });
+
+  const code = await exited(child);
+  fs.closeSync(log);
+  return code;
+}
+
+/**
+ * Run one test against one fault
+ * @param {Object} test - Manifest entry
+ * @param {string} fault - Fault profile name or BASELINE
+ * @param {Object} options - { port, profile, out, verbose }
+ * @returns {Promise<Object>} { test, fault, ok, thresholds, error }
+ */
+async function runCase(test, fault, options) {
+  const prefix = path.join(options.out, `${test.name}_${fault}`);
+  const configFile = `${prefix}.mock.json`;
+  const config = fault === BASELINE ? {} : { fault, routes: { auth: { fault: 'none' } } };
+  fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
+
+  const reportFile = `${prefix}.report.json`;
+  fs.rmSync(reportFile, { force: true });
+
+  const mock = await startMock(options.port, configFile);
+  let code;
+  try {
+    code = await runK6(test, { ...options, prefix });
+  } finally {
+    mock.kill('SIGTERM');
+    await exited(mock);
+  }
+
+  if (!fs.existsSync(reportFile)) {
+    return { test, fault, ok: false, thresholds: [], error: `no report (k6 exit code ${code}, see ${prefix}.log)` };
+  }
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+  return { test, fault, ...judge(report, EXPECTATIONS[fault] || null) };
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+/**
+ * Render result row
+ * @param {Object} result - Result of runCase()
+ * @returns {Array} Table cells
+ */
+function resultRow(result) {
+  const baseline = result.fault === BASELINE;
+  const verdict = result.ok
+    ? colors.green(baseline ? 'passed' : 'caught')
+    : colors.red(result.error ? 'ERROR' : baseline ? 'FAILED' : 'MISSED');
+  const detail = result.error || result.thresholds.slice(0, 2)
+    .map(threshold => `${threshold.metric} ${threshold.expression}`)
+    .concat(result.thresholds.length > 2 ? [`+${result.thresholds.length - 2} more`] : [])
+    .join(', ');
+
+  return [
+    result.test.name,
+    result.fault,
+    baseline ? 'all thresholds pass' : EXPECTATIONS[result.fault].description,
+    verdict,
+    detail || colors.dim(result.ok ? '' : 'no failed thresholds')
+  ];
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { boolean: ['skip-baseline', 'verbose'] });
+
+  const unknownFaults = Object.keys(EXPECTATIONS).filter(name => !FAULT_PROFILES[name]);
+  if (unknownFaults.length > 0) {
+    fail(`No fault profile for expectations: ${unknownFaults.join(', ')} (see FAULT_PROFILES in mock-server/behavior.js)`);
+  }
+
+  const tests = args.test
+    ? splitList(args.test).map(name => getTest(name) || fail(`Unknown test: ${name} (see: npm run test:list)`))
+    : TESTS.filter(test => ['example', 'suite'].includes(test.group) && (test.hosts || []).includes('LOCAL'));
+
+  const faults = args.fault ? splitList(args.fault) : Object.keys(EXPECTATIONS);
+  faults.filter(name => !EXPECTATIONS[name]).forEach(name => {
+    fail(`Unknown fault: ${name} (use: ${Object.keys(EXPECTATIONS).join(', ')})`);
+  });
+  const cases = args['skip-baseline'] ? faults : [BASELINE, ...faults];
+
+  if (spawnSync('k6', ['version'], { stdio: 'ignore' }).error) {
+    fail('k6 is not installed - see https://grafana.com/docs/k6/latest/set-up/install-k6/');
+  }
+
+  const options = {
+    port: parseInt(args.port || DEFAULT_PORT, 10),
+    profile: args.profile || 'SMOKE',
+    out: path.resolve(args.out || 'results/self-test'),
+    verbose: Boolean(args.verbose)
+  };
+  fs.mkdirSync(options.out, { recursive: true });
+
+  const total = tests.length * cases.length;
+  console.log(colors.blue(`Self-test: ${tests.length} test(s) x ${cases.length} case(s), profile ${options.profile}`));
+
+  const results = [];
+  for (const test of tests) {
+    for (const fault of cases) {
+      console.log(colors.dim(`[${results.length + 1}/${total}] ${test.name} / ${fault}`));
+      try {
+        results.push(await runCase(test, fault, options));
+      } catch (error) {
+        results.push({ test, fault, ok: false, thresholds: [], error: error.message });
+      }
+    }
+  }
+
+  console.log('');
+  console.log(formatTable(['Test', 'Fault', 'Expected', 'Result', 'Thresholds'], results.map(resultRow)));
+  console.log('');
+
+  const failed = results.filter(result => !result.ok);
+  if (failed.length > 0) {
+    console.log(colors.red(`${failed.length} of ${results.length} case(s) failed - reports and k6 logs in ${options.out}`));
+    process.exit(1);
+  }
+  console.log(colors.green(`All ${results.length} case(s) passed`));
+}
+
+main().catch(error => fail(error.message));
@@ -8,41 +8,61 @@
 # Use when you need to ensure tests don't interfere with each other
 #
 # Usage:
-#   ./sequential-tests.sh              # Run with LIGHT profile
+#   ./sequential-tests.sh              # Run with manifest default profiles
 #   ./sequential-tests.sh MEDIUM       # Run with MEDIUM profile
+#   TEST_TAG=smoke ./sequential-tests.sh    # Only tests tagged smoke
+#   TEST_GROUP=example ./sequential-tests.sh # Only tests in group
+#   SEED=4711 ./sequential-tests.sh          # Replay with the seed from the header
+#
+# Tests come from tests/manifest.js (the `suite` group is skipped unless
+# selected with TEST_GROUP). Without a profile argument each test uses
+# its manifest default.
 #
 # =============================================================================
 
 set -e
 
-PROFILE="${1:-LIGHT}"
+PROFILE="${1:-}"
 HOST="${2:-DEV}"
 RESULTS_DIR="./results/sequential_$(date +%Y%m%d_%H%M%S)"
+SEED="${SEED:-$(( (RANDOM << 15) | RANDOM ))}"
 
 echo "╔════════════════════════════════════════════════════════════════╗"
 echo "║              Sequential Test Execution                         ║"
 echo "╚════════════════════════════════════════════════════════════════╝"
 echo ""
-echo "Profile: $PROFILE"
+echo "Profile: ${PROFILE:-manifest default}"
 echo "Host: $HOST"
+echo "Seed: $SEED"
 echo "Results: $RESULTS_DIR"
 echo ""
 
 mkdir -p "$RESULTS_DIR"
 
-# List of tests to run
-TESTS=(
-    "tests/example/get-endpoint.js:get-endpoint"
-    "tests/example/post-endpoint.js:post-endpoint"
-    "tests/example/crud-operations.js:crud-operations"
-)
+# Select tests from tests/manifest.js (name<TAB>file<TAB>profile per line)
+SELECTION_ARGS=(--host "$HOST" --format tsv)
+if [ -n "$TEST_GROUP" ]; then
+    SELECTION_ARGS+=(--group "$TEST_GROUP")
+else
+    SELECTION_ARGS+=(--exclude-group suite)
+fi
+if [ -n "$TEST_TAG" ]; then
+    SELECTION_ARGS+=(--tag "$TEST_TAG")
+fi
+
+mapfile -t TESTS < <(node scripts/list-tests.js "${SELECTION_ARGS[@]}")
+
+if [ ${#TESTS[@]} -eq 0 ]; then
+    echo "No tests selected"
+    exit 1
+fi
 
 TOTAL=${#TESTS[@]}
 PASSED=0
 FAILED=0
 
 for i in "${!TESTS[@]}"; do
-    IFS=':' read -r TEST_FILE TEST_NAME <<< "${TESTS[$i]}"
+    IFS=$'\t' read -r TEST_NAME TEST_FILE TEST_PROFILE <<< "${TESTS[$i]}"
 
     echo "────────────────────────────────────────────────────────────────"
     echo "[$((i+1))/$TOTAL] Running: $TEST_NAME"
@@ -51,15 +71,20 @@ for i in "${!TESTS[@]}"; do
     OUTPUT_FILE="${RESULTS_DIR}/${TEST_NAME}.json"
 
     if k6 run \
-        -e PROFILE="$PROFILE" \
+        -e PROFILE="${PROFILE:-$TEST_PROFILE}" \
         -e HOST="$HOST" \
+        -e TEST_NAME="$TEST_NAME" \
+        -e REPORT_PREFIX="${RESULTS_DIR}/${TEST_NAME}" \
+        -e RUN_ID="$(basename "$RESULTS_DIR")-${TEST_NAME}" \
+        -e SEED="$SEED" \
         --out json="$OUTPUT_FILE" \
-        "$TEST_FILE"; then
+        "$TEST_FILE" \
+        2> >(tee "${RESULTS_DIR}/${TEST_NAME}.log" >&2); then
         echo "✓ $TEST_NAME: PASSED"
-        ((PASSED++))
+        PASSED=$((PASSED + 1))
     else
         echo "✗ $TEST_NAME: FAILED"
-        ((FAILED++))
+        FAILED=$((FAILED + 1))
     fi
 
     echo ""
@@ -79,6 +104,7 @@ echo "Passed: $PASSED"
 echo "Failed: $FAILED"
 echo ""
 echo "Results saved to: $RESULTS_DIR"
+echo "Cleanup:  node scripts/cleanup.js run --all --host $HOST $RESULTS_DIR/*.log"
 echo "════════════════════════════════════════════════════════════════"
 
 if [ $FAILED -gt 0 ]; then
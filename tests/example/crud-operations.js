@@ -8,58 +8,141 @@
  * - Validate data consistency across operations
  * - Simulate realistic user workflows
  *
+ * The flow is a journey (utils/journey.js): each step runs in its own group
+ * with crud_<step>_duration, crud_success_rate and crud_full_flow_* metrics.
+ *
  * Usage:
  *   k6 run tests/example/crud-operations.js
  *   k6 run -e PROFILE=MEDIUM tests/example/crud-operations.js
  */
 
-import { check, sleep, fail } from 'k6';
-import { Counter, Trend, Rate } from 'k6/metrics';
+import { sleep } from 'k6';
 import { get, post, put, del, extractId, safeJson } from '../../utils/http-utils.js';
-import { checkStatus, checkItemResponse, checkPostEndpoint, checkDeleteEndpoint } from '../../utils/checks.js';
 import {
   createProductPayload,
-  randomString,
   randomInt,
-  thinkTime,
-  logError
+  thinkTime
 } from '../../helpers/common.js';
-import { getProfile } from '../../config/env.js';
-import { DEFAULT_SLO } from '../../config/slo.js';
+import { price, productName } from '../../helpers/fake-data.js';
+import { describeSeed } from '../../helpers/random.js';
+import { loginAll, restoreSessions } from '../../utils/auth.js';
+import { cleanupRun } from '../../utils/cleanup.js';
+import { createDataSource } from '../../utils/data-source.js';
+import { defineJourney } from '../../utils/journey.js';
+import { buildScenario, describeProfile } from '../../helpers/scenarios.js';
+import { SUMMARY_TREND_STATS } from '../../utils/summary.js';
+import { getProfile, getProfileName } from '../../config/env.js';
+import { DEFAULT_SLO, generateEndpointThresholds, testTrafficKey } from '../../config/slo.js';
 
 // =============================================================================
-// CUSTOM METRICS
+// JOURNEY
 // =============================================================================
 
-// Per-operation metrics
-const createDuration = new Trend('crud_create_duration');
-const readDuration = new Trend('crud_read_duration');
-const updateDuration = new Trend('crud_update_duration');
-const deleteDuration = new Trend('crud_delete_duration');
-
-// Success rates
-const crudSuccessRate = new Rate('crud_success_rate');
-const fullFlowSuccess = new Counter('crud_full_flow_success');
-const fullFlowFailed = new Counter('crud_full_flow_failed');
-
-// Operation counters
-const operationCounts = {
-  create: new Counter('crud_create_count'),
-  read: new Counter('crud_read_count'),
-  update: new Counter('crud_update_count'),
-  delete: new Counter('crud_delete_count'),
+// IDs for readOnly/updateOnly when setup data has none (-e DATA_PRODUCT_IDS=...)
+const fallbackIds = createDataSource('product-ids', 'data/product-ids.csv');
+
+const is2xx = (res) => res.status >= 200 && res.status < 300;
+const within = (ms) => (res, ctx, { duration }) => duration < ms;
+
+const readChecks = {
+  'READ: status 200': (res) => res.status === 200,
+  'READ: has correct id': (res, ctx) => safeJson(res)?.id == ctx.createdId,
+  'READ: response time OK': within(DEFAULT_SLO.read.p95),
 };
 
+const crud = defineJourney('CRUD', {
+  metricPrefix: 'crud',
+  thinkTime: 0.5,
+  onFailure: 'continue',
+  steps: [
+    {
+      name: 'create',
+      request: () => post('/products', createProductPayload(), 'ADMIN', 'crud-create'),
+      success: is2xx,
+      checks: {
+        'CREATE: status 2xx': is2xx,
+        'CREATE: has id': (res) => extractId(res) !== null,
+        'CREATE: response time OK': within(DEFAULT_SLO.write.p95),
+      },
+      extract: {
+        createdId: '$.id',
+        resource: (res) => safeJson(res, {}),
+      },
+      // Can't continue without created resource
+      onFailure: 'abort',
+    },
+    {
+      name: 'read',
+      request: (ctx) => get(`/products/${ctx.createdId}`, 'USER', 'crud-read'),
+      success: (res) => res.status === 200,
+      checks: readChecks,
+      extract: { resource: (res, ctx) => safeJson(res) || ctx.resource },
+    },
+    {
+      name: 'update',
+      request: (ctx) => {
+        // Modify some fields
+        ctx.updatePayload = {
+          ...ctx.resource,
+          name: productName(),
+          price: price({ max: 500 }),
+          updatedAt: new Date().toISOString()
+        };
+        return put(`/products/${ctx.createdId}`, ctx.updatePayload, 'ADMIN', 'crud-update');
+      },
+      success: is2xx,
+      checks: {
+        'UPDATE: status 2xx': is2xx,
+        'UPDATE: response time OK': within(DEFAULT_SLO.write.p95),
+        'UPDATE: name changed': (res, ctx) => {
+          const data = safeJson(res, {});
+          return data.name === ctx.updatePayload.name || data.name !== ctx.resource?.name;
+        },
+      },
+    },
+    {
+      // READ after UPDATE (verify changes)
+      name: 'read_updated',
+      trend: 'read',
+      request: (ctx) => get(`/products/${ctx.createdId}`, 'USER', 'crud-read'),
+      success: (res) => res.status === 200,
+      checks: readChecks,
+    },
+    {
+      name: 'delete',
+      request: (ctx) => del(`/products/${ctx.createdId}`, 'ADMIN', 'crud-delete'),
+      success: is2xx,
+      checks: {
+        'DELETE: status 2xx': is2xx,
+        'DELETE: response time OK': within(DEFAULT_SLO.write.p95),
+      },
+    },
+    {
+      name: 'verify_deleted',
+      // 404 is the expected outcome - not a failed request
+      request: (ctx) => get(`/products/${ctx.createdId}`, 'USER', 'crud-verify-deleted', { expectedStatuses: [404] }),
+      checks: {
+        'VERIFY: resource is deleted (404)': (res) => res.status === 404,
+      },
+    },
+  ],
+});
+
 // =============================================================================
 // OPTIONS
 // =============================================================================
 
 const profile = getProfile();
 
+// CRUD tests use moderate VUs
+const scenario = buildScenario(profile, { scale: 0.5 });
+const load = describeProfile(scenario);
+
 export const options = {
-  // CRUD tests use moderate VUs
-  vus: Math.ceil(profile.vus * 0.5),
-  duration: profile.duration,
+  summaryTrendStats: SUMMARY_TREND_STATS,
+  scenarios: {
+    default: scenario,
+  },
   thresholds: {
     // Overall success rate
     crud_success_rate: ['rate>0.90'],
@@ -71,13 +154,23 @@ export const options = {
     crud_update_duration: [`p(95)<${DEFAULT_SLO.write.p95}`],
     crud_delete_duration: [`p(95)<${DEFAULT_SLO.write.p95}`],
 
+    // Per-endpoint SLO for every products endpoint in the flow
+    ...generateEndpointThresholds({ include: ['products'] }),
+
     // Flow completion
     crud_full_flow_failed: ['count<50'],
 
-    http_req_failed: ['rate<0.05'],
+    [testTrafficKey('http_req_failed')]: ['rate<0.05'],
   },
 };
 
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+// SLO text/JSON/JUnit reports written next to the run.sh JSON output
+export { handleSummary } from '../../utils/summary.js';
+
 // =============================================================================
 // SETUP & TEARDOWN
 // =============================================================================
@@ -86,9 +179,10 @@ export function setup() {
   console.log('========================================');
   console.log('CRUD Operations Performance Test');
   console.log('========================================');
-  console.log(`Profile: ${__ENV.PROFILE || 'LIGHT'}`);
-  console.log(`VUs: ${options.vus}`);
-  console.log(`Duration: ${profile.duration}`);
+  console.log(`Profile: ${getProfileName()} (${load.executor})`);
+  console.log(`Load: ${load.load}`);
+  console.log(`Duration: ${load.duration}`);
+  console.log(`Seed: ${describeSeed()}`);
   console.log('========================================');
   console.log('Testing complete CRUD lifecycle:');
   console.log('  1. CREATE - POST /products');
@@ -97,291 +191,72 @@ export function setup() {
   console.log('  4. DELETE - DELETE /products/{id}');
   console.log('========================================');
 
-  return {};
+  return {
+    auth: loginAll()
+  };
 }
 
 export function teardown(data) {
   console.log('========================================');
   console.log('CRUD Operations Test Completed');
   console.log('========================================');
-}
-
-// =============================================================================
-// CRUD OPERATIONS
-// =============================================================================
-
-/**
- * CREATE operation
- * @returns {Object} { success: boolean, id: string|null, data: Object|null }
- */
-function createResource() {
-  const payload = createProductPayload();
-
-  const startTime = Date.now();
-  const res = post('/products', payload, 'ADMIN', 'crud-create');
-  const duration = Date.now() - startTime;
-
-  createDuration.add(duration);
-  operationCounts.create.add(1);
-
-  const success = res.status >= 200 && res.status < 300;
-  const id = extractId(res);
-  const data = safeJson(res);
-
-  check(res, {
-    'CREATE: status 2xx': (r) => r.status >= 200 && r.status < 300,
-    'CREATE: has id': () => id !== null,
-    'CREATE: response time OK': () => duration < DEFAULT_SLO.write.p95,
-  });
-
-  if (!success) {
-    logError('crud-create', `Failed with status ${res.status}`);
-  }
-
-  crudSuccessRate.add(success);
-  return { success, id, data };
-}
-
-/**
- * READ operation
- * @param {string} id - Resource ID
- * @returns {Object} { success: boolean, data: Object|null }
- */
-function readResource(id) {
-  if (!id) {
-    logError('crud-read', 'No ID provided');
-    return { success: false, data: null };
-  }
-
-  const startTime = Date.now();
-  const res = get(`/products/${id}`, 'USER', 'crud-read');
-  const duration = Date.now() - startTime;
-
-  readDuration.add(duration);
-  operationCounts.read.add(1);
-
-  const success = res.status === 200;
-  const data = safeJson(res);
-
-  check(res, {
-    'READ: status 200': (r) => r.status === 200,
-    'READ: has correct id': () => data?.id == id,
-    'READ: response time OK': () => duration < DEFAULT_SLO.read.p95,
-  });
-
-  if (!success) {
-    logError('crud-read', `Failed with status ${res.status} for ID ${id}`);
-  }
-
-  crudSuccessRate.add(success);
-  return { success, data };
-}
-
-/**
- * UPDATE operation
- * @param {string} id - Resource ID
- * @param {Object} originalData - Original resource data
- * @returns {Object} { success: boolean, data: Object|null }
- */
-function updateResource(id, originalData) {
-  if (!id) {
-    logError('crud-update', 'No ID provided');
-    return { success: false, data: null };
-  }
-
-  // Modify some fields
-  const updatePayload = {
-    ...originalData,
-    name: `Updated ${randomString(5)}`,
-    price: randomInt(10, 500),
-    updatedAt: new Date().toISOString()
-  };
 
-  const startTime = Date.now();
-  const res = put(`/products/${id}`, updatePayload, 'ADMIN', 'crud-update');
-  const duration = Date.now() - startTime;
-
-  updateDuration.add(duration);
-  operationCounts.update.add(1);
-
-  const success = res.status >= 200 && res.status < 300;
-  const data = safeJson(res);
-
-  check(res, {
-    'UPDATE: status 2xx': (r) => r.status >= 200 && r.status < 300,
-    'UPDATE: response time OK': () => duration < DEFAULT_SLO.write.p95,
-  });
-
-  // Verify update was applied
-  if (success && data) {
-    check(data, {
-      'UPDATE: name changed': (d) => d.name === updatePayload.name || d.name !== originalData?.name,
-    });
-  }
-
-  if (!success) {
-    logError('crud-update', `Failed with status ${res.status} for ID ${id}`);
-  }
-
-  crudSuccessRate.add(success);
-  return { success, data };
+  // Remove products left behind by flows that failed before DELETE
+  cleanupRun();
 }
 
-/**
- * DELETE operation
- * @param {string} id - Resource ID
- * @returns {Object} { success: boolean }
- */
-function deleteResource(id) {
-  if (!id) {
-    logError('crud-delete', 'No ID provided');
-    return { success: false };
-  }
-
-  const startTime = Date.now();
-  const res = del(`/products/${id}`, 'ADMIN', 'crud-delete');
-  const duration = Date.now() - startTime;
-
-  deleteDuration.add(duration);
-  operationCounts.delete.add(1);
-
-  const success = res.status >= 200 && res.status < 300;
-
-  check(res, {
-    'DELETE: status 2xx': (r) => r.status >= 200 && r.status < 300,
-    'DELETE: response time OK': () => duration < DEFAULT_SLO.write.p95,
-  });
-
-  if (!success) {
-    logError('crud-delete', `Failed with status ${res.status} for ID ${id}`);
-  }
-
-  crudSuccessRate.add(success);
-  return { success };
-}
-
-/**
- * Verify resource was deleted
- * @param {string} id - Resource ID
- * @returns {boolean} True if resource is gone (404)
- */
-function verifyDeleted(id) {
-  const res = get(`/products/${id}`, 'USER', 'crud-verify-deleted');
-
-  const isDeleted = res.status === 404;
-
-  check(res, {
-    'VERIFY: resource is deleted (404)': (r) => r.status === 404,
-  });
-
-  return isDeleted;
-}
 
 // =============================================================================
 // MAIN TEST - FULL CRUD FLOW
 // =============================================================================
 
-export default function() {
-  let flowSuccess = true;
-  let createdId = null;
-  let resourceData = null;
-
-  // Step 1: CREATE
-  console.log('Step 1: CREATE');
-  const createResult = createResource();
-  if (!createResult.success) {
-    flowSuccess = false;
-    fullFlowFailed.add(1);
-    sleep(1);
-    return; // Can't continue without created resource
-  }
-  createdId = createResult.id;
-  resourceData = createResult.data;
-  sleep(0.5);
-
-  // Step 2: READ
-  console.log('Step 2: READ');
-  const readResult = readResource(createdId);
-  if (!readResult.success) {
-    flowSuccess = false;
-  }
-  resourceData = readResult.data || resourceData;
-  sleep(0.5);
-
-  // Step 3: UPDATE
-  console.log('Step 3: UPDATE');
-  const updateResult = updateResource(createdId, resourceData);
-  if (!updateResult.success) {
-    flowSuccess = false;
-  }
-  sleep(0.5);
-
-  // Step 4: READ after UPDATE (verify changes)
-  console.log('Step 4: READ (verify update)');
-  const verifyUpdateResult = readResource(createdId);
-  if (!verifyUpdateResult.success) {
-    flowSuccess = false;
-  }
-  sleep(0.5);
-
-  // Step 5: DELETE
-  console.log('Step 5: DELETE');
-  const deleteResult = deleteResource(createdId);
-  if (!deleteResult.success) {
-    flowSuccess = false;
-  }
-  sleep(0.5);
-
-  // Step 6: VERIFY DELETED
-  console.log('Step 6: VERIFY DELETED');
-  const isDeleted = verifyDeleted(createdId);
-  if (!isDeleted) {
-    flowSuccess = false;
-    logError('crud-flow', `Resource ${createdId} still exists after delete`);
-  }
-
-  // Track flow completion
-  if (flowSuccess) {
-    fullFlowSuccess.add(1);
-  } else {
-    fullFlowFailed.add(1);
-  }
+/**
+ * Full CRUD flow: create, read, update, read, delete, verify deleted
+ * @param {Object} data - Setup data
+ */
+export function crudFlow(data) {
+  restoreSessions(data?.auth);
 
-  check(null, {
-    'CRUD flow completed successfully': () => flowSuccess,
-  });
+  crud.run();
 
   // Think time before next iteration
   sleep(thinkTime());
 }
 
+export default crudFlow;
+
 // =============================================================================
 // EXPORTED SCENARIO FUNCTIONS
 // =============================================================================
 
 // Individual operation tests for scenario-based execution
-export function createOnly() {
-  createResource();
+export function createOnly(data) {
+  restoreSessions(data?.auth);
+  crud.run({}, { steps: ['create'] });
   sleep(thinkTime());
 }
 
+/**
+ * Pick pre-existing resource ID from setup data
+ * @param {Object} data - Setup data with optional existingIds
+ * @returns {*} Resource ID (from data/product-ids.csv without existingIds)
+ */
+function existingId(data) {
+  const ids = data?.existingIds || [];
+  return ids.length > 0 ? ids[randomInt(0, ids.length - 1)] : fallbackIds.next().id;
+}
+
 export function readOnly(data) {
-  // Use pre-existing IDs from setup
-  const id = data?.existingIds?.[randomInt(0, (data?.existingIds?.length || 1) - 1)] || 1;
-  readResource(id);
+  restoreSessions(data?.auth);
+  crud.run({ createdId: existingId(data) }, { steps: ['read'] });
   sleep(thinkTime());
 }
 
 export function updateOnly(data) {
-  const id = data?.existingIds?.[randomInt(0, (data?.existingIds?.length || 1) - 1)] || 1;
-  const readResult = readResource(id);
-  if (readResult.success) {
-    updateResource(id, readResult.data);
+  restoreSessions(data?.auth);
+  const read = crud.run({ createdId: existingId(data) }, { steps: ['read'] });
+  if (read.success) {
+    crud.run(read.context, { steps: ['update'] });
   }
   sleep(thinkTime());
 }
-
-export function crudFlow() {
-  // Alias for default function
-  return arguments.callee.caller.apply(this, arguments);
-}
@@ -10,16 +10,22 @@
  * Usage:
  *   k6 run tests/example/get-endpoint.js
  *   k6 run -e PROFILE=MEDIUM tests/example/get-endpoint.js
+ *   k6 run -e PROFILE=SPIKE tests/example/get-endpoint.js
  *   k6 run -e HOST=PROD -e PROFILE=HEAVY tests/example/get-endpoint.js
  */
 
-import { check, sleep } from 'k6';
+import { sleep } from 'k6';
 import { Counter, Trend } from 'k6/metrics';
 import { get, getWithParams, extractItems, getRandomItem } from '../../utils/http-utils.js';
-import { checkStatus, checkListResponse, checkItemResponse } from '../../utils/checks.js';
+import { checkStatus, checkListResponse, checkItemResponse, checkListItemsSchema } from '../../utils/checks.js';
 import { randomInt, thinkTime, logError } from '../../helpers/common.js';
-import { getProfile } from '../../config/env.js';
-import { ENDPOINT_SLO, generateThresholds } from '../../config/slo.js';
+import { describeSeed } from '../../helpers/random.js';
+import { loginAll, restoreSessions } from '../../utils/auth.js';
+import { createDataSource } from '../../utils/data-source.js';
+import { buildScenario, describeProfile, resolveTrafficMix, selectWeighted } from '../../helpers/scenarios.js';
+import { SUMMARY_TREND_STATS } from '../../utils/summary.js';
+import { getProfile, getProfileName } from '../../config/env.js';
+import { ENDPOINT_SLO, generateThresholds, generateEndpointThresholds } from '../../config/slo.js';
 
 // =============================================================================
 // CUSTOM METRICS
@@ -38,12 +44,18 @@ const detailsDuration = new Trend('get_details_duration');
 // =============================================================================
 
 const profile = getProfile();
+const load = describeProfile(profile);
 const slo = ENDPOINT_SLO.products.list;
 
 export const options = {
-  ...profile,
+  summaryTrendStats: SUMMARY_TREND_STATS,
+  scenarios: {
+    default: buildScenario(profile),
+  },
   thresholds: {
     ...generateThresholds(slo),
+    // Per-endpoint SLO (requests are tagged with endpoint by http-utils)
+    ...generateEndpointThresholds({ include: ['products.list', 'products.details'] }),
     // Custom metric thresholds
     get_list_duration: [`p(95)<${slo.p95}`, `p(99)<${slo.p99}`],
     get_list_errors: ['count<50'],
@@ -56,12 +68,39 @@ export const options = {
 // TEST DATA
 // =============================================================================
 
-// Test variations for list endpoint
-const listTestCases = [
-  { pageSize: 10, description: 'small page' },
-  { pageSize: 25, description: 'medium page' },
-  { pageSize: 50, description: 'large page' },
-];
+// Test variations for list endpoint: page sizes, search terms and the number of
+// pages each case fills (replace the file with -e DATA_LIST_CASES=..., see utils/data-source.js)
+const listTestCases = createDataSource('list-cases', 'data/list-cases.csv', {
+  map: (record) => ({ ...record, pageSize: Number(record.pageSize), pages: Number(record.pages) || 1 }),
+});
+
+// Details IDs used when setup() found no products (-e DATA_PRODUCT_IDS=...)
+const fallbackIds = createDataSource('product-ids', 'data/product-ids.csv');
+
+// Schema every listed product must match (see utils/json-schema.js)
+const productSchema = {
+  type: 'object',
+  required: ['id', 'name', 'price'],
+  properties: {
+    id: { type: ['integer', 'string'] },
+    name: { type: 'string', minLength: 1 },
+    price: { type: 'number', minimum: 0 }
+  }
+};
+
+// Request mix for the default function (realistic ratio)
+// Weights can be overridden with GET_MIX / GET_MIX_FILE (run-all.js uses TRAFFIC_MIX)
+const requestMix = resolveTrafficMix([
+  { name: 'get_list', weight: 70, run: () => testListEndpoint() },
+  { name: 'get_details', weight: 30, run: (data) => testDetailsEndpoint(data?.itemIds) },
+], { env: 'GET_MIX' });
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+// SLO text/JSON/JUnit reports written next to the run.sh JSON output
+export { handleSummary } from '../../utils/summary.js';
 
 // =============================================================================
 // SETUP & TEARDOWN
@@ -71,18 +110,23 @@ export function setup() {
   console.log('========================================');
   console.log('GET Endpoint Performance Test');
   console.log('========================================');
-  console.log(`Profile: ${__ENV.PROFILE || 'LIGHT'}`);
+  console.log(`Profile: ${getProfileName()} (${load.executor})`);
   console.log(`Host: ${__ENV.HOST || 'DEV'}`);
-  console.log(`VUs: ${profile.vus}`);
-  console.log(`Duration: ${profile.duration}`);
+  console.log(`Load: ${load.load}`);
+  console.log(`Duration: ${load.duration}`);
+  console.log(`Seed: ${describeSeed()}`);
   console.log(`SLO: p95<${slo.p95}ms, p99<${slo.p99}ms`);
   console.log('========================================');
 
+  // Log in all roles once (no-op unless AUTH_MODE=login)
+  const auth = loginAll();
+
   // Optional: Fetch some IDs for details endpoint testing
   const res = getWithParams('/products', { pageSize: 10 }, 'USER', 'setup');
   const items = extractItems(res);
 
   return {
+    auth,
     itemIds: items.map(item => item.id).filter(Boolean)
   };
 }
@@ -102,14 +146,15 @@ export function teardown(data) {
  */
 function testListEndpoint() {
   // Random test case
-  const testCase = listTestCases[randomInt(0, listTestCases.length - 1)];
+  const testCase = listTestCases.next();
 
   const startTime = Date.now();
   const res = getWithParams(
     '/products',
     {
-      pageNumber: randomInt(1, 5),
-      pageSize: testCase.pageSize
+      pageNumber: randomInt(1, testCase.pages),
+      pageSize: testCase.pageSize,
+      search: testCase.search || null
     },
     'USER',
     'get-list'
@@ -131,19 +176,8 @@ function testListEndpoint() {
   if (res.status === 200) {
     checkListResponse(res, 'products');
 
-    // Validate first item structure
-    try {
-      const data = res.json();
-      if (data.items && data.items.length > 0) {
-        check(data.items[0], {
-          'item has id': (item) => item.id !== undefined,
-          'item has name': (item) => item.name !== undefined,
-          'item has price': (item) => item.price !== undefined,
-        });
-      }
-    } catch (e) {
-      logError('get-list', `JSON parsing failed: ${e.message}`);
-    }
+    // Validate every item, not just the first
+    checkListItemsSchema(res, productSchema, 'products');
   }
 }
 
@@ -151,12 +185,10 @@ function testListEndpoint() {
  * Test GET details endpoint
  */
 function testDetailsEndpoint(itemIds) {
-  if (!itemIds || itemIds.length === 0) {
-    // Fallback to fixed ID if no IDs available
-    itemIds = [1, 2, 3];
-  }
-
-  const itemId = itemIds[randomInt(0, itemIds.length - 1)];
+  // Fallback to fixture IDs if no IDs available
+  const itemId = itemIds && itemIds.length > 0
+    ? itemIds[randomInt(0, itemIds.length - 1)]
+    : fallbackIds.next().id;
 
   const startTime = Date.now();
   const res = get(`/products/${itemId}`, 'USER', 'get-details');
@@ -184,12 +216,10 @@ function testDetailsEndpoint(itemIds) {
 // =============================================================================
 
 export default function(data) {
-  // 70% list requests, 30% details requests (realistic ratio)
-  if (Math.random() < 0.7) {
-    testListEndpoint();
-  } else {
-    testDetailsEndpoint(data?.itemIds);
-  }
+  restoreSessions(data?.auth);
+
+  // 70% list requests, 30% details requests by default
+  selectWeighted(requestMix).run(data);
 
   // Realistic think time between requests
   sleep(thinkTime());
@@ -200,12 +230,14 @@ export default function(data) {
 // =============================================================================
 
 // For use in run-all.js scenarios
-export function listTest() {
+export function listTest(data) {
+  restoreSessions(data?.auth);
   testListEndpoint();
   sleep(thinkTime());
 }
 
 export function detailsTest(data) {
+  restoreSessions(data?.auth);
   testDetailsEndpoint(data?.itemIds);
   sleep(thinkTime());
 }
@@ -19,13 +19,19 @@ import { post, extractId } from '../../utils/http-utils.js';
 import { checkPostEndpoint } from '../../utils/checks.js';
 import {
   createProductPayload,
-  randomString,
   randomInt,
   thinkTime,
   logError
 } from '../../helpers/common.js';
-import { getProfile } from '../../config/env.js';
-import { ENDPOINT_SLO, generateThresholds } from '../../config/slo.js';
+import { productName } from '../../helpers/fake-data.js';
+import { describeSeed, random } from '../../helpers/random.js';
+import { loginAll, restoreSessions } from '../../utils/auth.js';
+import { cleanupRun } from '../../utils/cleanup.js';
+import { createDataSource } from '../../utils/data-source.js';
+import { buildScenario, describeProfile } from '../../helpers/scenarios.js';
+import { SUMMARY_TREND_STATS } from '../../utils/summary.js';
+import { getProfile, getProfileName, RUN_ID } from '../../config/env.js';
+import { ENDPOINT_SLO, generateThresholds, generateEndpointThresholds } from '../../config/slo.js';
 
 // =============================================================================
 // CUSTOM METRICS
@@ -43,12 +49,18 @@ const createdItems = new Counter('post_created_items');
 const profile = getProfile();
 const slo = ENDPOINT_SLO.users.create; // Using users.create as example
 
+// Write operations typically use fewer VUs
+const scenario = buildScenario(profile, { scale: 0.3 });
+const load = describeProfile(scenario);
+
 export const options = {
-  // Write operations typically use fewer VUs
-  vus: Math.ceil(profile.vus * 0.3),
-  duration: profile.duration,
+  summaryTrendStats: SUMMARY_TREND_STATS,
+  scenarios: {
+    default: scenario,
+  },
   thresholds: {
     ...generateThresholds(slo),
+    ...generateEndpointThresholds({ include: ['products.create', 'products.bulk'] }),
     post_create_duration: [`p(95)<${slo.p95}`, `p(99)<${slo.p99}`],
     post_create_errors: ['count<20'],
     checks: ['rate>0.90'], // More tolerant for write operations
@@ -59,24 +71,28 @@ export const options = {
 // TEST DATA
 // =============================================================================
 
-// Different payload complexities
-const payloadTypes = [
-  { type: 'minimal', generator: () => ({ name: `Product ${randomString(5)}` }) },
-  { type: 'standard', generator: () => createProductPayload() },
-  {
-    type: 'complex',
-    generator: () => ({
-      ...createProductPayload(),
-      description: randomString(200),
-      tags: ['tag1', 'tag2', 'tag3'],
-      attributes: {
-        color: 'red',
-        size: 'large',
-        weight: randomInt(1, 100)
-      }
-    })
-  },
-];
+// Different payload complexities (-e DATA_PRODUCT_PAYLOADS=..., see utils/data-source.js)
+const payloadTypes = createDataSource('product-payloads', 'data/product-payloads.json');
+
+// Negative test cases (-e DATA_INVALID_PRODUCTS=...)
+const invalidPayloads = createDataSource('invalid-products', 'data/invalid-products.json');
+
+/**
+ * Build create payload for variant
+ * @param {Object} payloadType - Record of data/product-payloads.json { type, generated, payload }
+ * @returns {Object} Generated product (or just a name) with the variant fields on top
+ */
+function variantPayload(payloadType) {
+  const base = payloadType.generated ? createProductPayload() : { name: productName() };
+  return { ...base, ...payloadType.payload };
+}
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+// SLO text/JSON/JUnit reports written next to the run.sh JSON output
+export { handleSummary } from '../../utils/summary.js';
 
 // =============================================================================
 // SETUP & TEARDOWN
@@ -86,25 +102,26 @@ export function setup() {
   console.log('========================================');
   console.log('POST Endpoint Performance Test');
   console.log('========================================');
-  console.log(`Profile: ${__ENV.PROFILE || 'LIGHT'}`);
-  console.log(`VUs: ${options.vus} (30% of profile for writes)`);
-  console.log(`Duration: ${profile.duration}`);
+  console.log(`Profile: ${getProfileName()} (${load.executor})`);
+  console.log(`Load: ${load.load} (30% of profile for writes)`);
+  console.log(`Duration: ${load.duration}`);
+  console.log(`Seed: ${describeSeed()}`);
   console.log(`SLO: p95<${slo.p95}ms, p99<${slo.p99}ms`);
+  console.log(`Run ID: ${RUN_ID} (created products are tracked for cleanup)`);
   console.log('========================================');
 
   return {
-    createdIds: [] // Track created resources for cleanup
+    auth: loginAll()
   };
 }
 
 export function teardown(data) {
   console.log('========================================');
   console.log('POST Endpoint Test Completed');
-  console.log(`Total items created: ${data?.createdIds?.length || 0}`);
   console.log('========================================');
 
-  // Optional: Cleanup created resources
-  // data.createdIds.forEach(id => del(`/products/${id}`, 'ADMIN', 'cleanup'));
+  // Created IDs are registered by post() - see utils/resource-registry.js
+  cleanupRun();
 }
 
 // =============================================================================
@@ -116,8 +133,8 @@ export function teardown(data) {
  */
 function testCreateEndpoint() {
   // Random payload type
-  const payloadType = payloadTypes[randomInt(0, payloadTypes.length - 1)];
-  const payload = payloadType.generator();
+  const payloadType = payloadTypes.next();
+  const payload = variantPayload(payloadType);
 
   const startTime = Date.now();
   const res = post('/products', payload, 'ADMIN', 'post-create');
@@ -148,7 +165,7 @@ function testCreateEndpoint() {
   if (isSuccess) {
     checkPostEndpoint(res, ['id'], 'product-create');
 
-    // Extract and store created ID
+    // Created ID is tracked for cleanup by post()
     const createdId = extractId(res);
     if (createdId) {
       check(res, {
@@ -164,15 +181,12 @@ function testCreateEndpoint() {
  * Test POST with validation errors (negative test)
  */
 function testInvalidPayload() {
-  const invalidPayloads = [
-    { payload: {}, description: 'empty payload' },
-    { payload: { name: '' }, description: 'empty name' },
-    { payload: { name: 'a'.repeat(1000) }, description: 'too long name' },
-  ];
-
-  const testCase = invalidPayloads[randomInt(0, invalidPayloads.length - 1)];
+  const testCase = invalidPayloads.next();
 
-  const res = post('/products', testCase.payload, 'ADMIN', 'post-invalid');
+  // 4xx is the expected outcome - keep it out of http_req_failed and the error log
+  const res = post('/products', testCase.payload, 'ADMIN', 'post-invalid', {
+    expectedStatuses: [{ min: 400, max: 499 }],
+  });
 
   check(res, {
     [`${testCase.description}: returns 4xx`]: (r) => r.status >= 400 && r.status < 500,
@@ -215,8 +229,10 @@ function testBulkCreate() {
 // =============================================================================
 
 export default function(data) {
+  restoreSessions(data?.auth);
+
   // Distribution: 80% valid creates, 15% invalid (negative tests), 5% bulk
-  const rand = Math.random();
+  const rand = random();
 
   if (rand < 0.80) {
     testCreateEndpoint();
@@ -234,17 +250,20 @@ export default function(data) {
 // EXPORTED SCENARIO FUNCTIONS
 // =============================================================================
 
-export function createTest() {
+export function createTest(data) {
+  restoreSessions(data?.auth);
   testCreateEndpoint();
   sleep(thinkTime() * 2);
 }
 
-export function validationTest() {
+export function validationTest(data) {
+  restoreSessions(data?.auth);
   testInvalidPayload();
   sleep(1);
 }
 
-export function bulkTest() {
+export function bulkTest(data) {
+  restoreSessions(data?.auth);
   testBulkCreate();
   sleep(thinkTime() * 3);
 }
@@ -0,0 +1,92 @@
+/**
+ * @file Test manifest
+ * @description Single registry of runnable tests used by run.sh and the batch runners
+ *
+ * Pattern: Plain data module - importable from k6 and from Node (scripts/list-tests.js)
+ *
+ * Adding a test:
+ * 1. Create the test file (e.g. tests/orders/list-orders.js)
+ * 2. Add an entry below - it becomes runnable with `./run.sh -t <name>`,
+ *    `./run.sh --tag <tag>`, `./run.sh --group <group>` and is picked up by
+ *    sequential-tests.sh / parallel-tests.sh
+ *
+ * Entry fields:
+ * - name:        Unique test name (used for result file names and TEST_NAME)
+ * - file:        Path relative to the project root
+ * - description: One-line description shown by `npm run test:list`
+ * - aliases:     Alternative names accepted by `./run.sh -t`
+ * - tags:        Free-form labels for selection (smoke, read, write...)
+ * - group:       Test group; the `suite` group is excluded from batch runs by default
+ * - profile:     Default load profile when none is given on the command line
+ * - hosts:       Hosts the test may run against (see HOSTS in config/env.js)
+ *
+ * Tests generated by `npm run generate:openapi` are registered automatically
+ * through config/openapi.generated.js.
+ *
+ * Note: run-all.js composes scenarios from the example tests through static
+ * imports - a new test's scenario functions still have to be imported there
+ * to join the mixed suite.
+ */
+
+import { GENERATED_TESTS } from '../config/openapi.generated.js';
+
+export const ALL_HOSTS = ['LOCAL', 'DEV', 'STAGING', 'PROD'];
+export const NON_PROD_HOSTS = ['LOCAL', 'DEV', 'STAGING'];
+
+export const TESTS = [
+  {
+    name: 'all-scenarios',
+    file: 'run-all.js',
+    description: 'Weighted traffic mix of all example scenarios',
+    aliases: ['all'],
+    tags: ['mixed', 'read', 'write'],
+    group: 'suite',
+    profile: 'LIGHT',
+    hosts: NON_PROD_HOSTS
+  },
+  {
+    name: 'get-endpoint',
+    file: 'tests/example/get-endpoint.js',
+    description: 'GET list and details endpoints',
+    aliases: ['get'],
+    tags: ['smoke', 'read', 'products'],
+    group: 'example',
+    profile: 'LIGHT',
+    hosts: ALL_HOSTS
+  },
+  {
+    name: 'post-endpoint',
+    file: 'tests/example/post-endpoint.js',
+    description: 'POST create and bulk create endpoints',
+    aliases: ['post'],
+    tags: ['write', 'products'],
+    group: 'example',
+    profile: 'LIGHT',
+    hosts: NON_PROD_HOSTS
+  },
+  {
+    name: 'crud-operations',
+    file: 'tests/example/crud-operations.js',
+    description: 'Full create-read-update-delete flow',
+    aliases: ['crud'],
+    tags: ['write', 'crud', 'products'],
+    group: 'example',
+    profile: 'LIGHT',
+    hosts: NON_PROD_HOSTS
+  },
+  // Tests generated from OpenAPI (group 'generated', see scripts/generate-from-openapi.js)
+  ...GENERATED_TESTS
+];
+
+/**
+ * Find test by name or alias
+ * @param {string} name - Test name or alias
+ * @returns {Object|null} Manifest entry or null if not registered
+ *
+ * Example:
+ * getTest('crud')
+ * // Returns: { name: 'crud-operations', file: 'tests/example/crud-operations.js', ... }
+ */
+export function getTest(name) {
+  return TESTS.find(test => test.name === name || (test.aliases || []).includes(name)) || null;
+}
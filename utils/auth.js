@@ -0,0 +1,312 @@
+/**
+ * @file Authentication session management
+ * @description Login-based token acquisition with transparent refresh
+ *
+ * Pattern: Per-VU token cache, seeded from setup() and refreshed on demand
+ *
+ * With AUTH_MODE=static (default) the static TOKENS are used unchanged.
+ * With AUTH_MODE=login each role logs in via API_PATHS.AUTH.LOGIN and the
+ * access token is refreshed via API_PATHS.AUTH.REFRESH shortly before it
+ * expires, so tests can run longer than the token TTL.
+ *
+ * Usage:
+ *   export function setup() {
+ *     return { auth: loginAll() };
+ *   }
+ *
+ *   export default function(data) {
+ *     restoreSessions(data.auth);
+ *     // get()/post()/... now send a valid token for each role
+ *   }
+ *
+ * Roles with a registered user pool (utils/user-pool.js) get one session
+ * per pool user instead, regardless of AUTH_MODE.
+ */
+
+import http from 'k6/http';
+import encoding from 'k6/encoding';
+import { fail } from 'k6';
+import { CURRENT_HOST, API_PATHS, TOKENS, CREDENTIALS, AUTH_CONFIG, TRAFFIC_TAGS } from '../config/env.js';
+import { endpointTags } from '../helpers/endpoints.js';
+import { getVuUser } from './user-pool.js';
+
+// =============================================================================
+// SESSION CACHE
+// =============================================================================
+
+// Module state is per VU - every VU keeps its own copy of the sessions.
+// Keys are role names, or `${role}:${poolKey}` for user pool sessions.
+const sessions = {};
+const failedLogins = {};
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Check if login-based authentication is enabled
+ * @returns {boolean} True when AUTH_MODE=login
+ */
+export function isLoginAuth() {
+  return AUTH_CONFIG.mode === 'login';
+}
+
+/**
+ * Check if session expires within the refresh margin
+ * @param {Object} session - Cached session
+ * @returns {boolean} True if session should be refreshed
+ */
+function isExpiring(session) {
+  return session.expiresAt - nowSeconds() <= AUTH_CONFIG.refreshMarginSeconds;
+}
+
+// =============================================================================
+// TOKEN PARSING
+// =============================================================================
+
+/**
+ * Read expiry (exp claim) from a JWT without verifying it
+ * @param {string} token - Access token
+ * @returns {number|null} Expiry as unix seconds or null if not a JWT
+ */
+function decodeJwtExpiry(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(encoding.b64decode(parts[1], 'rawurl', 's'));
+    return typeof payload.exp === 'number' ? payload.exp : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build session from login/refresh response
+ * @param {Object} res - k6 response object
+ * @param {Object} previous - Previous session (keeps refresh token if not rotated)
+ * @returns {Object|null} Session { accessToken, refreshToken, expiresAt } or null
+ *
+ * Accepts both camelCase and snake_case token fields.
+ */
+function parseSession(res, previous = null) {
+  let data;
+  try {
+    data = res.json();
+  } catch (e) {
+    return null;
+  }
+
+  const accessToken = data?.accessToken || data?.access_token || data?.token;
+  if (!accessToken) {
+    return null;
+  }
+
+  const expiresIn = data.expiresIn || data.expires_in;
+  const expiresAt = expiresIn
+    ? nowSeconds() + Number(expiresIn)
+    : decodeJwtExpiry(accessToken) || nowSeconds() + AUTH_CONFIG.defaultTtlSeconds;
+
+  return {
+    accessToken,
+    refreshToken: data.refreshToken || data.refresh_token || previous?.refreshToken || null,
+    expiresAt
+  };
+}
+
+// =============================================================================
+// LOGIN & REFRESH
+// =============================================================================
+
+/**
+ * Log in with given credentials and cache the session
+ * @param {string} key - Session cache key
+ * @param {Object} credentials - Login request body
+ * @returns {Object|null} New session or null on failure
+ */
+function loginAs(key, credentials) {
+  const res = http.post(`${CURRENT_HOST}${API_PATHS.AUTH.LOGIN}`, JSON.stringify(credentials), {
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    tags: { ...TRAFFIC_TAGS.test, ...endpointTags('POST', API_PATHS.AUTH.LOGIN) }
+  });
+
+  const session = res.status >= 200 && res.status < 300 ? parseSession(res) : null;
+
+  if (!session) {
+    console.error(`ERROR [auth]: Login failed for ${key} with status ${res.status}`);
+    failedLogins[key] = nowSeconds();
+    delete sessions[key];
+    return null;
+  }
+
+  delete failedLogins[key];
+  sessions[key] = session;
+  return session;
+}
+
+/**
+ * Refresh cached session, falling back to a fresh login
+ * @param {string} key - Session cache key
+ * @param {Object} credentials - Login request body used for the fallback
+ * @returns {Object|null} Refreshed session or null on failure
+ */
+function refreshAs(key, credentials) {
+  const current = sessions[key];
+  if (!current || !current.refreshToken) {
+    return loginAs(key, credentials);
+  }
+
+  const res = http.post(
+    `${CURRENT_HOST}${API_PATHS.AUTH.REFRESH}`,
+    JSON.stringify({ refreshToken: current.refreshToken }),
+    {
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+      tags: { ...TRAFFIC_TAGS.test, ...endpointTags('POST', API_PATHS.AUTH.REFRESH) }
+    }
+  );
+
+  const session = res.status >= 200 && res.status < 300 ? parseSession(res, current) : null;
+
+  // Refresh token may be expired or already rotated by another VU
+  if (!session) {
+    return loginAs(key, credentials);
+  }
+
+  sessions[key] = session;
+  return session;
+}
+
+/**
+ * Resolve session key and credentials for role on current VU
+ * @param {string} role - User role
+ * @returns {Object|null} { key, credentials, token } or null when static TOKENS apply
+ */
+function resolveIdentity(role) {
+  const user = getVuUser(role);
+
+  if (user) {
+    const { token, poolKey, ...credentials } = user;
+    return { key: `${role}:${poolKey}`, credentials, token: token || null };
+  }
+
+  if (!isLoginAuth()) {
+    return null;
+  }
+
+  return { key: role, credentials: CREDENTIALS[role], token: null };
+}
+
+/**
+ * Log role in via the login endpoint
+ * @param {string} role - User role (USER, ADMIN, SUPER_USER)
+ * @returns {Object|null} New session or null on failure
+ */
+export function login(role = 'USER') {
+  const credentials = CREDENTIALS[role];
+  if (!credentials) {
+    console.error(`ERROR [auth]: No credentials configured for role ${role}`);
+    return null;
+  }
+
+  return loginAs(role, credentials);
+}
+
+/**
+ * Refresh role session, falling back to a fresh login
+ * @param {string} role - User role
+ * @returns {Object|null} Refreshed session or null on failure
+ */
+export function refreshSession(role = 'USER') {
+  const identity = resolveIdentity(role) || { key: role, credentials: CREDENTIALS[role] };
+  return refreshAs(identity.key, identity.credentials);
+}
+
+/**
+ * Log in all configured roles (call from setup())
+ * @param {Array} roles - Roles to log in (default: all roles in CREDENTIALS)
+ * @returns {Object} Session snapshot to return from setup() and pass to restoreSessions()
+ */
+export function loginAll(roles = Object.keys(CREDENTIALS)) {
+  if (!isLoginAuth()) {
+    return {};
+  }
+
+  roles.forEach(role => {
+    if (!login(role)) {
+      fail(`Login failed for role ${role} - check CREDENTIALS in config/env.js`);
+    }
+  });
+
+  return { ...sessions };
+}
+
+/**
+ * Seed VU session cache with sessions acquired in setup()
+ * @param {Object} snapshot - Value returned by loginAll()
+ *
+ * Sessions already held by the VU (e.g. refreshed ones) are kept.
+ */
+export function restoreSessions(snapshot = {}) {
+  Object.entries(snapshot || {}).forEach(([role, session]) => {
+    if (!sessions[role] && session?.accessToken) {
+      sessions[role] = { ...session };
+    }
+  });
+}
+
+// =============================================================================
+// TOKEN ACCESS
+// =============================================================================
+
+/**
+ * Get current access token for role, logging in or refreshing as needed
+ * @param {string} role - User role
+ * @returns {string} Bearer token
+ *
+ * Uses the VU's pool user when a pool is registered for the role.
+ * Falls back to the static TOKENS value when login is disabled or fails.
+ */
+export function getAccessToken(role = 'USER') {
+  const identity = resolveIdentity(role);
+
+  if (!identity) {
+    return TOKENS[role];
+  }
+
+  if (identity.token) {
+    return identity.token;
+  }
+
+  const { key, credentials } = identity;
+  let session = sessions[key];
+
+  if (!session) {
+    const lastFailure = failedLogins[key];
+    if (lastFailure && nowSeconds() - lastFailure < AUTH_CONFIG.retryAfterSeconds) {
+      return TOKENS[role];
+    }
+    session = loginAs(key, credentials);
+  } else if (isExpiring(session)) {
+    session = refreshAs(key, credentials);
+  }
+
+  return session ? session.accessToken : TOKENS[role];
+}
+
+/**
+ * Renew session after a 401 response
+ * @param {string} role - User role
+ * @returns {boolean} True if a new token is available and the request can be retried
+ */
+export function renewSession(role = 'USER') {
+  const identity = resolveIdentity(role);
+
+  // Static tokens cannot be renewed
+  if (!identity || identity.token) {
+    return false;
+  }
+
+  return refreshAs(identity.key, identity.credentials) !== null;
+}
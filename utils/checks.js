@@ -6,6 +6,15 @@
  */
 
 import { check } from 'k6';
+import { logError } from '../helpers/common.js';
+import { groupByCategory, schemaCategories, validateSchema } from './json-schema.js';
+
+// Per-VU caches - schemas are static, walking them once is enough
+const categoryCache = new Map();
+const listSchemaCache = new Map();
+
+// Per-VU set of contexts whose schema violations were logged, so each is logged once
+const schemaLogged = new Set();
 
 // =============================================================================
 // STATUS CHECKS
@@ -141,6 +150,85 @@ export function checkFieldTypes(res, fieldTypes, context = 'response') {
   }
 }
 
+// =============================================================================
+// SCHEMA CHECKS
+// =============================================================================
+
+/**
+ * Validate whole response body against JSON Schema
+ * @param {Object} res - k6 response object
+ * @param {Object} schema - JSON Schema (draft-07 subset, see utils/json-schema.js)
+ * @param {string} context - Test context
+ * @param {Object} options - { root: document for $ref, e.g. an OpenAPI spec }
+ * @returns {boolean} True if body matches schema
+ *
+ * Emits one check per violation category the schema can report,
+ * e.g. 'product: schema type', 'product: schema required', 'product: schema format'.
+ * Violations are logged once per VU and context.
+ *
+ * Example:
+ * checkJsonSchema(res, {
+ *   type: 'object',
+ *   required: ['id', 'name'],
+ *   properties: { id: { type: 'integer' }, email: { type: 'string', format: 'email' } }
+ * }, 'user')
+ */
+export function checkJsonSchema(res, schema, context = 'schema', options = {}) {
+  let data;
+  try {
+    data = res.json();
+  } catch (e) {
+    return check(res, {
+      [`${context}: body is JSON`]: () => false
+    });
+  }
+
+  const root = options.root || schema;
+  if (!categoryCache.has(schema)) {
+    categoryCache.set(schema, schemaCategories(schema, root));
+  }
+
+  const errors = validateSchema(schema, data, { root });
+  const violations = groupByCategory(errors);
+  const categories = [...new Set([...categoryCache.get(schema), ...Object.keys(violations)])];
+
+  // The checks count every failing response; the log shows the first one per context
+  if (errors.length > 0 && !schemaLogged.has(context)) {
+    schemaLogged.add(context);
+    logError('schema', `Validation failed for ${context} (${errors.length} violations): ` +
+      errors.slice(0, 3).map(e => `${e.path || '/'} ${e.message}`).join('; '));
+  }
+
+  const checks = {};
+  categories.forEach(category => {
+    checks[`${context}: schema ${category}`] = () => !violations[category];
+  });
+
+  return check(data, checks);
+}
+
+/**
+ * Validate every item of a paginated list response against JSON Schema
+ * @param {Object} res - k6 response object
+ * @param {Object} itemSchema - JSON Schema of a single item
+ * @param {string} context - Test context
+ * @param {Object} options - { root: document for $ref (default: itemSchema) }
+ * @returns {boolean} True if body has an items array and all items match
+ *
+ * Unlike checkListItemStructure(), all items are validated, not just the first.
+ */
+export function checkListItemsSchema(res, itemSchema, context = 'list-item', options = {}) {
+  if (!listSchemaCache.has(itemSchema)) {
+    listSchemaCache.set(itemSchema, {
+      type: 'object',
+      required: ['items'],
+      properties: { items: { type: 'array', items: itemSchema } }
+    });
+  }
+
+  return checkJsonSchema(res, listSchemaCache.get(itemSchema), context, { root: itemSchema, ...options });
+}
+
 // =============================================================================
 // BUSINESS LOGIC CHECKS
 // =============================================================================
@@ -0,0 +1,88 @@
+/**
+ * @file Run cleanup
+ * @description Delete resources tracked by utils/resource-registry.js in teardown()
+ *
+ * Pattern: Call cleanupRun() from teardown() of tests that create data
+ *
+ * Usage:
+ *   import { cleanupRun } from '../../utils/cleanup.js';
+ *
+ *   export function teardown(data) {
+ *     cleanupRun();
+ *   }
+ *
+ * With the log sink (default) teardown cannot see what the VUs created -
+ * it prints the command that deletes the resources from the saved k6 log.
+ */
+
+import http from 'k6/http';
+import { CLEANUP_CONFIG, CURRENT_HOST, RUN_ID, TRAFFIC_TAGS } from '../config/env.js';
+import { getHeaders, getUrl } from '../helpers/common.js';
+import { renewSession } from './auth.js';
+import { fetchTrackedResources, markDeleted } from './resource-registry.js';
+import { resolveRetryPolicy, withRetry } from './retry.js';
+
+// No endpoint tag and 404 (already deleted by the test) is not a failed request,
+// so cleanup stays out of the endpoint and global thresholds
+const CLEANUP_PARAMS = {
+  tags: { name: 'cleanup', ...TRAFFIC_TAGS.internal },
+  responseCallback: http.expectedStatuses({ min: 200, max: 299 }, 404)
+};
+
+/**
+ * Delete one tracked resource
+ * @param {Object} resource - { path, role } from the tracker
+ * @returns {Object} k6 response object
+ *
+ * Sent with k6/http instead of del() from utils/http-utils.js: the production
+ * guard, contract checks and request error log are for test traffic, and
+ * only resources registered for this run reach this function.
+ */
+function deleteResource(resource) {
+  const role = resource.role || CLEANUP_CONFIG.role;
+  const send = () => http.del(getUrl(resource.path), null, { ...CLEANUP_PARAMS, headers: getHeaders(role) });
+
+  return withRetry(resolveRetryPolicy('setup'), 'DELETE', () => {
+    const res = send();
+    return res.status === 401 && renewSession(role) ? send() : res;
+  }, CLEANUP_PARAMS.tags);
+}
+
+/**
+ * Delete all resources tracked for a run
+ * @param {string} runId - Run ID (defaults to current RUN_ID)
+ * @returns {Object|null} { deleted, failed } or null if resources are not reachable from k6
+ *
+ * 404 responses count as deleted (e.g. the test already removed the resource).
+ * Disable with CLEANUP_ON_TEARDOWN=false to keep the data for debugging.
+ */
+export function cleanupRun(runId = RUN_ID) {
+  if (!CLEANUP_CONFIG.onTeardown || CLEANUP_CONFIG.sink === 'off') {
+    return null;
+  }
+
+  const resources = CLEANUP_CONFIG.sink === 'tracker' ? fetchTrackedResources(runId) : null;
+
+  if (resources === null) {
+    console.log(`Cleanup: resources of run ${runId} are in the k6 log, delete them with:`);
+    console.log(`  node scripts/cleanup.js run --run-id ${runId} --host ${CURRENT_HOST} <k6 log file>`);
+    return null;
+  }
+
+  const deleted = [];
+  let failed = 0;
+
+  resources.forEach(resource => {
+    const res = deleteResource(resource);
+    if ((res.status >= 200 && res.status < 300) || res.status === 404) {
+      deleted.push(resource.path);
+    } else {
+      failed++;
+    }
+  });
+
+  markDeleted(deleted, runId);
+  console.log(`Cleanup: deleted ${deleted.length} resource(s) of run ${runId}, ${failed} failed`);
+
+  return { deleted: deleted.length, failed };
+}
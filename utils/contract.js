@@ -0,0 +1,271 @@
+/**
+ * @file Contract checks
+ * @description Validate responses against an OpenAPI 3 spec while under load
+ *
+ * Pattern: Spec loaded once per VU in init context, every response checked against its operation
+ *
+ * For each response the operation is found by method and path template
+ * (literal templates win over parameterized ones, as in helpers/endpoints.js):
+ * - operation documented: method + path exist in the spec
+ * - status documented:    status (or its `2XX` range / `default`) is a documented response
+ * - body matches schema:  JSON body matches the response schema (utils/json-schema.js, $ref into the spec)
+ * - required headers:     headers marked `required: true` in the response are present
+ *
+ * Failures become checks tagged with the endpoint and the `contract_violations`
+ * counter tagged with `violation:<kind>`, so drift that only appears under
+ * concurrency fails thresholds:
+ *   contract_violations: ['count<1']
+ *
+ * With CONTRACT_SPEC set, the http-utils wrappers check every response
+ * (see CONTRACT_CONFIG in config/env.js). Spec paths are matched against the
+ * paths passed to the wrappers, i.e. relative to HOST.
+ *
+ * Usage (one test, own spec):
+ *   const contract = loadContract('data/openapi.json'); // init context
+ *   checkContract(res, { contract });
+ */
+
+import { check } from 'k6';
+import { Counter } from 'k6/metrics';
+import { CONTRACT_CONFIG, CURRENT_HOST } from '../config/env.js';
+import { logError } from '../helpers/common.js';
+import { loadJson } from '../helpers/data-files.js';
+import { compileTemplate, endpointTags, normalizePath } from '../helpers/endpoints.js';
+import { validateSchema } from './json-schema.js';
+import { getHeader } from './retry.js';
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+const contractViolations = new Counter('contract_violations');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Per-VU set of `<operation> <kind>` already logged, so each drift is logged once
+const logged = new Set();
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Resolve local $ref in spec
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} node - Node that may be a { $ref: '#/...' }
+ * @returns {Object} Referenced node, or node itself
+ */
+function deref(spec, node) {
+  if (!node || typeof node.$ref !== 'string' || !node.$ref.startsWith('#/')) {
+    return node;
+  }
+  return node.$ref.slice(2).split('/')
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((current, part) => (current ? current[part] : undefined), spec);
+}
+
+/**
+ * Compile OpenAPI document into contract
+ * @param {Object} spec - Parsed OpenAPI 3 document
+ * @returns {Object} { spec, operations } - operations sorted literal-first
+ */
+export function compileContract(spec) {
+  const operations = [];
+
+  Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+    METHODS.filter(method => pathItem[method]).forEach(method => {
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        matcher: compileTemplate(template),
+        responses: pathItem[method].responses || {}
+      });
+    });
+  });
+
+  operations.sort((a, b) => a.matcher.params - b.matcher.params);
+  return { spec, operations };
+}
+
+/**
+ * Load contract from JSON spec file (init context only)
+ * @param {string} path - Spec path relative to the project root
+ * @returns {Object} Contract for checkContract()
+ *
+ * Each VU holds its own copy of the spec - keep specs reasonably small.
+ */
+export function loadContract(path) {
+  const spec = loadJson(path);
+  if (!String(spec.openapi || '').startsWith('3')) {
+    throw new Error(`${path}: not an OpenAPI 3 document`);
+  }
+  return compileContract(spec);
+}
+
+// Contract used by the http-utils wrappers (CONTRACT_SPEC)
+const DEFAULT_CONTRACT = CONTRACT_CONFIG.spec ? loadContract(CONTRACT_CONFIG.spec) : null;
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Find spec operation for request
+ * @param {Object} contract - Contract from loadContract()
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (query string is ignored)
+ * @returns {Object|null} Operation or null if not documented
+ */
+export function findOperation(contract, method, path) {
+  const requestMethod = String(method).toUpperCase();
+  const requestPath = normalizePath(path);
+
+  return contract.operations.find(operation =>
+    operation.method === requestMethod && operation.matcher.regex.test(requestPath)) || null;
+}
+
+/**
+ * Documented response for status
+ * @param {Object} contract - Contract
+ * @param {Object} operation - Operation from findOperation()
+ * @param {number} status - Response status
+ * @returns {Object|null} Response object (exact code, then `4XX` range, then `default`)
+ */
+function documentedResponse(contract, operation, status) {
+  const { responses } = operation;
+  const code = String(status);
+  const range = `${code[0]}XX`;
+  const response = responses[code] || responses[range] || responses[range.toLowerCase()] || responses.default;
+  return deref(contract.spec, response) || null;
+}
+
+/**
+ * JSON schema declared for response content type
+ * @param {Object} response - OpenAPI response object
+ * @param {string} contentType - Content-Type of the response
+ * @returns {Object|null} Schema or null when no JSON body is documented
+ */
+function jsonSchema(response, contentType) {
+  const content = response.content || {};
+  const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const isJson = (type) => type === 'application/json' || type.endsWith('+json');
+
+  const key = content[mediaType] ? mediaType : Object.keys(content).find(isJson);
+  if (!key || !isJson(key) || !content[key].schema) {
+    return null;
+  }
+  return content[key].schema;
+}
+
+/**
+ * Validate response against contract
+ * @param {Object} contract - Contract from loadContract()
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} res - k6 response object
+ * @returns {Object} { operation, violations: [{ kind, message }] }
+ *
+ * kind is 'operation', 'status', 'schema' or 'header'.
+ *
+ * Example:
+ * validateContract(contract, 'GET', '/orders/1', res)
+ * // Returns: { operation: 'GET /orders/{orderId}', violations: [{ kind: 'status', message: 'status 500 not documented' }] }
+ */
+export function validateContract(contract, method, path, res) {
+  const operation = findOperation(contract, method, path);
+  if (!operation) {
+    return { operation: null, violations: [{ kind: 'operation', message: `${method} ${normalizePath(path)} not documented` }] };
+  }
+
+  const name = `${operation.method} ${operation.template}`;
+  const response = documentedResponse(contract, operation, res.status);
+  if (!response) {
+    return { operation: name, violations: [{ kind: 'status', message: `status ${res.status} not documented` }] };
+  }
+
+  const violations = [];
+
+  Object.entries(response.headers || {}).forEach(([header, definition]) => {
+    if (deref(contract.spec, definition)?.required && getHeader(res, header) === null) {
+      violations.push({ kind: 'header', message: `required header ${header} missing` });
+    }
+  });
+
+  const schema = jsonSchema(response, getHeader(res, 'Content-Type'));
+  if (schema && method !== 'HEAD') {
+    let body;
+    try {
+      body = JSON.parse(res.body);
+    } catch (e) {
+      violations.push({ kind: 'schema', message: `status ${res.status} body is not JSON` });
+      return { operation: name, violations };
+    }
+
+    validateSchema(schema, body, { root: contract.spec, maxErrors: 5 }).forEach(error => {
+      violations.push({ kind: 'schema', message: `${error.path || '/'} ${error.message}` });
+    });
+  }
+
+  return { operation: name, violations };
+}
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * Request path of response relative to HOST
+ * @param {Object} res - k6 response object
+ * @returns {string} Path
+ */
+function requestPath(res) {
+  const url = res.request?.url || res.url || '';
+  return url.startsWith(CURRENT_HOST) ? url.slice(CURRENT_HOST.length) : url;
+}
+
+/**
+ * Check response against OpenAPI contract
+ * @param {Object} res - k6 response object
+ * @param {Object} options - { contract, method, path, sampleRate }
+ * @returns {boolean} True if response conforms (or was not checked)
+ *
+ * contract defaults to CONTRACT_SPEC, method/path to the request of the
+ * response. Without a contract nothing is checked.
+ *
+ * Example:
+ * checkContract(res, { contract: loadContract('data/openapi.json') })
+ * // checks: 'contract: status documented', 'contract: body matches schema', ...
+ */
+export function checkContract(res, options = {}) {
+  const { contract = DEFAULT_CONTRACT, sampleRate = 1 } = options;
+  if (!contract || res.status === 0 || (sampleRate < 1 && Math.random() >= sampleRate)) {
+    return true;
+  }
+
+  const method = String(options.method || res.request?.method || 'GET').toUpperCase();
+  const path = options.path || requestPath(res);
+  const { operation, violations } = validateContract(contract, method, path, res);
+
+  const endpoint = endpointTags(method, path);
+  const tags = endpoint.name ? endpoint : { name: operation || 'undocumented' };
+  const passed = (kind) => !violations.some(violation => violation.kind === kind);
+
+  const checks = { 'contract: operation documented': () => passed('operation') };
+  if (operation) {
+    checks['contract: status documented'] = () => passed('status');
+    checks['contract: body matches schema'] = () => passed('schema');
+    checks['contract: required headers'] = () => passed('header');
+  }
+
+  violations.forEach(violation => {
+    contractViolations.add(1, { ...tags, violation: violation.kind });
+
+    const key = `${operation || method} ${violation.kind}`;
+    if (!logged.has(key)) {
+      logged.add(key);
+      logError('contract', operation ? `${operation}: ${violation.message}` : violation.message);
+    }
+  });
+
+  return check(res, checks, tags);
+}
@@ -0,0 +1,340 @@
+/**
+ * @file Correlation
+ * @description Extract values from responses and reuse them in later requests
+ *
+ * Pattern: Per-VU variable store filled by correlate(), read by `{{name}}`
+ *          templates that the http-utils wrappers render in paths, JSON payloads
+ *          and header values
+ *
+ * Extraction specs:
+ *   '$.items[0].id'              JSONPath-like query on the JSON body
+ *                                ($, .key, ['key'], [n], [-1] from the end, [*] / .* for all)
+ *   'header:Location'            Response header (case-insensitive)
+ *   'regex:id=(\d+)'             Regex on the body - first capture group, or whole match
+ *   { header: 'Location', regex: '/products/(\\d+)$' }   Regex on a header value
+ *   { regex: /"token":"([^"]+)"/, group: 1 }
+ *
+ * Templates:
+ *   '/products/{{productId}}'    Variable as text
+ *   { "id": "{{productId}}" }    Whole-string placeholders keep the value type (number stays number)
+ *   '{{order.items[0].id}}'      Path into a stored object (same syntax as extraction)
+ *
+ * Unknown variables are left in place and logged once per VU.
+ * Variables live for the whole VU - call clearVars() to start an iteration fresh.
+ *
+ * Metrics:
+ * - correlation_misses: Extractions without a value (tag: name) - e.g. ['count<1']
+ *
+ * Usage:
+ *   const res = post('/orders', createOrderPayload());
+ *   correlate(res, { orderId: '$.id', orderUrl: 'header:Location', etag: 'header:ETag' });
+ *   put('/orders/{{orderId}}', { status: 'PAID' }, 'USER', 'pay', { headers: { 'If-Match': '{{etag}}' } });
+ */
+
+import { Counter } from 'k6/metrics';
+import { logError } from '../helpers/common.js';
+import { getHeader } from './retry.js';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+const correlationMisses = new Counter('correlation_misses');
+
+// Per-VU variables (module state is per VU in k6)
+let vars = {};
+
+// Names already logged as missing, so each problem is logged once per VU
+const logged = new Set();
+
+/**
+ * Log problem once per VU
+ * @param {string} key - Deduplication key
+ * @param {string} message - Error message
+ */
+function logOnce(key, message) {
+  if (!logged.has(key)) {
+    logged.add(key);
+    logError('correlation', message);
+  }
+}
+
+/**
+ * Set variable
+ * @param {string} name - Variable name
+ * @param {*} value - Value
+ */
+export function setVar(name, value) {
+  vars[name] = value;
+}
+
+/**
+ * Get variable
+ * @param {string} name - Variable name (or path like 'order.items[0].id')
+ * @returns {*} Value or undefined
+ */
+export function getVar(name) {
+  return jsonPath(vars, `$.${name}`);
+}
+
+/**
+ * Get all variables
+ * @returns {Object} Copy of the VU variables
+ */
+export function getVars() {
+  return { ...vars };
+}
+
+/**
+ * Remove all variables
+ */
+export function clearVars() {
+  vars = {};
+}
+
+// =============================================================================
+// JSONPATH
+// =============================================================================
+
+/**
+ * Split JSONPath-like expression into segments
+ * @param {string} expression - e.g. "$.items[0]['name']"
+ * @returns {Array} Segments: strings (keys), numbers (indexes) or '*'
+ * @throws {Error} On syntax errors
+ */
+function parsePath(expression) {
+  const segments = [];
+  const pattern = /\.([^.[\]]+)|\[(-?\d+)\]|\[\*\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+  const rest = String(expression).trim();
+
+  if (!rest.startsWith('$')) {
+    throw new Error(`JSONPath must start with $: ${expression}`);
+  }
+  pattern.lastIndex = 1;
+
+  while (pattern.lastIndex < rest.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(rest);
+    if (!match) {
+      throw new Error(`Invalid JSONPath at position ${start}: ${expression}`);
+    }
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(Number(match[2]));
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      segments.push(match[3] !== undefined ? match[3] : match[4]);
+    } else {
+      segments.push('*');
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Query data with JSONPath-like expression
+ * @param {*} data - Parsed JSON
+ * @param {string} expression - Expression starting with $
+ * @returns {*} Value, array of values for wildcards, undefined when missing
+ *
+ * Example:
+ * jsonPath({ items: [{ id: 1 }, { id: 2 }] }, '$.items[-1].id') // 2
+ * jsonPath({ items: [{ id: 1 }, { id: 2 }] }, '$.items[*].id')  // [1, 2]
+ */
+export function jsonPath(data, expression) {
+  let current = [data];
+  let multiple = false;
+
+  parsePath(expression).forEach(segment => {
+    current = current.flatMap(node => {
+      if (node === null || typeof node !== 'object') {
+        return [];
+      }
+      if (segment === '*') {
+        return Object.values(node);
+      }
+      if (typeof segment === 'number') {
+        const index = segment < 0 && Array.isArray(node) ? node.length + segment : segment;
+        return index in node ? [node[index]] : [];
+      }
+      return segment in node ? [node[segment]] : [];
+    });
+    multiple = multiple || segment === '*';
+  });
+
+  return multiple ? current : current[0];
+}
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+/**
+ * Apply regex to text
+ * @param {string} text - Body or header value
+ * @param {RegExp|string} regex - Pattern
+ * @param {number} group - Capture group (default: 1 if the pattern has groups, else 0)
+ * @returns {string|undefined} Match or undefined
+ */
+function matchRegex(text, regex, group) {
+  const match = new RegExp(regex).exec(text || '');
+  if (!match) {
+    return undefined;
+  }
+  return match[group !== undefined ? group : (match.length > 1 ? 1 : 0)];
+}
+
+/**
+ * Extract value from response
+ * @param {Object} res - k6 response object
+ * @param {string|RegExp|Object} spec - Extraction spec (see file header)
+ * @returns {*} Value or undefined when not found
+ * @throws {Error} On invalid spec
+ *
+ * Example:
+ * extractValue(res, '$.id')               // 42
+ * extractValue(res, 'header:ETag')        // '"v3"'
+ * extractValue(res, { header: 'Location', regex: '/(\\d+)$' }) // '42'
+ */
+export function extractValue(res, spec) {
+  if (spec instanceof RegExp) {
+    return matchRegex(res.body, spec);
+  }
+  if (typeof spec === 'string') {
+    if (spec.startsWith('$')) {
+      return extractValue(res, { json: spec });
+    }
+    if (spec.startsWith('header:')) {
+      return extractValue(res, { header: spec.slice('header:'.length).trim() });
+    }
+    if (spec.startsWith('regex:')) {
+      return extractValue(res, { regex: spec.slice('regex:'.length) });
+    }
+    throw new Error(`Unknown extraction spec '${spec}' (use $.path, header:Name or regex:pattern)`);
+  }
+
+  if (spec.json) {
+    let data;
+    try {
+      data = res.json();
+    } catch (e) {
+      return undefined;
+    }
+    const value = jsonPath(data, spec.json);
+    return value === null ? undefined : value;
+  }
+
+  const text = spec.header ? getHeader(res, spec.header) : res.body;
+  if (text === null || text === undefined) {
+    return undefined;
+  }
+  return spec.regex ? matchRegex(text, spec.regex, spec.group) : text;
+}
+
+/**
+ * Extract values from response into VU variables
+ * @param {Object} res - k6 response object
+ * @param {Object} specs - { variableName: spec }
+ * @returns {Object} { values, missing } - missing lists names without a value
+ *
+ * Missing values keep the previous variable value, are counted in
+ * correlation_misses and logged once per VU.
+ *
+ * Example:
+ * correlate(res, { productId: '$.id', etag: 'header:ETag' })
+ * // Returns: { values: { productId: 42, etag: '"v1"' }, missing: [] }
+ */
+export function correlate(res, specs) {
+  const values = {};
+  const missing = [];
+
+  Object.entries(specs).forEach(([name, spec]) => {
+    const value = extractValue(res, spec);
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+      missing.push(name);
+      correlationMisses.add(1, { name });
+      logOnce(`extract ${name}`, `No value for ${name} (status ${res.status}, spec ${String(spec.json || spec.header || spec.regex || spec)})`);
+      return;
+    }
+    values[name] = value;
+    vars[name] = value;
+  });
+
+  return { values, missing };
+}
+
+// =============================================================================
+// TEMPLATES
+// =============================================================================
+
+const PLACEHOLDER = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+
+/**
+ * Resolve placeholder expression
+ * @param {string} expression - Variable name or path
+ * @param {Object} scope - Variables
+ * @returns {*} Value or undefined
+ */
+function lookup(expression, scope) {
+  try {
+    return jsonPath(scope, `$.${expression}`);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Render `{{name}}` placeholders in text
+ * @param {string} text - Path, header value or other text
+ * @param {Object} scope - Variables (default: VU variables)
+ * @returns {string} Rendered text (unknown placeholders kept)
+ *
+ * Example:
+ * setVar('productId', 42);
+ * renderTemplate('/products/{{productId}}') // '/products/42'
+ */
+export function renderTemplate(text, scope = vars) {
+  if (typeof text !== 'string' || !text.includes('{{')) {
+    return text;
+  }
+  return text.replace(PLACEHOLDER, (placeholder, expression) => {
+    const value = lookup(expression, scope);
+    if (value === undefined) {
+      logOnce(`template ${expression}`, `Unknown variable in template: ${placeholder}`);
+      return placeholder;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Render placeholders in serialized JSON body
+ * @param {string|null} json - JSON.stringify() output
+ * @param {Object} scope - Variables (default: VU variables)
+ * @returns {string|null} Rendered JSON
+ *
+ * A string that is only a placeholder ("{{id}}") is replaced by the JSON
+ * value, so numbers, booleans and objects keep their type; placeholders
+ * inside longer strings are inserted as escaped text.
+ */
+export function renderJson(json, scope = vars) {
+  if (typeof json !== 'string' || !json.includes('{{')) {
+    return json;
+  }
+
+  const whole = json.replace(/"\{\{\s*([^{}\s"]+)\s*\}\}"/g, (placeholder, expression) => {
+    const value = lookup(expression, scope);
+    return value === undefined ? placeholder : JSON.stringify(value);
+  });
+
+  return whole.replace(PLACEHOLDER, (placeholder, expression) => {
+    const value = lookup(expression, scope);
+    if (value === undefined) {
+      logOnce(`template ${expression}`, `Unknown variable in template: ${placeholder}`);
+      return placeholder;
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return JSON.stringify(text).slice(1, -1);
+  });
+}
@@ -0,0 +1,199 @@
+/**
+ * @file Data sources
+ * @description Feed test inputs from CSV/JSON fixtures instead of hardcoded arrays
+ *
+ * Pattern: SharedArray loaded once, records handed out per access mode
+ *
+ * | Mode       | Record returned by next()                                  | Exhausted when             |
+ * |------------|------------------------------------------------------------|----------------------------|
+ * | sequential | Next record of the VU's own cursor (every VU walks all)    | VU has used every record   |
+ * | random     | Random record                                              | Never                      |
+ * | unique     | One record per scenario iteration, never shared            | Iterations > records       |
+ * | partition  | Next record of the VU's slice (VU n gets n, n+VUs, ...)    | VU has used its slice      |
+ *
+ * Partition slices are sized by the max VUs of the test's scenarios, not by the
+ * VUs running right now, so they stay fixed under ramping and arrival-rate executors.
+ *
+ * On exhaustion (onExhausted):
+ * - wrap: start over (default)
+ * - stop: next() returns null - skip the iteration (logged once per VU)
+ * - fail: abort the test
+ *
+ * The fixture path can be replaced without code changes with DATA_<NAME>
+ * (name upper-cased, non-alphanumerics as _), the mode with DATA_<NAME>_MODE:
+ *   k6 run -e DATA_LIST_CASES=data/my-searches.csv -e DATA_LIST_CASES_MODE=sequential script.js
+ *
+ * Usage (init context):
+ *   const productIds = createDataSource('product-ids', 'data/product-ids.csv', { mode: 'random' });
+ *   // in an iteration
+ *   const { id } = productIds.next();
+ */
+
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+import { logError } from '../helpers/common.js';
+import { loadRecords } from '../helpers/data-files.js';
+import { random } from '../helpers/random.js';
+import { describeProfile } from '../helpers/scenarios.js';
+
+export const ACCESS_MODES = ['sequential', 'random', 'unique', 'partition'];
+export const EXHAUSTION_POLICIES = ['wrap', 'stop', 'fail'];
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Environment variable name for data source
+ * @param {string} name - Data source name
+ * @returns {string} e.g. 'DATA_PRODUCT_IDS' for 'product-ids'
+ */
+export function dataSourceEnv(name) {
+  return `DATA_${String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+/**
+ * Validate option value
+ * @param {string} name - Data source name
+ * @param {string} option - Option name
+ * @param {string} value - Value
+ * @param {Array} allowed - Allowed values
+ * @throws {Error} On unknown value
+ */
+function validateOption(name, option, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`Data source '${name}': unknown ${option} '${value}' (use: ${allowed.join(', ')})`);
+  }
+}
+
+// Per-VU cache - the scenarios do not change during a run
+let partitions = null;
+
+/**
+ * Number of partition slices
+ * @returns {number} Max VUs summed over all scenarios (k6 default of 1 VU when
+ *                   not set) - VU IDs never exceed it, so slices never overlap
+ */
+function partitionCount() {
+  if (partitions === null) {
+    const scenarios = Object.values(exec.test.options.scenarios || {});
+    const maxVUs = scenarios.reduce((total, scenario) => total + (describeProfile(scenario).maxVUs || 1), 0);
+    partitions = Math.max(1, maxVUs);
+  }
+  return partitions;
+}
+
+// =============================================================================
+// DATA SOURCE
+// =============================================================================
+
+/**
+ * Create data source from CSV/JSON file (init context only)
+ * @param {string} name - Unique name (SharedArray name, DATA_<NAME> env var)
+ * @param {string} path - File path relative to the project root
+ * @param {Object} options - { mode: 'random', onExhausted: 'wrap', filter: fn, map: fn }
+ * @returns {Object} Data source { name, mode, onExhausted, records, length, next() }
+ * @throws {Error} On unknown mode/policy or empty file
+ *
+ * filter/map run once while loading - use map to convert CSV strings:
+ *
+ * Example:
+ * const cases = createDataSource('list-cases', 'data/list-cases.csv', {
+ *   map: (record) => ({ ...record, pageSize: Number(record.pageSize) })
+ * });
+ */
+export function createDataSource(name, path, options = {}) {
+  const env = dataSourceEnv(name);
+  const file = __ENV[env] || path;
+  const mode = __ENV[`${env}_MODE`] || options.mode || 'random';
+  const onExhausted = options.onExhausted || 'wrap';
+
+  validateOption(name, 'mode', mode, ACCESS_MODES);
+  validateOption(name, 'onExhausted', onExhausted, EXHAUSTION_POLICIES);
+
+  const records = new SharedArray(name, () => {
+    const loaded = loadRecords(file, options);
+    const filtered = options.filter ? loaded.filter(options.filter) : loaded;
+    return options.map ? filtered.map(options.map) : filtered;
+  });
+
+  if (records.length === 0) {
+    throw new Error(`Data source '${name}' is empty - check ${file}`);
+  }
+
+  // Per-VU state (each VU has its own copy of this module)
+  let cursor = 0;
+  let unique = { iteration: -1, index: null };
+  let stopLogged = false;
+
+  /**
+   * Index for position, applying the exhaustion policy
+   * @param {number} index - Wanted index (may be past the end)
+   * @param {number} size - Records available to this VU/mode
+   * @returns {number|null} Index within size, or null when stopped
+   */
+  const within = (index, size) => {
+    if (index < size) {
+      return index;
+    }
+    if (onExhausted === 'fail') {
+      exec.test.abort(`Data source '${name}' exhausted (${records.length} records in ${file}, mode ${mode})`);
+    }
+    if (onExhausted === 'stop') {
+      if (!stopLogged) {
+        stopLogged = true;
+        logError('data-source', `${name} exhausted in VU ${exec.vu.idInTest} - skipping remaining iterations`);
+      }
+      return null;
+    }
+    return index % size;
+  };
+
+  const nextIndex = () => {
+    switch (mode) {
+      case 'sequential':
+        return within(cursor++, records.length);
+
+      case 'unique': {
+        // Same record for repeated next() calls within one iteration
+        const iteration = exec.scenario.iterationInTest;
+        if (unique.iteration !== iteration) {
+          unique = { iteration, index: within(iteration, records.length) };
+        }
+        return unique.index;
+      }
+
+      case 'partition': {
+        const vus = partitionCount();
+        const slot = (exec.vu.idInTest - 1) % vus;
+        const slice = Math.ceil((records.length - slot) / vus);
+        if (slice <= 0 && onExhausted === 'wrap') {
+          // More VUs than records - share records instead of leaving the VU empty
+          return slot % records.length;
+        }
+        const position = within(cursor++, Math.max(slice, 0));
+        return position === null ? null : slot + position * vus;
+      }
+
+      default:
+        return Math.floor(random() * records.length);
+    }
+  };
+
+  return {
+    name,
+    mode,
+    onExhausted,
+    records,
+    length: records.length,
+
+    /**
+     * Next record for this VU/iteration
+     * @returns {Object|null} Record, or null when exhausted with onExhausted 'stop'
+     */
+    next() {
+      const index = nextIndex();
+      return index === null ? null : records[index];
+    }
+  };
+}
@@ -0,0 +1,380 @@
+/**
+ * @file HTML dashboard report
+ * @description Self-contained single-file HTML report from handleSummary() data
+ *
+ * Pattern: No external CDN - inline CSS only, opens offline from any artefact store
+ *
+ * Sections:
+ * - Run configuration (host, profile, executor, VUs, duration)
+ * - SLO compliance per endpoint (from buildSloReport())
+ * - Latency percentiles per tagged submetric (scenario, test_type, endpoint...)
+ * - Check pass rates grouped by check name prefix (utils/checks.js contexts)
+ * - Threshold results
+ * - Custom metrics (Counters, Trends, Rates, Gauges defined by tests)
+ */
+
+// Metrics built into k6 - everything else is a custom metric
+const BUILTIN_METRICS = [
+  'checks', 'data_received', 'data_sent', 'dropped_iterations', 'group_duration',
+  'http_req_blocked', 'http_req_connecting', 'http_req_duration', 'http_req_failed',
+  'http_req_receiving', 'http_req_sending', 'http_req_tls_handshaking', 'http_req_waiting',
+  'http_reqs', 'iteration_duration', 'iterations', 'vus', 'vus_max'
+];
+
+const LATENCY_STATS = ['avg', 'med', 'p(90)', 'p(95)', 'p(99)', 'max'];
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-safe string
+ */
+function esc(value) {
+  return String(value === null || value === undefined ? '-' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format number with fixed decimals
+ * @param {number} value - Value
+ * @param {number} digits - Decimal places
+ * @returns {string} Formatted value or '-'
+ */
+function num(value, digits = 2) {
+  return typeof value === 'number' && !Number.isNaN(value) ? value.toFixed(digits) : '-';
+}
+
+/**
+ * Format percentage from ratio
+ * @param {number} ratio - Value between 0 and 1
+ * @returns {string} Percentage like '98.50%'
+ */
+function pct(ratio) {
+  return typeof ratio === 'number' ? `${(ratio * 100).toFixed(2)}%` : '-';
+}
+
+/**
+ * Render status badge
+ * @param {string} status - pass, fail or no-data
+ * @returns {string} HTML badge
+ */
+function badge(status) {
+  return `<span class="badge ${esc(status)}">${esc(status.toUpperCase())}</span>`;
+}
+
+/**
+ * Render HTML table
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Rows of pre-rendered cell HTML
+ * @returns {string} HTML table or empty-state paragraph
+ */
+function table(headers, rows) {
+  if (rows.length === 0) {
+    return '<p class="empty">No data</p>';
+  }
+  return [
+    '<table>',
+    `<thead><tr>${headers.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead>`,
+    '<tbody>',
+    ...rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`),
+    '</tbody>',
+    '</table>'
+  ].join('\n');
+}
+
+// =============================================================================
+// DATA EXTRACTION
+// =============================================================================
+
+/**
+ * Collect all checks from group tree
+ * @param {Object} group - k6 root_group
+ * @returns {Array} Checks { name, passes, fails }
+ */
+function collectChecks(group) {
+  if (!group) {
+    return [];
+  }
+  return [
+    ...(group.checks || []),
+    ...(group.groups || []).flatMap(collectChecks)
+  ];
+}
+
+/**
+ * Group checks by context prefix (`products: has items array` -> `products`)
+ * @param {Array} checks - Checks from collectChecks()
+ * @returns {Array} Groups { name, passes, fails, checks } sorted by name
+ */
+function groupChecks(checks) {
+  const groups = {};
+
+  checks.forEach(c => {
+    const separator = c.name.indexOf(': ');
+    const groupName = separator > 0 ? c.name.substring(0, separator) : 'general';
+    const group = groups[groupName] = groups[groupName] || { name: groupName, passes: 0, fails: 0, checks: {} };
+
+    // Same check name can appear in several k6 groups
+    const entry = group.checks[c.name] = group.checks[c.name] || { name: c.name, passes: 0, fails: 0 };
+    entry.passes += c.passes;
+    entry.fails += c.fails;
+    group.passes += c.passes;
+    group.fails += c.fails;
+  });
+
+  return Object.values(groups).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Collect tagged latency submetrics
+ * @param {Object} metrics - k6 summary metrics
+ * @returns {Array} Rows { tag, value, values } for http_req_duration{tag:value}
+ */
+function collectTaggedLatency(metrics) {
+  const rows = [];
+
+  Object.entries(metrics).forEach(([key, metric]) => {
+    const match = key.match(/^http_req_duration\{(.+)\}$/);
+    if (!match) {
+      return;
+    }
+    // Extra filters (e.g. traffic:test from testTrafficKey()) are shown next to the value
+    const [first, ...filters] = match[1].split(',');
+    const [tag, ...rest] = first.split(':');
+    const value = filters.length > 0 ? `${rest.join(':')} (${filters.join(', ')})` : rest.join(':');
+    rows.push({ tag, value, values: metric.values || {} });
+  });
+
+  return rows.sort((a, b) => a.tag.localeCompare(b.tag) || a.value.localeCompare(b.value));
+}
+
+// =============================================================================
+// SECTIONS
+// =============================================================================
+
+/**
+ * Render run configuration
+ * @param {Object} run - { test, host, profile, executor, load, maxVUs, duration, actualDuration, generatedAt }
+ * @returns {string} HTML definition list
+ */
+function renderConfig(run) {
+  const items = [
+    ['Test', run.test],
+    ['Host', run.host],
+    ['Profile', run.profile],
+    ['Executor', run.executor],
+    ['Load', run.load],
+    ['Max VUs', run.maxVUs],
+    ['Planned duration', run.duration],
+    ['Actual duration', run.actualDuration],
+    ['Generated', run.generatedAt]
+  ];
+
+  return `<dl class="config">${items
+    .map(([label, value]) => `<div><dt>${esc(label)}</dt><dd>${esc(value)}</dd></div>`)
+    .join('')}</dl>`;
+}
+
+/**
+ * Render overview cards (requests, failures, latency, checks, iterations, VUs)
+ * @param {Object} metrics - k6 summary metrics
+ * @returns {string} HTML cards
+ */
+function renderOverview(metrics) {
+  const value = (name, field) => metrics[name]?.values?.[field];
+  const cards = [
+    ['Requests', value('http_reqs', 'count'), `${num(value('http_reqs', 'rate'))}/s`],
+    ['Failed requests', pct(value('http_req_failed', 'rate')), `${value('http_req_failed', 'passes') ?? '-'} failed`],
+    ['p95 latency', `${num(value('http_req_duration', 'p(95)'))} ms`, `p99 ${num(value('http_req_duration', 'p(99)'))} ms`],
+    ['Checks', pct(value('checks', 'rate')), `${value('checks', 'fails') ?? '-'} failed`],
+    ['Iterations', value('iterations', 'count'), `${num(value('iterations', 'rate'))}/s`],
+    ['Max VUs', value('vus_max', 'max') ?? value('vus_max', 'value'), '']
+  ];
+
+  return `<div class="cards">${cards
+    .map(([label, main, sub]) => `<div class="card"><div class="label">${esc(label)}</div><div class="value">${esc(main)}</div><div class="sub">${esc(sub)}</div></div>`)
+    .join('')}</div>`;
+}
+
+/**
+ * Render SLO compliance per endpoint
+ * @param {Object} report - SLO report from buildSloReport()
+ * @returns {string} HTML table (endpoints without data omitted)
+ */
+function renderSlo(report) {
+  const rows = report.endpoints
+    .filter(e => e.status !== 'no-data')
+    .map(e => [
+      esc(e.name),
+      badge(e.status),
+      esc(e.stats.requests),
+      `${num(e.stats.p95)} <span class="muted">&lt; ${esc(e.slo.p95)}</span>`,
+      `${num(e.stats.p99)} <span class="muted">&lt; ${esc(e.slo.p99)}</span>`,
+      `${pct(e.stats.errorRate)} <span class="muted">&lt; ${pct(e.slo.errorRate)}</span>`,
+      e.budget ? `${num(e.budget.remainingPercent, 1)}%` : '-'
+    ]);
+
+  return table(['Endpoint', 'Status', 'Requests', 'p95 ms (SLO)', 'p99 ms (SLO)', 'Error rate (SLO)', 'Budget left'], rows);
+}
+
+/**
+ * Render latency percentiles, overall and per tagged submetric
+ * @param {Object} metrics - k6 summary metrics
+ * @returns {string} HTML table
+ */
+function renderLatency(metrics) {
+  const overall = metrics.http_req_duration
+    ? [{ tag: 'all', value: 'requests', values: metrics.http_req_duration.values }]
+    : [];
+
+  const rows = [...overall, ...collectTaggedLatency(metrics)].map(row => [
+    esc(row.tag),
+    esc(row.value),
+    ...LATENCY_STATS.map(stat => num(row.values[stat]))
+  ]);
+
+  return table(['Tag', 'Value', 'avg', 'p50', 'p90', 'p95', 'p99', 'max'], rows);
+}
+
+/**
+ * Render check pass rates grouped by context
+ * @param {Object} rootGroup - k6 root_group
+ * @returns {string} HTML details blocks (groups with failures open)
+ */
+function renderChecks(rootGroup) {
+  const groups = groupChecks(collectChecks(rootGroup));
+
+  if (groups.length === 0) {
+    return '<p class="empty">No checks</p>';
+  }
+
+  return groups.map(group => {
+    const total = group.passes + group.fails;
+    const rate = total > 0 ? group.passes / total : 0;
+    const rows = Object.values(group.checks).map(c => {
+      const checkTotal = c.passes + c.fails;
+      const checkRate = checkTotal > 0 ? c.passes / checkTotal : 0;
+      return [
+        esc(c.name),
+        `<div class="bar"><div style="width:${(checkRate * 100).toFixed(1)}%"></div></div>`,
+        pct(checkRate),
+        esc(c.passes),
+        esc(c.fails)
+      ];
+    });
+
+    return `<details${rate < 1 ? ' open' : ''}><summary>${esc(group.name)} - ${pct(rate)} (${group.fails} failed)</summary>` +
+      `${table(['Check', '', 'Pass rate', 'Passes', 'Fails'], rows)}</details>`;
+  }).join('\n');
+}
+
+/**
+ * Render threshold results
+ * @param {Object} report - SLO report from buildSloReport()
+ * @returns {string} HTML table
+ */
+function renderThresholds(report) {
+  const rows = report.thresholds.map(t => [esc(t.metric), `<code>${esc(t.expression)}</code>`, badge(t.status)]);
+  return table(['Metric', 'Threshold', 'Result'], rows);
+}
+
+/**
+ * Render custom (non-builtin) metrics
+ * @param {Object} metrics - k6 summary metrics
+ * @returns {string} HTML table sorted by metric name
+ */
+function renderCustomMetrics(metrics) {
+  const rows = Object.entries(metrics)
+    .filter(([name]) => !BUILTIN_METRICS.includes(name.split('{')[0]))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, metric]) => {
+      const values = Object.entries(metric.values || {})
+        .map(([stat, value]) => `${stat}=${typeof value === 'number' ? num(value) : value}`)
+        .join(', ');
+      return [esc(name), esc(metric.type), esc(values)];
+    });
+
+  return table(['Metric', 'Type', 'Values'], rows);
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+const STYLES = `
+body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f4f5f7; color: #1f2328; }
+header { background: #7d64ff; color: #fff; padding: 24px 32px; }
+header h1 { margin: 0 0 4px; font-size: 24px; }
+main { padding: 24px 32px; max-width: 1400px; }
+section { background: #fff; border-radius: 8px; padding: 16px 24px; margin-bottom: 24px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+h2 { font-size: 18px; margin-top: 0; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e5e7eb; }
+th { background: #f9fafb; }
+.cards { display: flex; flex-wrap: wrap; gap: 16px; }
+.card { flex: 1 1 150px; background: #f9fafb; border-radius: 6px; padding: 12px 16px; }
+.card .label { font-size: 12px; color: #6b7280; text-transform: uppercase; }
+.card .value { font-size: 22px; font-weight: 600; }
+.card .sub, .muted { color: #6b7280; font-size: 12px; }
+.config { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 8px 24px; margin: 0; }
+.config dt { font-size: 12px; color: #6b7280; }
+.config dd { margin: 0; font-weight: 600; word-break: break-all; }
+.badge { padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 700; }
+.badge.pass { background: #dcfce7; color: #166534; }
+.badge.fail { background: #fee2e2; color: #991b1b; }
+.badge.no-data { background: #e5e7eb; color: #374151; }
+.bar { width: 160px; height: 8px; background: #fee2e2; border-radius: 4px; overflow: hidden; }
+.bar div { height: 100%; background: #22c55e; }
+details { margin-bottom: 8px; }
+summary { cursor: pointer; font-weight: 600; padding: 4px 0; }
+.empty { color: #6b7280; }
+`;
+
+/**
+ * Render self-contained HTML report
+ * @param {Object} data - k6 handleSummary data
+ * @param {Object} report - SLO report from buildSloReport()
+ * @param {Object} run - Run configuration { test, host, profile, executor, load, maxVUs, duration }
+ * @returns {string} HTML document
+ */
+export function renderHtmlReport(data, report, run = {}) {
+  const metrics = data.metrics || {};
+  const title = `k6 report - ${run.test || 'test'}`;
+  const runInfo = {
+    ...run,
+    actualDuration: `${num((data.state?.testRunDurationMs || 0) / 1000, 1)}s`,
+    generatedAt: report.meta.generatedAt
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${esc(title)}</h1>
+  <div>${badge(report.passed ? 'pass' : 'fail')} ${esc(run.host)} &middot; ${esc(run.profile)}</div>
+</header>
+<main>
+  <section><h2>Run configuration</h2>${renderConfig(runInfo)}</section>
+  <section><h2>Overview</h2>${renderOverview(metrics)}</section>
+  <section><h2>SLO compliance</h2>${renderSlo(report)}</section>
+  <section><h2>Latency percentiles (ms)</h2>${renderLatency(metrics)}</section>
+  <section><h2>Checks</h2>${renderChecks(data.root_group)}</section>
+  <section><h2>Thresholds</h2>${renderThresholds(report)}</section>
+  <section><h2>Custom metrics</h2>${renderCustomMetrics(metrics)}</section>
+</main>
+</body>
+</html>
+`;
+}
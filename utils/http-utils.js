@@ -1,36 +1,193 @@
 /**
  * @file HTTP utilities and wrappers
  * @description Higher-level HTTP functions with built-in error handling
+ *
+ * Every request is tagged with `endpoint:<name>` from the ENDPOINTS catalog
+ * in config/env.js, which generateEndpointThresholds() in config/slo.js uses,
+ * and with `traffic:test`, which the global thresholds filter on.
+ *
+ * Write requests against production are checked with checkWriteAllowed()
+ * and abort the test when not explicitly allowed (see PROD_SAFETY).
+ *
+ * Resources created by post()/batchPost() are tracked for cleanup
+ * (see utils/resource-registry.js and utils/cleanup.js).
+ *
+ * Every request carries run ID, scenario, VU, iteration and a fresh
+ * W3C traceparent header (see utils/tracing.js).
+ *
+ * Retries are opt-in: pass `{ retry: 'default' }` in options or set
+ * RETRY_POLICY in the scenario env (see utils/retry.js).
+ *
+ * 429 responses are counted in http_req_rate_limited instead of being
+ * logged as failures (see utils/rate-limit.js and RATE_LIMIT_CONFIG).
+ *
+ * With CONTRACT_SPEC set, responses are checked against the OpenAPI spec
+ * (see utils/contract.js and CONTRACT_CONFIG).
+ *
+ * Negative tests pass `{ expectedStatuses: [...] }` so the statuses they
+ * provoke are neither counted in http_req_failed nor logged as errors.
+ *
+ * Paths, JSON payloads and header values may reference values extracted
+ * with correlate() as `{{name}}` (see utils/correlation.js).
  */
 
 import http from 'k6/http';
+import exec from 'k6/execution';
+import { CONTRACT_CONFIG, RATE_LIMIT_CONFIG, TRAFFIC_TAGS, checkWriteAllowed } from '../config/env.js';
 import { getUrl, getHeaders, logRequestError } from '../helpers/common.js';
+import { random } from '../helpers/random.js';
+import { endpointTags, resolveEndpoint } from '../helpers/endpoints.js';
+import { renewSession } from './auth.js';
+import { trackCreated } from './resource-registry.js';
+import { resolveRetryPolicy, withRetry } from './retry.js';
+import { pauseIfLimited, rateLimitState, recordRateLimit } from './rate-limit.js';
+import { correlationHeaders, traceIdFrom } from './tracing.js';
+import { checkContract } from './contract.js';
+import { renderJson, renderTemplate } from './correlation.js';
 
 // =============================================================================
-// HTTP REQUEST WRAPPERS
+// REQUEST CORE
 // =============================================================================
 
 /**
- * GET request with standard headers and error logging
+ * Build k6 request params with auth/correlation headers and endpoint tags
+ * @param {string} method - HTTP method
  * @param {string} path - API endpoint path
  * @param {string} role - User role for auth
+ * @param {Object} options - Additional k6 http options (headers/tags override defaults)
+ * @returns {Object} k6 request params
+ *
+ * Called once per attempt, so a retried request gets a new traceparent.
+ * The wrapper-only `retry` option is not passed to k6; `expectedStatuses`
+ * becomes the request's responseCallback (plus 429 with RATE_LIMIT_EXCLUDE=true,
+ * which the per-request callback would otherwise drop).
+ */
+function buildParams(method, path, role, options = {}) {
+  const { retry, expectedStatuses, ...params } = options;
+  const headers = Object.fromEntries(Object.entries(params.headers || {})
+    .map(([name, value]) => [name, renderTemplate(value)]));
+
+  if (expectedStatuses && !params.responseCallback) {
+    params.responseCallback = http.expectedStatuses(...expectedStatuses,
+      ...(RATE_LIMIT_CONFIG.excludeFromErrors ? [429] : []));
+  }
+
+  return {
+    ...params,
+    headers: { ...getHeaders(role), ...correlationHeaders(), ...headers },
+    tags: { ...TRAFFIC_TAGS.test, ...endpointTags(method, path), ...params.tags }
+  };
+}
+
+/**
+ * Abort test if write request is not allowed on current host
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ *
+ * Applies to every request sent through this module. Teardown cleanup
+ * deletes only the run's tracked resources and sends them itself
+ * (see utils/cleanup.js).
+ */
+function guardWrite(method, path) {
+  const blocked = checkWriteAllowed(method, resolveEndpoint(method, path)?.name);
+  if (blocked) {
+    console.error(`ERROR [prod-safety]: ${blocked}`);
+    exec.test.abort(blocked);
+  }
+}
+
+/**
+ * Check if status is one of the expected statuses
+ * @param {number} status - Response status
+ * @param {Array} expected - Statuses and { min, max } ranges (as for http.expectedStatuses)
+ * @returns {boolean} True if status is expected
+ *
+ * Example: isExpectedStatus(404, [{ min: 200, max: 299 }, 404]) // true
+ */
+function isExpectedStatus(status, expected) {
+  return expected.some(entry => typeof entry === 'number'
+    ? status === entry
+    : status >= entry.min && status <= entry.max);
+}
+
+/**
+ * Send request with standard headers, 401 handling and error logging
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ * @param {string|null} body - Serialized request body
+ * @param {string} role - User role for auth
  * @param {string} context - Test context for logging
- * @param {Object} options - Additional k6 http options
+ * @param {Object} options - Additional k6 http options, plus `retry` (see utils/retry.js)
+ *   and `expectedStatuses` (statuses the caller provokes on purpose)
  * @returns {Object} k6 response object
+ *
+ * `{{name}}` placeholders in path and body are rendered first, so tags,
+ * logs and contract checks see the real path.
+ *
+ * On 401 the role session is renewed (AUTH_MODE=login only) and
+ * the request is retried once with the new token. Retries for
+ * network errors and 429/5xx follow the selected retry policy;
+ * only the final failure is logged. 429s are recorded by
+ * utils/rate-limit.js and never logged as request errors.
+ *
+ * Statuses listed in `expectedStatuses` do not count in http_req_failed
+ * and are not logged, e.g. the 404 of a deleted resource:
+ *   get(`/products/${id}`, 'USER', 'verify-deleted', { expectedStatuses: [404] });
  */
-export function get(path, role = 'USER', context = 'get', options = {}) {
+function sendRequest(method, templatePath, templateBody, role, context, options = {}) {
+  const path = renderTemplate(templatePath);
+  const body = renderJson(templateBody);
   const url = getUrl(path);
-  const headers = getHeaders(role);
 
-  const res = http.get(url, { headers, ...options });
+  guardWrite(method, path);
 
-  if (res.status >= 400) {
-    logRequestError(context, res);
+  let params;
+  const attempt = (retry) => {
+    const attemptOptions = retry > 0 ? { ...options, tags: { ...options.tags, retry: String(retry) } } : options;
+    params = buildParams(method, path, role, attemptOptions);
+    let res = http.request(method, url, body, params);
+
+    if (res.status === 401 && renewSession(role)) {
+      params = buildParams(method, path, role, attemptOptions);
+      res = http.request(method, url, body, params);
+    }
+
+    recordRateLimit(res, params.tags);
+    return res;
+  };
+
+  const res = withRetry(resolveRetryPolicy(options.retry), method, attempt, endpointTags(method, path));
+  pauseIfLimited(res, endpointTags(method, path));
+
+  checkContract(res, { method, path, sampleRate: CONTRACT_CONFIG.sampleRate });
+
+  const expected = options.expectedStatuses && isExpectedStatus(res.status, options.expectedStatuses);
+
+  if (res.status >= 400 && res.status !== 429 && !expected) {
+    logRequestError(context, res, traceIdFrom(params.headers.traceparent));
+  } else if (method === 'POST') {
+    trackCreated(path, res, role);
   }
 
   return res;
 }
 
+// =============================================================================
+// HTTP REQUEST WRAPPERS
+// =============================================================================
+
+/**
+ * GET request with standard headers and error logging
+ * @param {string} path - API endpoint path
+ * @param {string} role - User role for auth
+ * @param {string} context - Test context for logging
+ * @param {Object} options - Additional k6 http options
+ * @returns {Object} k6 response object
+ */
+export function get(path, role = 'USER', context = 'get', options = {}) {
+  return sendRequest('GET', path, null, role, context, options);
+}
+
 /**
  * GET request with query parameters
  * @param {string} path - API endpoint path
@@ -43,7 +200,7 @@ export function get(path, role = 'USER', context = 'get', options = {}) {
 export function getWithParams(path, params = {}, role = 'USER', context = 'get', options = {}) {
   const queryString = Object.entries(params)
     .filter(([_, v]) => v !== null && v !== undefined)
-    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(renderTemplate(v))}`)
     .join('&');
 
   const fullPath = queryString ? `${path}?${queryString}` : path;
@@ -60,17 +217,7 @@ export function getWithParams(path, params = {}, role = 'USER', context = 'get',
  * @returns {Object} k6 response object
  */
 export function post(path, payload, role = 'USER', context = 'post', options = {}) {
-  const url = getUrl(path);
-  const headers = getHeaders(role);
-  const body = JSON.stringify(payload);
-
-  const res = http.post(url, body, { headers, ...options });
-
-  if (res.status >= 400) {
-    logRequestError(context, res);
-  }
-
-  return res;
+  return sendRequest('POST', path, JSON.stringify(payload), role, context, options);
 }
 
 /**
@@ -83,17 +230,7 @@ export function post(path, payload, role = 'USER', context = 'post', options = {
  * @returns {Object} k6 response object
  */
 export function put(path, payload, role = 'USER', context = 'put', options = {}) {
-  const url = getUrl(path);
-  const headers = getHeaders(role);
-  const body = JSON.stringify(payload);
-
-  const res = http.put(url, body, { headers, ...options });
-
-  if (res.status >= 400) {
-    logRequestError(context, res);
-  }
-
-  return res;
+  return sendRequest('PUT', path, JSON.stringify(payload), role, context, options);
 }
 
 /**
@@ -106,17 +243,7 @@ export function put(path, payload, role = 'USER', context = 'put', options = {})
  * @returns {Object} k6 response object
  */
 export function patch(path, payload, role = 'USER', context = 'patch', options = {}) {
-  const url = getUrl(path);
-  const headers = getHeaders(role);
-  const body = JSON.stringify(payload);
-
-  const res = http.patch(url, body, { headers, ...options });
-
-  if (res.status >= 400) {
-    logRequestError(context, res);
-  }
-
-  return res;
+  return sendRequest('PATCH', path, JSON.stringify(payload), role, context, options);
 }
 
 /**
@@ -128,16 +255,7 @@ export function patch(path, payload, role = 'USER', context = 'patch', options =
  * @returns {Object} k6 response object
  */
 export function del(path, role = 'USER', context = 'delete', options = {}) {
-  const url = getUrl(path);
-  const headers = getHeaders(role);
-
-  const res = http.del(url, null, { headers, ...options });
-
-  if (res.status >= 400) {
-    logRequestError(context, res);
-  }
-
-  return res;
+  return sendRequest('DELETE', path, null, role, context, options);
 }
 
 /**
@@ -150,17 +268,7 @@ export function del(path, role = 'USER', context = 'delete', options = {}) {
  * @returns {Object} k6 response object
  */
 export function delWithBody(path, payload, role = 'USER', context = 'delete', options = {}) {
-  const url = getUrl(path);
-  const headers = getHeaders(role);
-  const body = JSON.stringify(payload);
-
-  const res = http.del(url, body, { headers, ...options });
-
-  if (res.status >= 400) {
-    logRequestError(context, res);
-  }
-
-  return res;
+  return sendRequest('DELETE', path, JSON.stringify(payload), role, context, options);
 }
 
 // =============================================================================
@@ -179,13 +287,12 @@ export function delWithBody(path, payload, role = 'USER', context = 'delete', op
  * ])
  */
 export function batchGet(requests) {
-  const batch = requests.map(req => ({
-    method: 'GET',
-    url: getUrl(req.path),
-    params: { headers: getHeaders(req.role || 'USER') }
-  }));
+  const batch = requests.map(req => {
+    const path = renderTemplate(req.path);
+    return { method: 'GET', url: getUrl(path), params: buildParams('GET', path, req.role || 'USER') };
+  });
 
-  return http.batch(batch);
+  return observeBatch(batch, http.batch(batch));
 }
 
 /**
@@ -194,14 +301,45 @@ export function batchGet(requests) {
  * @returns {Array} Array of responses
  */
 export function batchPost(requests) {
-  const batch = requests.map(req => ({
+  const paths = requests.map(req => renderTemplate(req.path));
+  paths.forEach(path => guardWrite('POST', path));
+
+  const batch = requests.map((req, i) => ({
     method: 'POST',
-    url: getUrl(req.path),
-    body: JSON.stringify(req.payload),
-    params: { headers: getHeaders(req.role || 'USER') }
+    url: getUrl(paths[i]),
+    body: renderJson(JSON.stringify(req.payload)),
+    params: buildParams('POST', paths[i], req.role || 'USER')
   }));
 
-  return http.batch(batch);
+  const responses = observeBatch(batch, http.batch(batch));
+  responses.forEach((res, i) => trackCreated(paths[i], res, requests[i].role || 'USER'));
+
+  return responses;
+}
+
+/**
+ * Record rate-limit state and check contract of batch responses
+ * @param {Array} batch - Requests passed to http.batch()
+ * @param {Array} responses - Responses from http.batch()
+ * @returns {Array} Same responses
+ *
+ * Pauses once when RATE_LIMIT_PAUSE=true - for the 429 with the longest reset.
+ */
+function observeBatch(batch, responses) {
+  responses.forEach((res, i) => {
+    recordRateLimit(res, batch[i].params.tags);
+    checkContract(res, { method: batch[i].method, sampleRate: CONTRACT_CONFIG.sampleRate });
+  });
+
+  const resetIn = (res) => rateLimitState(res).resetIn || 0;
+  const longest = responses
+    .filter(res => res.status === 429)
+    .reduce((found, res) => (!found || resetIn(res) > resetIn(found) ? res : found), null);
+  if (longest) {
+    pauseIfLimited(longest);
+  }
+
+  return responses;
 }
 
 // =============================================================================
@@ -251,5 +389,5 @@ export function extractItems(res) {
 export function getRandomItem(res) {
   const items = extractItems(res);
   if (items.length === 0) return null;
-  return items[Math.floor(Math.random() * items.length)];
+  return items[Math.floor(random() * items.length)];
 }
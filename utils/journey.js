@@ -0,0 +1,253 @@
+/**
+ * @file User journeys
+ * @description Multi-step flows declared as data and run with per-step metrics
+ *
+ * Pattern: Steps run in k6 group()s, values extracted from responses are
+ *          shared through a per-iteration journey context
+ *
+ * Each step declares:
+ * - name:      Step name (k6 group name, metric suffix)
+ * - request:   (ctx) => k6 response - usually one http-utils call
+ * - checks:    { 'name': (res, ctx, { duration }) => boolean }
+ * - success:   (res, ctx) => boolean - step outcome (default: all checks passed)
+ * - extract:   { key: (res, ctx) => value or spec like '$.id' / 'header:ETag' (utils/correlation.js) }
+ *              - stored in ctx; null/undefined fails the step
+ * - thinkTime: Seconds (or () => seconds) slept before the next step (journey default)
+ * - onFailure: 'abort' skips the remaining steps, 'continue' runs them (journey default)
+ * - trend:     Metric suffix, to share a trend between steps (default: name)
+ *
+ * A step whose request, checks, success or extractors throw fails like any other.
+ *
+ * Metrics (prefix from `metricPrefix`, default: journey name in snake case):
+ * - <prefix>_<trend>_duration:  Step duration (wall clock, retries included, thrown requests too)
+ * - <prefix>_<trend>_count:     Step executions
+ * - <prefix>_success_rate:      Step success rate
+ * - <prefix>_flow_duration:     End-to-end duration of completed full runs, think time excluded
+ * - <prefix>_full_flow_success / <prefix>_full_flow_failed: Full runs by outcome
+ *
+ * Journeys create metrics, so define them in init context.
+ *
+ * Usage:
+ *   const checkout = defineJourney('Checkout', {
+ *     thinkTime: 0.5,
+ *     steps: [
+ *       { name: 'create_cart', request: () => post('/carts', {}), extract: { cartId: res => extractId(res) },
+ *         checks: { 'cart created': res => res.status === 201 } },
+ *       { name: 'add_item', request: ctx => post(`/carts/${ctx.cartId}/items`, { productId: 1 }),
+ *         checks: { 'item added': res => res.status === 201 } },
+ *     ],
+ *   });
+ *
+ *   export default function(data) {
+ *     checkout.run();
+ *     sleep(thinkTime());
+ *   }
+ */
+
+import { check, group, sleep } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { logError } from '../helpers/common.js';
+import { extractValue } from './correlation.js';
+
+const FAILURE_POLICIES = ['abort', 'continue'];
+
+// =============================================================================
+// DEFINITION
+// =============================================================================
+
+/**
+ * Convert name to metric name part
+ * @param {string} name - Journey or step name
+ * @returns {string} Lowercase name with non-alphanumerics as underscores
+ *
+ * Example: metricName('verify-deleted') => 'verify_deleted'
+ */
+function metricName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Validate step definition
+ * @param {string} journey - Journey name for messages
+ * @param {Object} step - Step definition
+ * @throws {Error} On missing name/request or unknown failure policy
+ */
+function validateStep(journey, step) {
+  if (!step.name) {
+    throw new Error(`Journey ${journey}: step without name`);
+  }
+  if (typeof step.request !== 'function') {
+    throw new Error(`Journey ${journey}: step ${step.name} needs a request function`);
+  }
+  if (step.onFailure && !FAILURE_POLICIES.includes(step.onFailure)) {
+    throw new Error(`Journey ${journey}: step ${step.name} onFailure must be one of ${FAILURE_POLICIES.join(', ')}`);
+  }
+}
+
+/**
+ * Define journey (init context only)
+ * @param {string} name - Journey name (flow check is '<name> flow completed successfully')
+ * @param {Object} options - { steps, thinkTime: 0, onFailure: 'abort', metricPrefix }
+ * @returns {Object} Journey { name, steps, run(context, runOptions) }
+ * @throws {Error} On invalid step definitions or duplicate step names
+ *
+ * Example:
+ * const crud = defineJourney('CRUD', { metricPrefix: 'crud', steps: [createStep, readStep] });
+ * crud.run();                                  // full flow
+ * crud.run({ createdId: 1 }, { steps: ['read'] }); // single step, no flow metrics
+ */
+export function defineJourney(name, options = {}) {
+  const { steps = [], thinkTime = 0, onFailure = 'abort' } = options;
+  const prefix = options.metricPrefix || metricName(name);
+
+  if (!FAILURE_POLICIES.includes(onFailure)) {
+    throw new Error(`Journey ${name}: onFailure must be one of ${FAILURE_POLICIES.join(', ')}`);
+  }
+  steps.forEach(step => validateStep(name, step));
+  const duplicate = steps.find((step, i) => steps.findIndex(other => other.name === step.name) !== i);
+  if (duplicate) {
+    throw new Error(`Journey ${name}: duplicate step name ${duplicate.name}`);
+  }
+
+  const stepMetrics = {};
+  steps.forEach(step => {
+    const trend = metricName(step.trend || step.name);
+    if (!stepMetrics[trend]) {
+      stepMetrics[trend] = {
+        duration: new Trend(`${prefix}_${trend}_duration`),
+        count: new Counter(`${prefix}_${trend}_count`)
+      };
+    }
+  });
+
+  const journey = {
+    name,
+    steps,
+    thinkTime,
+    onFailure,
+    metrics: {
+      steps: stepMetrics,
+      success: new Rate(`${prefix}_success_rate`),
+      flowDuration: new Trend(`${prefix}_flow_duration`),
+      flowSuccess: new Counter(`${prefix}_full_flow_success`),
+      flowFailed: new Counter(`${prefix}_full_flow_failed`)
+    }
+  };
+
+  journey.run = (context, runOptions) => runJourney(journey, context, runOptions);
+  return journey;
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+/**
+ * Run one step inside its group
+ * @param {Object} journey - Journey from defineJourney()
+ * @param {Object} step - Step definition
+ * @param {Object} ctx - Journey context (extracted values are added)
+ * @returns {Object} { name, success, duration }
+ */
+function runStep(journey, step, ctx) {
+  return group(step.name, () => {
+    const metrics = journey.metrics.steps[metricName(step.trend || step.name)];
+    const context = `${metricName(journey.name)}-${step.name}`;
+
+    const startTime = Date.now();
+    let duration = null;
+    try {
+      const res = step.request(ctx);
+      duration = Date.now() - startTime;
+      metrics.duration.add(duration);
+      metrics.count.add(1);
+
+      const checks = Object.fromEntries(Object.entries(step.checks || {}).map(([checkName, fn]) =>
+        [checkName, (r) => fn(r, ctx, { duration })]));
+      const checksPassed = check(res, checks);
+      let success = step.success ? Boolean(step.success(res, ctx)) : checksPassed;
+
+      Object.entries(step.extract || {}).forEach(([key, extractor]) => {
+        const value = typeof extractor === 'function' ? extractor(res, ctx) : extractValue(res, extractor);
+        if (value === null || value === undefined) {
+          if (success) {
+            logError(context, `Could not extract ${key} (status ${res?.status})`);
+          }
+          success = false;
+          return;
+        }
+        ctx[key] = value;
+      });
+
+      journey.metrics.success.add(success);
+      return { name: step.name, success, duration };
+    } catch (error) {
+      // Thrown by the request, a check, success() or an extractor (e.g. res.json() on a broken body)
+      if (duration === null) {
+        duration = Date.now() - startTime;
+        metrics.duration.add(duration);
+        metrics.count.add(1);
+      }
+      logError(context, `Step failed: ${error.message}`);
+      journey.metrics.success.add(false);
+      return { name: step.name, success: false, duration };
+    }
+  });
+}
+
+/**
+ * Run journey
+ * @param {Object} journey - Journey from defineJourney()
+ * @param {Object} context - Initial journey context (copied)
+ * @param {Object} options - { steps: ['names'] } to run a subset (no flow metrics or check)
+ * @returns {Object} { success, aborted, context, duration, steps: [{ name, success, duration, skipped }] }
+ *
+ * Example:
+ * const result = crud.run();
+ * // Returns: { success: false, aborted: true, context: {}, duration: 312,
+ * //            steps: [{ name: 'create', success: false, duration: 312 }, { name: 'read', skipped: true }, ...] }
+ */
+export function runJourney(journey, context = {}, options = {}) {
+  const subset = options.steps || null;
+  const steps = subset ? journey.steps.filter(step => subset.includes(step.name)) : journey.steps;
+  const ctx = { ...context };
+  const results = [];
+
+  let aborted = false;
+  let duration = 0;
+
+  steps.forEach((step, i) => {
+    if (aborted) {
+      results.push({ name: step.name, success: false, skipped: true });
+      return;
+    }
+
+    const result = runStep(journey, step, ctx);
+    results.push(result);
+    duration += result.duration;
+
+    if (!result.success && (step.onFailure || journey.onFailure) === 'abort') {
+      aborted = true;
+      return;
+    }
+
+    const pause = step.thinkTime !== undefined ? step.thinkTime : journey.thinkTime;
+    const seconds = typeof pause === 'function' ? pause(ctx) : pause;
+    if (i < steps.length - 1 && seconds > 0) {
+      sleep(seconds);
+    }
+  });
+
+  const success = results.every(result => result.success);
+
+  if (!subset) {
+    // Aborted runs stop early, their duration would pull the trend down
+    if (!aborted) {
+      journey.metrics.flowDuration.add(duration);
+    }
+    (success ? journey.metrics.flowSuccess : journey.metrics.flowFailed).add(1);
+    check(null, { [`${journey.name} flow completed successfully`]: () => success });
+  }
+
+  return { success, aborted, context: ctx, duration, steps: results };
+}
@@ -0,0 +1,372 @@
+/**
+ * @file JSON Schema validator
+ * @description Dependency-free JSON Schema (draft-07 subset) validation for k6
+ *
+ * Pattern: Pure functions - runs in k6 (goja) and Node.js alike
+ *
+ * Supported keywords:
+ * - type (incl. 'integer', 'null' and type arrays), enum, const
+ * - object: properties, required, additionalProperties (boolean or schema)
+ * - array:  items (single schema), minItems, maxItems, uniqueItems
+ * - string: minLength, maxLength, pattern, format
+ * - number: minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - allOf, anyOf, oneOf, not
+ * - $ref to local definitions ('#/definitions/...', '#/components/schemas/...')
+ * - nullable (OpenAPI 3.0 extension)
+ *
+ * Formats: date-time, date, time, email, uri, uuid, ipv4, ipv6, hostname
+ * (unknown formats are ignored, as the specification allows).
+ *
+ * Every violation belongs to a category (see CATEGORIES) - checkJsonSchema()
+ * in utils/checks.js emits one k6 check per category.
+ */
+
+// =============================================================================
+// CATEGORIES
+// =============================================================================
+
+/**
+ * Violation categories by keyword
+ */
+export const CATEGORIES = {
+  type: 'type',
+  nullable: 'type',
+  required: 'required',
+  additionalProperties: 'additionalProperties',
+  enum: 'enum',
+  const: 'enum',
+  format: 'format',
+  pattern: 'format',
+  minLength: 'range',
+  maxLength: 'range',
+  minimum: 'range',
+  maximum: 'range',
+  exclusiveMinimum: 'range',
+  exclusiveMaximum: 'range',
+  multipleOf: 'range',
+  minItems: 'range',
+  maxItems: 'range',
+  uniqueItems: 'range',
+  allOf: 'composition',
+  anyOf: 'composition',
+  oneOf: 'composition',
+  not: 'composition'
+};
+
+// =============================================================================
+// FORMATS
+// =============================================================================
+
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  'date': /^\d{4}-\d{2}-\d{2}$/,
+  'time': /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  'uri': /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/,
+  'uuid': /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+  'ipv4': /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/,
+  'ipv6': /^[0-9a-fA-F:]+(:\d+\.\d+\.\d+\.\d+)?$/,
+  'hostname': /^(?=.{1,253}$)[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * JSON type of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check value against schema type(s)
+ * @param {*} value - Value
+ * @param {string|Array} types - Schema type or types
+ * @returns {boolean} True if value matches any type
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Deep equality for enum/const/uniqueItems
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True if equal as JSON
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || a === null || typeof a !== 'object') return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Resolve local $ref
+ * @param {Object} root - Root schema (or OpenAPI document)
+ * @param {string} ref - '#/path/to/schema'
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref is supported: ${ref}`);
+  }
+  const target = ref.slice(1).split('/').filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node === undefined ? undefined : node[part]), root);
+
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref: ${ref}`);
+  }
+  return target;
+}
+
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate value against schema
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {*} value - Value to validate (parsed JSON)
+ * @param {Object} options - { root: document for $ref (default: schema), maxErrors: 50 }
+ * @returns {Array} Violations [{ path, keyword, category, message }] - empty if valid
+ *
+ * Example:
+ * validateSchema({ type: 'object', required: ['id'] }, { name: 'x' })
+ * // [{ path: '', keyword: 'required', category: 'required', message: "missing property 'id'" }]
+ */
+export function validateSchema(schema, value, options = {}) {
+  const errors = [];
+  const context = {
+    root: options.root || schema,
+    maxErrors: options.maxErrors || 50,
+    errors
+  };
+
+  validateNode(schema, value, '', context);
+  return errors.slice(0, context.maxErrors);
+}
+
+/**
+ * Check if value is valid against schema
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} options - See validateSchema()
+ * @returns {boolean} True if valid
+ */
+export function isValid(schema, value, options = {}) {
+  return validateSchema(schema, value, { ...options, maxErrors: 1 }).length === 0;
+}
+
+/**
+ * Group violations by category
+ * @param {Array} errors - Violations from validateSchema()
+ * @returns {Object} { category: [violations] }
+ */
+export function groupByCategory(errors) {
+  return errors.reduce((groups, error) => {
+    (groups[error.category] = groups[error.category] || []).push(error);
+    return groups;
+  }, {});
+}
+
+/**
+ * Categories a schema can report (keywords used anywhere in it)
+ * @param {Object} schema - JSON Schema
+ * @param {Object} root - Document for $ref (default: schema)
+ * @returns {Array} Category names, sorted
+ */
+export function schemaCategories(schema, root = schema) {
+  const found = new Set();
+  const seen = new Set();
+
+  const walk = (node) => {
+    if (!node || typeof node !== 'object' || seen.has(node)) return;
+    seen.add(node);
+
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    Object.keys(node).forEach(key => {
+      // additionalProperties only fails on its own when it is false
+      if (CATEGORIES[key] && (key !== 'additionalProperties' || node[key] === false)) {
+        found.add(CATEGORIES[key]);
+      }
+    });
+    if (node.$ref) {
+      walk(resolveRef(root, node.$ref));
+    }
+    ['properties', 'definitions'].forEach(key => node[key] && Object.values(node[key]).forEach(walk));
+    ['items', 'additionalProperties', 'not', 'allOf', 'anyOf', 'oneOf'].forEach(key => walk(node[key]));
+  };
+
+  walk(schema);
+  return [...found].sort();
+}
+
+function addError(context, path, keyword, message) {
+  context.errors.push({ path, keyword, category: CATEGORIES[keyword], message });
+}
+
+/**
+ * Validate one node (recursive)
+ * @param {Object|boolean} schema - Schema for this node
+ * @param {*} value - Value at this node
+ * @param {string} path - JSON pointer of the value
+ * @param {Object} context - { root, maxErrors, errors }
+ */
+function validateNode(schema, value, path, context) {
+  if (context.errors.length >= context.maxErrors || schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    addError(context, path, 'not', 'no value allowed');
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(resolveRef(context.root, schema.$ref), value, path, context);
+    return;
+  }
+
+  if (value === null && schema.nullable === true) {
+    return;
+  }
+
+  if (schema.type !== undefined && !matchesType(value, schema.type)) {
+    addError(context, path, 'type', `expected ${[].concat(schema.type).join('|')}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    addError(context, path, 'enum', `${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    addError(context, path, 'const', `expected ${JSON.stringify(schema.const)}`);
+  }
+
+  validateComposition(schema, value, path, context);
+
+  switch (typeOf(value)) {
+    case 'object':
+      validateObject(schema, value, path, context);
+      break;
+    case 'array':
+      validateArray(schema, value, path, context);
+      break;
+    case 'string':
+      validateString(schema, value, path, context);
+      break;
+    case 'integer':
+    case 'number':
+      validateNumber(schema, value, path, context);
+      break;
+  }
+}
+
+function validateObject(schema, value, path, context) {
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined) {
+      addError(context, path, 'required', `missing property '${key}'`);
+    }
+  });
+
+  const properties = schema.properties || {};
+  Object.keys(value).forEach(key => {
+    if (properties[key] !== undefined) {
+      validateNode(properties[key], value[key], pointer(path, key), context);
+    } else if (schema.additionalProperties === false) {
+      addError(context, pointer(path, key), 'additionalProperties', `unexpected property '${key}'`);
+    } else if (typeof schema.additionalProperties === 'object') {
+      validateNode(schema.additionalProperties, value[key], pointer(path, key), context);
+    }
+  });
+}
+
+function validateArray(schema, value, path, context) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    addError(context, path, 'minItems', `expected at least ${schema.minItems} items, got ${value.length}`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    addError(context, path, 'maxItems', `expected at most ${schema.maxItems} items, got ${value.length}`);
+  }
+  if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => deepEqual(item, other)) !== i)) {
+    addError(context, path, 'uniqueItems', 'items are not unique');
+  }
+  if (schema.items && !Array.isArray(schema.items)) {
+    value.forEach((item, i) => validateNode(schema.items, item, pointer(path, i), context));
+  }
+}
+
+function validateString(schema, value, path, context) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    addError(context, path, 'minLength', `shorter than ${schema.minLength}`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    addError(context, path, 'maxLength', `longer than ${schema.maxLength}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    addError(context, path, 'pattern', `does not match ${schema.pattern}`);
+  }
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+    addError(context, path, 'format', `${JSON.stringify(value)} is not a valid ${schema.format}`);
+  }
+}
+
+function validateNumber(schema, value, path, context) {
+  const limits = [
+    ['minimum', v => v < schema.minimum, `less than ${schema.minimum}`],
+    ['maximum', v => v > schema.maximum, `greater than ${schema.maximum}`],
+    ['exclusiveMinimum', v => v <= schema.exclusiveMinimum, `not greater than ${schema.exclusiveMinimum}`],
+    ['exclusiveMaximum', v => v >= schema.exclusiveMaximum, `not less than ${schema.exclusiveMaximum}`],
+    ['multipleOf', v => Math.abs(v / schema.multipleOf - Math.round(v / schema.multipleOf)) > 1e-9,
+      `not a multiple of ${schema.multipleOf}`]
+  ];
+
+  limits.forEach(([keyword, violates, message]) => {
+    // Draft-04 style boolean exclusiveMinimum/Maximum is not supported
+    if (typeof schema[keyword] === 'number' && violates(value)) {
+      addError(context, path, keyword, `${value} is ${message}`);
+    }
+  });
+}
+
+function validateComposition(schema, value, path, context) {
+  const passes = (subschema) => {
+    const nested = { ...context, errors: [], maxErrors: 1 };
+    validateNode(subschema, value, path, nested);
+    return nested.errors.length === 0;
+  };
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => validateNode(subschema, value, path, context));
+  }
+  if (schema.anyOf && !schema.anyOf.some(passes)) {
+    addError(context, path, 'anyOf', 'does not match any of the schemas');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(passes).length;
+    if (matches !== 1) {
+      addError(context, path, 'oneOf', `matches ${matches} schemas, expected exactly 1`);
+    }
+  }
+  if (schema.not && passes(schema.not)) {
+    addError(context, path, 'not', 'matches a schema it must not match');
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * @file Rate-limit awareness
+ * @description Classify 429 responses, record rate-limit headers, optional throttling
+ *
+ * Pattern: Observe every response, act only when RATE_LIMIT_CONFIG asks for it
+ *
+ * Metrics (tagged with the endpoint tags of the request):
+ * - http_req_rate_limited:     Rate of requests answered with 429
+ * - http_ratelimit_remaining:  X-RateLimit-Remaining reported by the API
+ * - http_ratelimit_paused:     Seconds a VU paused waiting for the window to reset
+ *
+ * With RATE_LIMIT_EXCLUDE=true, 429 is an expected status for k6, so it
+ * stays out of http_req_failed and the error-rate SLOs built on it.
+ *
+ * Usage (thresholds):
+ *   http_req_rate_limited: ['rate<0.05']  // the gateway throttled us
+ *   http_req_failed: ['rate<0.01']        // the service is broken
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import { RATE_LIMIT_CONFIG } from '../config/env.js';
+import { logError } from '../helpers/common.js';
+import { getHeader, parseRetryAfter } from './retry.js';
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+const rateLimited = new Rate('http_req_rate_limited');
+const remaining = new Trend('http_ratelimit_remaining');
+const paused = new Trend('http_ratelimit_paused');
+
+// Per-VU flag so throttling is reported once, not per request
+let warningLogged = false;
+
+// Response callback is global per VU - set once when the module loads
+if (RATE_LIMIT_CONFIG.excludeFromErrors) {
+  http.setResponseCallback(http.expectedStatuses({ min: 200, max: 399 }, 429));
+}
+
+// =============================================================================
+// HEADERS
+// =============================================================================
+
+/**
+ * Parse numeric header
+ * @param {Object} res - k6 response object
+ * @param {string} name - Header name
+ * @returns {number|null} Value or null if missing/invalid
+ */
+function numericHeader(res, name) {
+  const value = parseFloat(getHeader(res, name));
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Read rate-limit state from response headers
+ * @param {Object} res - k6 response object
+ * @returns {Object} { limited, limit, remaining, resetIn } - null for headers not sent
+ *
+ * resetIn is in seconds: Retry-After wins, then X-RateLimit-Reset
+ * (epoch seconds are converted to seconds from now).
+ *
+ * Example:
+ * rateLimitState(res) // { limited: true, limit: 100, remaining: 0, resetIn: 12 }
+ */
+export function rateLimitState(res) {
+  const { headers } = RATE_LIMIT_CONFIG;
+  let resetIn = parseRetryAfter(getHeader(res, headers.retryAfter));
+
+  if (resetIn === null) {
+    const reset = numericHeader(res, headers.reset);
+    if (reset !== null) {
+      // Values this large are a timestamp, not a delay
+      resetIn = reset > 1e9 ? Math.max(0, reset - Date.now() / 1000) : reset;
+    }
+  }
+
+  return {
+    limited: res.status === 429,
+    limit: numericHeader(res, headers.limit),
+    remaining: numericHeader(res, headers.remaining),
+    resetIn
+  };
+}
+
+// =============================================================================
+// OBSERVATION
+// =============================================================================
+
+/**
+ * Record rate-limit metrics for a response
+ * @param {Object} res - k6 response object
+ * @param {Object} tags - Tags for the metrics (e.g. endpoint tags)
+ * @returns {Object} State from rateLimitState()
+ *
+ * Called for every attempt made by utils/http-utils.js.
+ */
+export function recordRateLimit(res, tags = {}) {
+  const state = rateLimitState(res);
+
+  rateLimited.add(state.limited, tags);
+  if (state.remaining !== null) {
+    remaining.add(state.remaining, tags);
+  }
+
+  if (state.limited && !warningLogged) {
+    warningLogged = true;
+    logError('rate-limit', `${res.url} throttled with 429 (reset in ${state.resetIn ?? '?'}s) - ` +
+      'further 429s are counted in http_req_rate_limited, not logged');
+  }
+
+  return state;
+}
+
+/**
+ * Pause VU until the rate-limit window resets (RATE_LIMIT_PAUSE=true)
+ * @param {Object} res - Final response of the request
+ * @param {Object} tags - Tags for http_ratelimit_paused
+ * @returns {number} Seconds paused (0 if no pause)
+ *
+ * Pauses after a 429, or when X-RateLimit-Remaining drops to
+ * RATE_LIMIT_MIN_REMAINING - only if the API says when the window resets.
+ */
+export function pauseIfLimited(res, tags = {}) {
+  if (!RATE_LIMIT_CONFIG.pause) {
+    return 0;
+  }
+
+  const state = rateLimitState(res);
+  const exhausted = state.remaining !== null && state.remaining <= RATE_LIMIT_CONFIG.minRemaining;
+
+  if ((!state.limited && !exhausted) || !state.resetIn) {
+    return 0;
+  }
+
+  const seconds = Math.min(state.resetIn, RATE_LIMIT_CONFIG.maxPauseSeconds);
+  paused.add(seconds, tags);
+  sleep(seconds);
+
+  return seconds;
+}
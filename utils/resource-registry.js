@@ -0,0 +1,167 @@
+/**
+ * @file Created-resource registry
+ * @description Track resources created during a run so they can be deleted afterwards
+ *
+ * Pattern: Append-only records keyed by RUN_ID, shared across VUs via an external sink
+ *
+ * VU state cannot flow back to setup()/teardown(), so every created resource
+ * is written to a sink outside k6 (see CLEANUP_CONFIG in config/env.js):
+ * - log:     `CLEANUP_RESOURCE [...]` line in the k6 log, one per creating request
+ * - tracker: POST to the tracking server from scripts/cleanup.js
+ *
+ * post()/batchPost() in utils/http-utils.js call trackCreated() for every
+ * successful request to an endpoint with a `cleanup` entry in ENDPOINTS.
+ *
+ * Tracker requests are tagged `traffic:internal`, so they stay out of the
+ * test thresholds (see TRAFFIC_TAGS).
+ */
+
+import http from 'k6/http';
+import { CLEANUP_CONFIG, ENDPOINTS, RUN_ID, TRAFFIC_TAGS } from '../config/env.js';
+import { resolveEndpoint } from '../helpers/endpoints.js';
+
+// Marker parsed by scripts/cleanup.js - keep in sync
+export const CLEANUP_MARKER = 'CLEANUP_RESOURCE';
+
+// Per-VU flag so an unreachable tracker is reported once, not per request
+let trackerErrorLogged = false;
+
+// =============================================================================
+// ID EXTRACTION
+// =============================================================================
+
+/**
+ * Extract IDs of created resources from response
+ * @param {Object} res - k6 response object
+ * @returns {Array} IDs from `{ id }`, `[{ id }]`, `{ items: [{ id }] }` or `{ ids: [] }`
+ */
+function extractCreatedIds(res) {
+  let data;
+  try {
+    data = res.json();
+  } catch (e) {
+    return [];
+  }
+
+  if (!data) {
+    return [];
+  }
+
+  const items = Array.isArray(data) ? data : data.items;
+  if (Array.isArray(items)) {
+    return items.map(item => item?.id).filter(id => id !== null && id !== undefined);
+  }
+  if (Array.isArray(data.ids)) {
+    return data.ids;
+  }
+  return data.id !== null && data.id !== undefined ? [data.id] : [];
+}
+
+/**
+ * Build delete path for created resource
+ * @param {string} endpointName - Delete endpoint name from ENDPOINTS
+ * @param {*} id - Resource ID
+ * @returns {string} Path like '/products/42'
+ */
+function deletePath(endpointName, id) {
+  return ENDPOINTS[endpointName].path.replace(/\{[^}]+\}/, encodeURIComponent(id));
+}
+
+// =============================================================================
+// SINKS
+// =============================================================================
+
+/**
+ * Register resources created by one request in the configured sink
+ * @param {Array} resources - Resources { path, role, endpoint } - path is the DELETE path
+ *
+ * Writes one log line / tracker request per call, however many resources
+ * a bulk create returned.
+ *
+ * Example:
+ * registerResources([{ path: '/products/42', role: 'ADMIN', endpoint: 'products.delete' }])
+ */
+export function registerResources(resources) {
+  if (resources.length === 0) {
+    return;
+  }
+
+  const createdAt = new Date().toISOString();
+  const records = resources.map(resource => ({ runId: RUN_ID, method: 'DELETE', ...resource, createdAt }));
+
+  if (CLEANUP_CONFIG.sink === 'log') {
+    console.log(`${CLEANUP_MARKER} ${JSON.stringify(records)}`);
+  } else if (CLEANUP_CONFIG.sink === 'tracker') {
+    const res = http.post(`${CLEANUP_CONFIG.tracker}/resources`, JSON.stringify(records), {
+      headers: { 'Content-Type': 'application/json' },
+      tags: { name: 'cleanup-tracker', ...TRAFFIC_TAGS.internal }
+    });
+    if (res.status !== 204 && !trackerErrorLogged) {
+      trackerErrorLogged = true;
+      console.error(`ERROR [cleanup]: Tracker ${CLEANUP_CONFIG.tracker} rejected resource (status ${res.status})`);
+    }
+  }
+}
+
+/**
+ * Track resources created by a request
+ * @param {string} path - Request path
+ * @param {Object} res - k6 response object
+ * @param {string} role - Role that created the resources (used to delete them)
+ * @returns {number} Number of resources tracked
+ */
+export function trackCreated(path, res, role) {
+  if (CLEANUP_CONFIG.sink === 'off' || res.status < 200 || res.status >= 300) {
+    return 0;
+  }
+
+  const endpoint = resolveEndpoint('POST', path);
+  const cleanup = endpoint && ENDPOINTS[endpoint.name].cleanup;
+  if (!cleanup) {
+    return 0;
+  }
+
+  const ids = extractCreatedIds(res);
+  registerResources(ids.map(id => ({ path: deletePath(cleanup, id), role, endpoint: cleanup })));
+  return ids.length;
+}
+
+// =============================================================================
+// TRACKER QUERIES
+// =============================================================================
+
+/**
+ * Get resources of a run that are not deleted yet (tracker sink only)
+ * @param {string} runId - Run ID (defaults to current RUN_ID)
+ * @returns {Array|null} Resources { path, role, endpoint } or null without a tracker
+ */
+export function fetchTrackedResources(runId = RUN_ID) {
+  if (!CLEANUP_CONFIG.tracker) {
+    return null;
+  }
+
+  const res = http.get(`${CLEANUP_CONFIG.tracker}/runs/${encodeURIComponent(runId)}`, {
+    tags: { name: 'cleanup-tracker', ...TRAFFIC_TAGS.internal }
+  });
+  if (res.status !== 200) {
+    console.error(`ERROR [cleanup]: Tracker ${CLEANUP_CONFIG.tracker} returned status ${res.status}`);
+    return null;
+  }
+  return res.json();
+}
+
+/**
+ * Mark resources as deleted in the tracker
+ * @param {Array} paths - Deleted resource paths
+ * @param {string} runId - Run ID (defaults to current RUN_ID)
+ */
+export function markDeleted(paths, runId = RUN_ID) {
+  if (!CLEANUP_CONFIG.tracker || paths.length === 0) {
+    return;
+  }
+
+  http.post(`${CLEANUP_CONFIG.tracker}/runs/${encodeURIComponent(runId)}/deleted`, JSON.stringify({ paths }), {
+    headers: { 'Content-Type': 'application/json' },
+    tags: { name: 'cleanup-tracker', ...TRAFFIC_TAGS.internal }
+  });
+}
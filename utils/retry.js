@@ -0,0 +1,176 @@
+/**
+ * @file Retry with backoff
+ * @description Opt-in retries for the HTTP wrappers in utils/http-utils.js
+ *
+ * Pattern: Exponential backoff with jitter, Retry-After honoured on 429/503
+ *
+ * Retries are off unless a policy is selected (see RETRY_POLICIES in
+ * config/env.js), so load measurements stay honest by default.
+ * Every attempt is a real request in http_reqs/http_req_duration;
+ * retry attempts carry the tag `retry:<n>` and are counted separately:
+ *
+ * - http_retries:          Retry attempts made
+ * - http_retry_recovered:  Requests that succeeded after retrying
+ * - http_retry_exhausted:  Requests that retried and still failed
+ *
+ * Usage:
+ *   get('/products', 'USER', 'setup-products', { retry: 'setup' });
+ *   buildScenario(profile, { exec: 'listTest', env: { RETRY_POLICY: 'default' } });
+ */
+
+import { sleep } from 'k6';
+import { Counter } from 'k6/metrics';
+import { RETRY_POLICIES } from '../config/env.js';
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+const retries = new Counter('http_retries');
+const recovered = new Counter('http_retry_recovered');
+const exhausted = new Counter('http_retry_exhausted');
+
+// Statuses whose Retry-After header is honoured
+const RETRY_AFTER_STATUSES = [429, 503];
+
+// =============================================================================
+// POLICY
+// =============================================================================
+
+/**
+ * Resolve retry policy for a request
+ * @param {string|Object|boolean} retry - Policy name, policy overrides, true (default) or false (off)
+ * @returns {Object|null} Policy or null when retries are off
+ *
+ * Without a per-call value the scenario's RETRY_POLICY env var is used
+ * (read per call - scenario `env` is only visible during iterations).
+ *
+ * Example:
+ * resolveRetryPolicy({ maxRetries: 5 }) // default policy with 5 retries
+ */
+export function resolveRetryPolicy(retry) {
+  const value = retry !== undefined ? retry : __ENV.RETRY_POLICY;
+
+  if (!value || value === 'none' || value === 'false') {
+    return null;
+  }
+  if (value === true) {
+    return RETRY_POLICIES.default;
+  }
+  if (typeof value === 'object') {
+    return { ...RETRY_POLICIES.default, ...value };
+  }
+  if (!RETRY_POLICIES[value]) {
+    throw new Error(`Unknown retry policy '${value}' (use: ${Object.keys(RETRY_POLICIES).join(', ')})`);
+  }
+
+  return { ...RETRY_POLICIES.default, ...RETRY_POLICIES[value] };
+}
+
+/**
+ * Check if response should be retried
+ * @param {Object} policy - Retry policy
+ * @param {string} method - HTTP method
+ * @param {Object} res - k6 response object
+ * @returns {boolean} True for network errors and policy statuses on retried methods
+ */
+function isRetryable(policy, method, res) {
+  if (!policy.methods.includes(method)) {
+    return false;
+  }
+  return res.status === 0 || policy.statuses.includes(res.status);
+}
+
+// =============================================================================
+// DELAYS
+// =============================================================================
+
+/**
+ * Get response header regardless of case
+ * @param {Object} res - k6 response object
+ * @param {string} name - Header name
+ * @returns {string|null} Header value or null
+ */
+export function getHeader(res, name) {
+  const wanted = name.toLowerCase();
+  const key = Object.keys(res.headers || {}).find(header => header.toLowerCase() === wanted);
+  return key ? res.headers[key] : null;
+}
+
+/**
+ * Parse Retry-After header
+ * @param {string} value - Delay in seconds or HTTP date
+ * @returns {number|null} Delay in seconds or null if missing/invalid
+ *
+ * Example: parseRetryAfter('120') => 120
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Delay before next retry
+ * @param {Object} policy - Retry policy
+ * @param {number} retry - Retry number (1-based)
+ * @param {Object} res - Response of the failed attempt
+ * @returns {number} Delay in seconds for k6 sleep()
+ */
+export function retryDelay(policy, retry, res) {
+  if (RETRY_AFTER_STATUSES.includes(res.status)) {
+    const retryAfter = parseRetryAfter(getHeader(res, 'Retry-After'));
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxRetryAfter);
+    }
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, retry - 1));
+  return backoff * (1 - policy.jitter * Math.random());
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+/**
+ * Run request with retries
+ * @param {Object|null} policy - Policy from resolveRetryPolicy() (null = single attempt)
+ * @param {string} method - HTTP method
+ * @param {Function} attempt - Sends the request: (retry) => response, retry is 0 for the first attempt
+ * @param {Object} tags - Tags for retry metrics (e.g. endpoint tags)
+ * @returns {Object} k6 response of the last attempt
+ *
+ * Example:
+ * withRetry(policy, 'GET', (retry) => http.get(url, { tags: retry ? { retry: String(retry) } : {} }))
+ */
+export function withRetry(policy, method, attempt, tags = {}) {
+  let res = attempt(0);
+
+  if (!policy) {
+    return res;
+  }
+
+  let retry = 0;
+  while (retry < policy.maxRetries && isRetryable(policy, method, res)) {
+    retry++;
+    sleep(retryDelay(policy, retry, res));
+    retries.add(1, { ...tags, status: String(res.status) });
+    res = attempt(retry);
+  }
+
+  if (retry > 0) {
+    if (res.status === 0 || res.status >= 400) {
+      exhausted.add(1, tags);
+    } else {
+      recovered.add(1, tags);
+    }
+  }
+
+  return res;
+}
@@ -0,0 +1,337 @@
+/**
+ * @file SLO compliance report
+ * @description Evaluate end-of-test metrics against ENDPOINT_SLO / DEFAULT_SLO
+ *
+ * Pattern: Pure functions over k6 handleSummary() data
+ *
+ * Works on the endpoint-tagged submetrics created by
+ * generateEndpointThresholds() - an endpoint without thresholds has no
+ * submetric in the summary and is reported as "no data".
+ */
+
+import { TEST_TRAFFIC_FILTERS, getAllEndpointSlo, testTrafficKey } from '../config/slo.js';
+
+// =============================================================================
+// METRIC EXTRACTION
+// =============================================================================
+
+/**
+ * Split submetric key into metric, tag and value
+ * @param {string} key - Metric key like 'http_req_duration{endpoint:products.list}'
+ * @returns {Object|null} { metric, tag, value } or null for plain/multi-tag metrics
+ *
+ * The `traffic:test` filter of testTrafficKey() is ignored, so
+ * 'http_req_failed{test_type:create,traffic:test}' is a test_type submetric.
+ */
+function parseMetricKey(key) {
+  const match = key.match(/^([^{]+)\{(.+)\}$/);
+  const filters = match ? match[2].split(',').filter(filter => !TEST_TRAFFIC_FILTERS.includes(filter)) : [];
+  const tag = filters.length === 1 ? filters[0].match(/^([^:]+):(.+)$/) : null;
+  return tag ? { metric: match[1], tag: tag[1], value: tag[2] } : null;
+}
+
+/**
+ * Round number for reports
+ * @param {number} value - Value to round
+ * @param {number} digits - Decimal places
+ * @returns {number|null} Rounded value or null if not a number
+ */
+function round(value, digits = 2) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Collect request stats per value of a tag
+ * @param {Object} data - k6 handleSummary data
+ * @param {string} tag - Tag name ('endpoint', 'test_type', 'scenario'...)
+ * @returns {Object} Stats keyed by tag value:
+ *   { requests, failures, errorRate, throughput, avg, p50, p90, p95, p99, max }
+ */
+export function collectTaggedStats(data, tag) {
+  const groups = {};
+
+  Object.entries(data.metrics || {}).forEach(([key, metric]) => {
+    const parsed = parseMetricKey(key);
+    if (!parsed || parsed.tag !== tag) {
+      return;
+    }
+    groups[parsed.value] = groups[parsed.value] || {};
+    groups[parsed.value][parsed.metric] = metric.values || {};
+  });
+
+  const durationSeconds = (data.state?.testRunDurationMs || 0) / 1000;
+  const stats = {};
+
+  Object.entries(groups).forEach(([value, metrics]) => {
+    const duration = metrics.http_req_duration || {};
+    const failed = metrics.http_req_failed;
+    const requests = failed
+      ? (failed.passes || 0) + (failed.fails || 0)
+      : metrics.http_reqs?.count ?? null;
+
+    stats[value] = {
+      requests,
+      failures: failed ? failed.passes || 0 : null,
+      errorRate: failed ? round(failed.rate, 5) : null,
+      throughput: requests !== null && durationSeconds > 0 ? round(requests / durationSeconds) : null,
+      avg: round(duration.avg),
+      p50: round(duration.med),
+      p90: round(duration['p(90)']),
+      p95: round(duration['p(95)']),
+      p99: round(duration['p(99)']),
+      max: round(duration.max)
+    };
+  });
+
+  return stats;
+}
+
+// =============================================================================
+// SLO EVALUATION
+// =============================================================================
+
+/**
+ * Compute error budget for endpoint
+ * @param {number} requests - Total requests
+ * @param {number} failures - Failed requests
+ * @param {number} errorRate - Allowed error rate from SLO
+ * @returns {Object} { allowedFailures, failures, remainingFailures, remainingPercent }
+ *
+ * remainingPercent drops below 0 when the budget is overspent.
+ */
+function errorBudget(requests, failures, errorRate) {
+  const allowedFailures = requests * errorRate;
+  const remainingFailures = allowedFailures - failures;
+  let remainingPercent = 100;
+
+  if (allowedFailures > 0) {
+    remainingPercent = (remainingFailures / allowedFailures) * 100;
+  } else if (failures > 0) {
+    remainingPercent = -100;
+  }
+
+  return {
+    allowedFailures: round(allowedFailures),
+    failures,
+    remainingFailures: round(remainingFailures),
+    remainingPercent: round(remainingPercent, 1)
+  };
+}
+
+/**
+ * Compare measured value with SLO target
+ * @param {string} name - Objective name (p95, p99, errorRate)
+ * @param {number} target - SLO target (exclusive upper bound, like k6 thresholds)
+ * @param {number|null} actual - Measured value
+ * @returns {Object} { name, target, actual, status } with status pass|fail|no-data
+ */
+function objective(name, target, actual) {
+  let status = 'no-data';
+  if (actual !== null && actual !== undefined) {
+    status = actual < target ? 'pass' : 'fail';
+  }
+  return { name, target, actual, status };
+}
+
+/**
+ * Build SLO compliance report from handleSummary data
+ * @param {Object} data - k6 handleSummary data
+ * @param {Object} meta - Extra run information (test name, host, profile...)
+ * @returns {Object} Report { meta, passed, totals, endpoints, scenarios, thresholds }
+ */
+export function buildSloReport(data, meta = {}) {
+  const endpointStats = collectTaggedStats(data, 'endpoint');
+  const endpoints = [];
+
+  Object.entries(getAllEndpointSlo()).forEach(([name, slo]) => {
+    const stats = endpointStats[name];
+
+    if (!stats || !stats.requests) {
+      endpoints.push({ name, slo, status: 'no-data', objectives: [] });
+      return;
+    }
+
+    const objectives = [
+      objective('p95', slo.p95, stats.p95),
+      objective('p99', slo.p99, stats.p99),
+      objective('errorRate', slo.errorRate, stats.errorRate)
+    ];
+
+    endpoints.push({
+      name,
+      slo,
+      stats,
+      budget: stats.failures !== null ? errorBudget(stats.requests, stats.failures, slo.errorRate) : null,
+      objectives,
+      status: objectives.some(o => o.status === 'fail') ? 'fail' : 'pass'
+    });
+  });
+
+  const thresholds = [];
+  Object.entries(data.metrics || {}).forEach(([metric, values]) => {
+    Object.entries(values.thresholds || {}).forEach(([expression, result]) => {
+      thresholds.push({ metric, expression, status: result.ok ? 'pass' : 'fail' });
+    });
+  });
+
+  const requests = data.metrics?.http_reqs?.values || {};
+  // Error rate of the test's own requests when thresholds created that submetric
+  const failed = (data.metrics?.[testTrafficKey('http_req_failed')] || data.metrics?.http_req_failed)?.values || {};
+  const checks = data.metrics?.checks?.values || {};
+
+  return {
+    meta: {
+      generatedAt: new Date().toISOString(),
+      durationMs: round(data.state?.testRunDurationMs || 0, 0),
+      ...meta
+    },
+    passed: endpoints.every(e => e.status !== 'fail') && thresholds.every(t => t.status === 'pass'),
+    totals: {
+      requests: requests.count || 0,
+      throughput: round(requests.rate),
+      errorRate: round(failed.rate, 5),
+      checksPassRate: round(checks.rate, 4)
+    },
+    endpoints,
+    scenarios: collectTaggedStats(data, 'test_type'),
+    thresholds
+  };
+}
+
+// =============================================================================
+// RENDERERS
+// =============================================================================
+
+/**
+ * Format value for text table
+ * @param {*} value - Value
+ * @param {string} suffix - Unit suffix
+ * @returns {string} Formatted value or '-'
+ */
+function fmt(value, suffix = '') {
+  return value === null || value === undefined ? '-' : `${value}${suffix}`;
+}
+
+/**
+ * Render report as human-readable text
+ * @param {Object} report - Report from buildSloReport()
+ * @returns {string} Text summary
+ */
+export function renderSloText(report) {
+  const line = '='.repeat(100);
+  const rows = [
+    line,
+    `SLO COMPLIANCE: ${report.passed ? 'PASSED' : 'FAILED'}`,
+    line,
+    `Test: ${report.meta.test || '-'}   Host: ${report.meta.host || '-'}   Profile: ${report.meta.profile || '-'}`,
+    `Requests: ${report.totals.requests}   Throughput: ${fmt(report.totals.throughput, '/s')}   ` +
+      `Error rate: ${fmt(report.totals.errorRate !== null ? round(report.totals.errorRate * 100, 3) : null, '%')}   ` +
+      `Checks: ${fmt(report.totals.checksPassRate !== null ? round(report.totals.checksPassRate * 100, 2) : null, '%')}`,
+    '',
+    [
+      'ENDPOINT'.padEnd(22), 'STATUS'.padEnd(8), 'REQS'.padStart(7),
+      'P95 (SLO)'.padStart(18), 'P99 (SLO)'.padStart(18), 'ERR% (SLO)'.padStart(16), 'BUDGET LEFT'.padStart(12)
+    ].join(' ')
+  ];
+
+  report.endpoints
+    .filter(endpoint => endpoint.status !== 'no-data')
+    .forEach(endpoint => {
+      const { stats, slo, budget } = endpoint;
+      rows.push([
+        endpoint.name.padEnd(22),
+        endpoint.status.toUpperCase().padEnd(8),
+        String(stats.requests).padStart(7),
+        `${fmt(stats.p95, 'ms')} (<${slo.p95})`.padStart(18),
+        `${fmt(stats.p99, 'ms')} (<${slo.p99})`.padStart(18),
+        `${fmt(stats.errorRate !== null ? round(stats.errorRate * 100, 3) : null)} (<${round(slo.errorRate * 100, 3)})`.padStart(16),
+        fmt(budget?.remainingPercent, '%').padStart(12)
+      ].join(' '));
+    });
+
+  const noData = report.endpoints.filter(endpoint => endpoint.status === 'no-data');
+  if (noData.length > 0) {
+    rows.push('', `No traffic: ${noData.map(endpoint => endpoint.name).join(', ')}`);
+  }
+
+  const failedThresholds = report.thresholds.filter(t => t.status === 'fail');
+  rows.push('', `Thresholds: ${report.thresholds.length - failedThresholds.length}/${report.thresholds.length} passed`);
+  failedThresholds.forEach(t => rows.push(`  ✗ ${t.metric}: ${t.expression}`));
+
+  rows.push(line, '');
+  return rows.join('\n');
+}
+
+/**
+ * Escape text for XML
+ * @param {*} value - Value to escape
+ * @returns {string} XML-safe string
+ */
+function xml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render report as JUnit XML
+ * @param {Object} report - Report from buildSloReport()
+ * @returns {string} JUnit XML document
+ *
+ * One test case per endpoint objective (p95, p99, errorRate) and per
+ * k6 threshold; breaches are failures, endpoints without traffic are skipped.
+ */
+export function renderSloJUnit(report) {
+  const suiteName = report.meta.test || 'k6';
+  const seconds = round((report.meta.durationMs || 0) / 1000, 3);
+
+  const sloCases = [];
+  report.endpoints.forEach(endpoint => {
+    if (endpoint.status === 'no-data') {
+      sloCases.push(`    <testcase classname="${xml(suiteName)}.slo" name="${xml(endpoint.name)}"><skipped message="no traffic"/></testcase>`);
+      return;
+    }
+
+    endpoint.objectives.forEach(o => {
+      const name = `${endpoint.name} ${o.name} < ${o.target}`;
+      if (o.status === 'fail') {
+        sloCases.push(
+          `    <testcase classname="${xml(suiteName)}.slo" name="${xml(name)}">` +
+          `<failure message="${xml(`${o.name} was ${o.actual}, SLO is < ${o.target}`)}"/></testcase>`
+        );
+      } else if (o.status === 'no-data') {
+        sloCases.push(`    <testcase classname="${xml(suiteName)}.slo" name="${xml(name)}"><skipped message="metric not in summary"/></testcase>`);
+      } else {
+        sloCases.push(`    <testcase classname="${xml(suiteName)}.slo" name="${xml(name)}"/>`);
+      }
+    });
+  });
+
+  const thresholdCases = report.thresholds.map(t => {
+    const name = `${t.metric}: ${t.expression}`;
+    return t.status === 'fail'
+      ? `    <testcase classname="${xml(suiteName)}.thresholds" name="${xml(name)}"><failure message="threshold crossed"/></testcase>`
+      : `    <testcase classname="${xml(suiteName)}.thresholds" name="${xml(name)}"/>`;
+  });
+
+  const count = (cases, marker) => cases.filter(c => c.includes(marker)).length;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xml(suiteName)}" time="${seconds}">`,
+    `  <testsuite name="${xml(suiteName)} SLO" tests="${sloCases.length}" failures="${count(sloCases, '<failure')}" skipped="${count(sloCases, '<skipped')}" time="${seconds}">`,
+    ...sloCases,
+    '  </testsuite>',
+    `  <testsuite name="${xml(suiteName)} thresholds" tests="${thresholdCases.length}" failures="${count(thresholdCases, '<failure')}" time="${seconds}">`,
+    ...thresholdCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
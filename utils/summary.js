@@ -0,0 +1,104 @@
+/**
+ * @file End-of-test summary
+ * @description Shared handleSummary() writing SLO text, JSON, JUnit and HTML reports
+ *
+ * Pattern: Re-export from every test so all runs produce the same artefacts
+ *
+ * Usage (in a test file):
+ *   export { handleSummary } from '../../utils/summary.js';
+ *
+ * Output files (prefix from REPORT_PREFIX, set by run.sh):
+ *   <prefix>.summary.txt  - human-readable SLO summary (also printed to stdout)
+ *   <prefix>.report.json  - machine-readable SLO report
+ *   <prefix>.junit.xml    - JUnit XML, SLO breaches as failed test cases
+ *   <prefix>.html         - self-contained HTML dashboard (no external assets)
+ *
+ * Exporting handleSummary() turns off k6's own end-of-test summary, so
+ * stdout gets it back from textSummary() (utils/text-summary.js), followed by
+ * the SLO summary.
+ */
+
+import exec from 'k6/execution';
+import { CURRENT_HOST, getProfile, getProfileName } from '../config/env.js';
+import { describeProfile, describeScenarios } from '../helpers/scenarios.js';
+import { buildSloReport, renderSloText, renderSloJUnit } from './slo-report.js';
+import { renderHtmlReport } from './html-report.js';
+import { textSummary } from './text-summary.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Trend stats needed by the reports (p99 is not in k6 defaults)
+ * Add to options: { summaryTrendStats: SUMMARY_TREND_STATS }
+ */
+export const SUMMARY_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'];
+
+/**
+ * Get file prefix for report outputs
+ * @returns {string} Path prefix without extension
+ *
+ * Usage: k6 run -e REPORT_PREFIX=results/get-endpoint_LIGHT_20240101 script.js
+ */
+export function getReportPrefix() {
+  if (__ENV.REPORT_PREFIX) {
+    return __ENV.REPORT_PREFIX;
+  }
+  return `${__ENV.RESULTS_DIR || 'results'}/${__ENV.TEST_NAME || 'summary'}`;
+}
+
+/**
+ * Get run information for report headers
+ * @returns {Object} { test, host, profile }
+ */
+export function getRunMeta() {
+  return {
+    test: __ENV.TEST_NAME || 'k6',
+    host: CURRENT_HOST,
+    profile: getProfileName()
+  };
+}
+
+/**
+ * Get load configuration of the test for report headers
+ * @returns {Object} { executor, maxVUs, duration, load }
+ *
+ * Describes the scenarios k6 actually runs, so scaled profiles
+ * (buildScenario(profile, { scale })) and traffic mixes are reported as run.
+ * Falls back to the selected profile outside k6 execution context.
+ */
+export function getRunConfig() {
+  try {
+    const scenarios = exec.test.options.scenarios;
+    if (scenarios && Object.keys(scenarios).length > 0) {
+      return describeScenarios(scenarios);
+    }
+  } catch (e) {
+    // exec.test is not available (e.g. older k6) - use the profile
+  }
+  return describeProfile(getProfile());
+}
+
+// =============================================================================
+// HANDLE SUMMARY
+// =============================================================================
+
+/**
+ * k6 end-of-test hook producing SLO reports
+ * @param {Object} data - k6 summary data
+ * @returns {Object} Map of output destination -> content
+ */
+export function handleSummary(data) {
+  const prefix = getReportPrefix();
+  const report = buildSloReport(data, getRunMeta());
+  const text = renderSloText(report);
+
+  return {
+    stdout: `${textSummary(data, { indent: ' ', enableColors: true })}\n\n${text}`,
+    [`${prefix}.summary.txt`]: text,
+    [`${prefix}.report.json`]: JSON.stringify(report, null, 2),
+    [`${prefix}.junit.xml`]: renderSloJUnit(report),
+    [`${prefix}.html`]: renderHtmlReport(data, report, { ...getRunMeta(), ...getRunConfig() })
+  };
+}
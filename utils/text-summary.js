@@ -0,0 +1,218 @@
+/**
+ * @file Text summary
+ * @description k6's end-of-test summary (checks by group, metrics, thresholds) rendered locally
+ *
+ * Pattern: Same layout as k6's built-in summary, built from the handleSummary()
+ *          data - no remote jslib module, so runs stay offline (mock API, CI)
+ *
+ * Usage:
+ *   import { textSummary } from './text-summary.js';
+ *   export function handleSummary(data) {
+ *     return { stdout: textSummary(data, { indent: ' ', enableColors: true }) };
+ *   }
+ */
+
+const COLORS = { green: 32, red: 31, cyan: 36, gray: 90 };
+
+const DEFAULT_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)'];
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * Wrap text in ANSI color
+ * @param {string} text - Text
+ * @param {string} color - Key of COLORS
+ * @param {boolean} enabled - Colors on
+ * @returns {string} Colored text (unchanged when disabled)
+ */
+function paint(text, color, enabled) {
+  return enabled ? `\x1b[${COLORS[color]}m${text}\x1b[0m` : text;
+}
+
+/**
+ * Format number without trailing zeros
+ * @param {number} value - Number
+ * @param {number} digits - Maximum decimals
+ * @returns {string} e.g. '12.5' for 12.5, '3' for 3.0
+ */
+function num(value, digits = 2) {
+  return String(Number(Number(value).toFixed(digits)));
+}
+
+/**
+ * Format duration in milliseconds
+ * @param {number} ms - Duration
+ * @returns {string} e.g. '850µs', '123.45ms', '1.2s', '2m3s'
+ */
+function formatTime(ms) {
+  if (ms < 1) {
+    return `${num(ms * 1000)}µs`;
+  }
+  if (ms < 1000) {
+    return `${num(ms)}ms`;
+  }
+  if (ms < 60000) {
+    return `${num(ms / 1000)}s`;
+  }
+  return `${Math.floor(ms / 60000)}m${num((ms % 60000) / 1000, 1)}s`;
+}
+
+/**
+ * Format byte count
+ * @param {number} bytes - Bytes
+ * @returns {string} e.g. '512 B', '1.2 kB', '3.4 MB'
+ */
+function formatData(bytes) {
+  const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${num(value, unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Format metric value by what it contains
+ * @param {number} value - Value
+ * @param {string} contains - 'time', 'data' or 'default'
+ * @returns {string} Formatted value
+ */
+function formatValue(value, contains) {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return '-';
+  }
+  if (contains === 'time') {
+    return formatTime(value);
+  }
+  if (contains === 'data') {
+    return formatData(value);
+  }
+  return num(value, 6);
+}
+
+// =============================================================================
+// SECTIONS
+// =============================================================================
+
+/**
+ * Render checks of group and its subgroups
+ * @param {Object} group - k6 group (root_group)
+ * @param {string} indent - Indentation of this level
+ * @param {boolean} colors - Colors on
+ * @returns {Array} Lines
+ */
+function renderGroup(group, indent, colors) {
+  const lines = [];
+
+  (group.checks || []).forEach(check => {
+    if (check.fails === 0) {
+      lines.push(paint(`${indent}✓ ${check.name}`, 'green', colors));
+      return;
+    }
+    const total = check.passes + check.fails;
+    const rate = total > 0 ? Math.floor((check.passes / total) * 100) : 0;
+    lines.push(paint(`${indent}✗ ${check.name}`, 'red', colors));
+    lines.push(paint(`${indent} ↳  ${rate}% — ✓ ${check.passes} / ✗ ${check.fails}`, 'red', colors));
+  });
+
+  (group.groups || []).forEach(child => {
+    lines.push('', `${indent}█ ${child.name}`, '');
+    lines.push(...renderGroup(child, `${indent}  `, colors));
+  });
+
+  return lines;
+}
+
+/**
+ * Render value column of metric
+ * @param {Object} metric - k6 summary metric { type, contains, values }
+ * @param {Array} trendStats - Trend stats to show
+ * @param {boolean} colors - Colors on
+ * @returns {string} Values, e.g. 'avg=12ms min=3ms ...' for trends
+ */
+function renderValues(metric, trendStats, colors) {
+  const { values = {}, contains } = metric;
+
+  switch (metric.type) {
+    case 'trend':
+      return trendStats
+        .filter(stat => values[stat] !== undefined)
+        .map(stat => `${stat}=${paint(formatValue(values[stat], contains), 'cyan', colors)}`)
+        .join(' ');
+    case 'rate':
+      return `${paint(`${num((values.rate || 0) * 100)}%`, 'cyan', colors)} ✓ ${values.passes || 0}  ✗ ${values.fails || 0}`;
+    case 'counter':
+      return `${paint(formatValue(values.count, contains), 'cyan', colors)} ` +
+        paint(`${formatValue(values.rate, contains)}/s`, 'cyan', colors);
+    case 'gauge':
+      return `${paint(formatValue(values.value, contains), 'cyan', colors)} ` +
+        `min=${formatValue(values.min, contains)} max=${formatValue(values.max, contains)}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render metric lines, submetrics under their parent
+ * @param {Object} metrics - data.metrics
+ * @param {string} indent - Indentation
+ * @param {Array} trendStats - Trend stats to show
+ * @param {boolean} colors - Colors on
+ * @returns {Array} Lines
+ */
+function renderMetrics(metrics, indent, trendStats, colors) {
+  const label = (name) => {
+    const brace = name.indexOf('{');
+    return brace === -1 ? name : `  { ${name.slice(brace + 1, -1).replace(/,/g, ', ')} }`;
+  };
+  const names = Object.keys(metrics).sort((a, b) => {
+    const [baseA, baseB] = [a.split('{')[0], b.split('{')[0]];
+    return baseA.localeCompare(baseB) || a.length - b.length || a.localeCompare(b);
+  });
+  const width = Math.max(0, ...names.map(name => label(name).length)) + 2;
+
+  return names.map(name => {
+    const metric = metrics[name];
+    const thresholds = Object.values(metric.thresholds || {});
+    let mark = ' ';
+    if (thresholds.length > 0) {
+      mark = thresholds.every(threshold => threshold.ok)
+        ? paint('✓', 'green', colors)
+        : paint('✗', 'red', colors);
+    }
+    const dots = paint('.'.repeat(width - label(name).length), 'gray', colors);
+    return `${indent}${mark} ${label(name)}${dots}: ${renderValues(metric, trendStats, colors)}`;
+  });
+}
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+/**
+ * Render k6 end-of-test summary
+ * @param {Object} data - handleSummary() data
+ * @param {Object} options - { indent: ' ', enableColors: false }
+ * @returns {string} Summary text: checks by group, then metrics with threshold marks
+ *
+ * Example:
+ * textSummary(data, { indent: ' ', enableColors: true })
+ * // Returns: '     ✓ status is 200\n\n   ✓ checks.........: 100% ✓ 240  ✗ 0\n ...'
+ */
+export function textSummary(data, options = {}) {
+  const indent = `${options.indent || ''}  `;
+  const colors = Boolean(options.enableColors) && !data.options?.noColor;
+  const trendStats = data.options?.summaryTrendStats || DEFAULT_TREND_STATS;
+
+  const checks = data.root_group ? renderGroup(data.root_group, `${indent}  `, colors) : [];
+  const lines = [
+    ...(checks.length > 0 ? [...checks, ''] : []),
+    ...renderMetrics(data.metrics || {}, indent, trendStats, colors)
+  ];
+
+  return `\n${lines.join('\n')}\n`;
+}
@@ -0,0 +1,106 @@
+/**
+ * @file Request correlation
+ * @description Headers identifying the run, VU and iteration of every request
+ *
+ * Pattern: One fresh W3C trace context per request, derived from k6/execution
+ *
+ * Sent by all wrappers in utils/http-utils.js:
+ * - X-Run-Id:     RUN_ID from config/env.js (run.sh sets it to the report name)
+ * - X-Scenario:   k6 scenario name
+ * - X-VU:         VU number within the test
+ * - X-Iteration:  iteration number of the VU within the scenario
+ * - traceparent:  `00-<trace-id>-<span-id>-01` (https://www.w3.org/TR/trace-context/)
+ *
+ * Backends with tracing pick the trace ID up from `traceparent`; failed
+ * requests log it (see logRequestError() in helpers/common.js), so a failing
+ * check can be looked up directly in the backend traces.
+ *
+ * Trace IDs are deliberately not k6 tags - unique values per request
+ * would create a new time series for every request.
+ */
+
+import exec from 'k6/execution';
+import { randomBytes } from 'k6/crypto';
+import { RUN_ID } from '../config/env.js';
+
+// =============================================================================
+// IDS
+// =============================================================================
+
+/**
+ * Random lowercase hex string
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex string of length bytes * 2
+ */
+function randomHex(bytes) {
+  return Array.from(new Uint8Array(randomBytes(bytes)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate W3C traceparent header value
+ * @returns {Object} { traceId, spanId, traceparent }
+ *
+ * Example: newTraceContext().traceparent
+ *          => '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'
+ */
+export function newTraceContext() {
+  const traceId = randomHex(16);
+  const spanId = randomHex(8);
+  return { traceId, spanId, traceparent: `00-${traceId}-${spanId}-01` };
+}
+
+/**
+ * Extract trace ID from traceparent header value
+ * @param {string} traceparent - `00-<trace-id>-<span-id>-<flags>`
+ * @returns {string|null} Trace ID or null if header is missing/invalid
+ */
+export function traceIdFrom(traceparent) {
+  const match = /^[0-9a-f]{2}-([0-9a-f]{32})-[0-9a-f]{16}-[0-9a-f]{2}$/.exec(traceparent || '');
+  return match ? match[1] : null;
+}
+
+// =============================================================================
+// EXECUTION CONTEXT
+// =============================================================================
+
+/**
+ * Current scenario, VU and iteration
+ * @returns {Object} { scenario, vu, iteration }
+ *
+ * setup()/teardown() run outside any scenario, where k6/execution
+ * throws - they are reported as scenario 'setup' with VU 0.
+ */
+function executionContext() {
+  try {
+    return {
+      scenario: exec.scenario.name,
+      vu: exec.vu.idInTest,
+      iteration: exec.vu.iterationInScenario
+    };
+  } catch (e) {
+    return { scenario: 'setup', vu: 0, iteration: 0 };
+  }
+}
+
+// =============================================================================
+// HEADERS
+// =============================================================================
+
+/**
+ * Build correlation headers for one request
+ * @returns {Object} Headers with run ID, scenario, VU, iteration and a new traceparent
+ *
+ * Example:
+ * http.get(url, { headers: { ...getHeaders('USER'), ...correlationHeaders() } })
+ */
+export function correlationHeaders() {
+  const { scenario, vu, iteration } = executionContext();
+
+  return {
+    'X-Run-Id': RUN_ID,
+    'X-Scenario': scenario,
+    'X-VU': String(vu),
+    'X-Iteration': String(iteration),
+    'traceparent': newTraceContext().traceparent
+  };
+}
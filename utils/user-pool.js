@@ -0,0 +1,144 @@
+/**
+ * @file Per-VU user pools
+ * @description Assign distinct users from a credentials file to each VU
+ *
+ * Pattern: SharedArray loaded once, users assigned per VU
+ *
+ * Once a pool is registered for a role, getHeaders(role) - and therefore
+ * get()/post()/... in utils/http-utils.js - authenticate as the user
+ * assigned to the current VU instead of the shared role token.
+ *
+ * Credentials file (CSV or JSON), one user per row:
+ * - username,password  -> user is logged in via API_PATHS.AUTH.LOGIN
+ * - token              -> token is sent as-is (no login)
+ *
+ * Usage (init context):
+ *   const users = createUserPool('users', 'data/users.csv', { strategy: 'unique' });
+ *   registerUserPool('USER', users);
+ */
+
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+import { loadRecords } from '../helpers/data-files.js';
+import { random } from '../helpers/random.js';
+
+// =============================================================================
+// ASSIGNMENT STRATEGIES
+// =============================================================================
+
+/**
+ * Supported VU-to-user assignment strategies
+ *
+ * | Strategy    | Behavior                                             |
+ * |-------------|------------------------------------------------------|
+ * | round-robin | VU n gets user n, wraps when VUs > users             |
+ * | unique      | VU n gets user n, aborts test when VUs > users       |
+ * | random      | Each VU picks a random user once                     |
+ */
+export const POOL_STRATEGIES = ['round-robin', 'unique', 'random'];
+
+// Per-VU state: registered pools and assigned user indexes
+const rolePools = {};
+const assignments = {};
+
+/**
+ * Pick user index for current VU
+ * @param {Object} pool - User pool
+ * @param {number} vuId - VU id in test (1-based)
+ * @returns {number} Index into pool.users
+ */
+function assignIndex(pool, vuId) {
+  const size = pool.users.length;
+
+  switch (pool.strategy) {
+    case 'unique':
+      if (vuId > size) {
+        exec.test.abort(`User pool '${pool.name}' has ${size} users but VU ${vuId} needs a unique one`);
+      }
+      return vuId - 1;
+    case 'random':
+      return Math.floor(random() * size);
+    default:
+      return (vuId - 1) % size;
+  }
+}
+
+// =============================================================================
+// POOL API
+// =============================================================================
+
+/**
+ * Create user pool from CSV/JSON credentials file (init context only)
+ * @param {string} name - Unique pool name (SharedArray name)
+ * @param {string} path - Credentials file path relative to the project root
+ * @param {Object} options - { strategy: 'round-robin'|'unique'|'random', filter: fn }
+ * @returns {Object} User pool
+ *
+ * Example:
+ * const admins = createUserPool('admins', 'data/users.csv', {
+ *   filter: (user) => user.role === 'ADMIN'
+ * });
+ */
+export function createUserPool(name, path, options = {}) {
+  const strategy = options.strategy || __ENV.USER_POOL_STRATEGY || 'round-robin';
+
+  if (!POOL_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown user pool strategy '${strategy}' (use: ${POOL_STRATEGIES.join(', ')})`);
+  }
+
+  const users = new SharedArray(name, () => {
+    const records = loadRecords(path);
+    return options.filter ? records.filter(options.filter) : records;
+  });
+
+  if (users.length === 0) {
+    throw new Error(`User pool '${name}' is empty - check ${path}`);
+  }
+
+  return { name, strategy, users };
+}
+
+/**
+ * Use pool for all requests made with given role
+ * @param {string} role - User role (USER, ADMIN, SUPER_USER)
+ * @param {Object} pool - Pool created by createUserPool()
+ */
+export function registerUserPool(role, pool) {
+  rolePools[role] = pool;
+}
+
+/**
+ * Get user assigned to current VU for role
+ * @param {string} role - User role
+ * @returns {Object|null} User record with `poolKey`, or null if no pool / not in a VU
+ *
+ * Returns null in setup() and teardown(), which then use the role credentials.
+ */
+export function getVuUser(role = 'USER') {
+  const pool = rolePools[role];
+  const vuId = exec.vu.idInTest;
+
+  if (!pool || !vuId) {
+    return null;
+  }
+
+  if (assignments[pool.name] === undefined) {
+    assignments[pool.name] = assignIndex(pool, vuId);
+  }
+
+  const index = assignments[pool.name];
+  return { ...pool.users[index], poolKey: `${pool.name}#${index}` };
+}
+
+// =============================================================================
+// ENVIRONMENT-DRIVEN POOL
+// =============================================================================
+
+// Optional pool for any test without code changes:
+// k6 run -e USER_POOL_FILE=data/users.csv -e USER_POOL_ROLE=USER script.js
+if (__ENV.USER_POOL_FILE) {
+  registerUserPool(
+    __ENV.USER_POOL_ROLE || 'USER',
+    createUserPool('env-user-pool', __ENV.USER_POOL_FILE)
+  );
+}